@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+
+// Schema migrations for the file-backed store. Each migration receives the raw
+// database object and mutates it in place. Append new migrations to the end of
+// the list; never edit or reorder one that has already shipped.
+//
+// Migrations don't use service code, which keeps changing after they ship;
+// the logic they need is copied here as it was at the time.
+
+// A revision snapshot as services/revisions.js made them when revisions
+// were introduced
+function revisionSnapshotV13(report) {
+  const snapshot = {};
+  ['jobName', 'clientName', 'address', 'date', 'reportType', 'template',
+    'organizationId', 'showPhotoTimestamps', 'status', 'aiReport'].forEach(field => {
+    snapshot[field] = report[field] === undefined ? null : structuredClone(report[field]);
+  });
+  snapshot.photos = (report.photos || []).map(photo => {
+    const saved = { id: photo.id, type: photo.type };
+    ['description', 'transcription', 'annotations'].forEach(field => {
+      saved[field] = photo[field] === undefined ? null : structuredClone(photo[field]);
+    });
+    return saved;
+  });
+  return snapshot;
+}
+
+// Client and site name keys as services/directory.js defined them when the
+// directory was introduced
+function nameKeyV17(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+const migrations = [
+  {
+    version: 1,
+    name: 'create-reports',
+    up(db) {
+      db.collections = db.collections || {};
+      db.collections.reports = db.collections.reports || [];
+      db.counters = db.counters || {};
+    }
+  },
+  {
+    version: 2,
+    name: 'structured-ai-report',
+    up(db) {
+      // Free-text AI reports can't be trusted as structured findings; keep the
+      // text for reference and let the report be re-analyzed.
+      db.collections.reports.forEach(report => {
+        if (typeof report.aiReport === 'string') {
+          report.legacyAiReportText = report.aiReport;
+          report.aiReport = null;
+        }
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'photo-ids-and-transcription-status',
+    up(db) {
+      db.collections.reports.forEach(report => {
+        (report.photos || []).forEach(photo => {
+          photo.id = photo.id || crypto.randomUUID();
+          if (photo.type === 'voice' && !photo.transcriptionStatus) {
+            photo.transcriptionStatus = photo.transcription ? 'completed' : 'failed';
+            photo.transcriptionError = photo.transcription ? null : 'Transcription was not recorded';
+          }
+        });
+      });
+    }
+  },
+  {
+    version: 4,
+    name: 'create-jobs',
+    up(db) {
+      db.collections.jobs = db.collections.jobs || [];
+    }
+  },
+  {
+    version: 5,
+    name: 'create-users-and-sessions',
+    up(db) {
+      db.collections.users = db.collections.users || [];
+      db.collections.sessions = db.collections.sessions || [];
+      // Reports created before accounts existed have no owner; only reviewers
+      // and admins can see them
+      db.collections.reports.forEach(report => {
+        if (!('ownerId' in report)) report.ownerId = null;
+      });
+    }
+  },
+  {
+    version: 6,
+    name: 'create-organizations',
+    up(db) {
+      db.collections.organizations = db.collections.organizations || [];
+      db.collections.reports.forEach(report => {
+        if (!('organizationId' in report)) report.organizationId = null;
+      });
+      db.collections.users.forEach(user => {
+        if (!('organizationId' in user)) user.organizationId = null;
+      });
+    }
+  },
+  {
+    version: 7,
+    name: 'report-types-and-templates',
+    up(db) {
+      db.collections.reports.forEach(report => {
+        if (!report.reportType) report.reportType = 'general';
+        if (!('template' in report)) report.template = null;
+      });
+    }
+  },
+  {
+    version: 8,
+    name: 'photo-annotations',
+    up(db) {
+      db.collections.reports.forEach(report => {
+        (report.photos || []).forEach(photo => {
+          photo.annotations = photo.annotations || [];
+        });
+      });
+    }
+  },
+  {
+    version: 9,
+    name: 'photo-metadata',
+    up(db) {
+      // Renditions and EXIF data for existing photos are filled in by the
+      // startup backfill, which needs to read the image files
+      db.collections.reports.forEach(report => {
+        if (!('showPhotoTimestamps' in report)) report.showPhotoTimestamps = false;
+        (report.photos || []).forEach(photo => {
+          if (!('capturedAt' in photo)) photo.capturedAt = null;
+        });
+      });
+    }
+  },
+  {
+    version: 10,
+    name: 'photo-image-analysis',
+    up(db) {
+      // Existing photos can be analyzed on request
+      db.collections.reports.forEach(report => {
+        (report.photos || []).forEach(photo => {
+          if (!('imageAnalysis' in photo)) photo.imageAnalysis = null;
+        });
+      });
+    }
+  },
+  {
+    version: 11,
+    name: 'create-idempotency-keys',
+    up(db) {
+      db.collections.idempotencyKeys = db.collections.idempotencyKeys || [];
+    }
+  },
+  {
+    version: 12,
+    name: 'create-upload-sessions',
+    up(db) {
+      db.collections.uploadSessions = db.collections.uploadSessions || [];
+    }
+  },
+  {
+    version: 13,
+    name: 'report-revisions',
+    up(db) {
+      // Existing reports start their history from their current state
+      db.collections.revisions = db.collections.revisions || [];
+      db.collections.reports.forEach(report => {
+        const snapshot = revisionSnapshotV13(report);
+        db.collections.revisions.push({
+          id: crypto.randomUUID(),
+          reportId: report.id,
+          number: 1,
+          createdAt: report.updatedAt || new Date().toISOString(),
+          authorId: null,
+          authorName: null,
+          reason: 'imported',
+          restoredFrom: null,
+          changedFields: Object.keys(snapshot),
+          snapshot
+        });
+        report.revision = 1;
+      });
+    }
+  },
+  {
+    version: 14,
+    name: 'report-lifecycle-and-audit-log',
+    up(db) {
+      db.collections.auditLog = db.collections.auditLog || [];
+      // Until now every report stayed a draft; those with findings have
+      // already been analyzed
+      const statuses = ['draft', 'analyzed', 'in-review', 'approved', 'sent', 'archived'];
+      db.collections.reports.forEach(report => {
+        if (!statuses.includes(report.status)) report.status = 'draft';
+        if (report.status === 'draft' && report.aiReport) report.status = 'analyzed';
+        if (!('approvedAt' in report)) report.approvedAt = null;
+        if (!('approvedBy' in report)) report.approvedBy = null;
+        if (!('sentAt' in report)) report.sentAt = null;
+        if (!('statusBeforeArchive' in report)) report.statusBeforeArchive = null;
+      });
+    }
+  },
+  {
+    version: 15,
+    name: 'create-email-deliveries',
+    up(db) {
+      db.collections.emailDeliveries = db.collections.emailDeliveries || [];
+    }
+  },
+  {
+    version: 16,
+    name: 'create-share-links',
+    up(db) {
+      db.collections.shareLinks = db.collections.shareLinks || [];
+    }
+  },
+  {
+    version: 17,
+    name: 'create-clients-and-sites',
+    up(db) {
+      // Existing reports are linked to clients and sites built from their
+      // client names and addresses, so buildings start with their history
+      db.collections.clients = db.collections.clients || [];
+      db.collections.sites = db.collections.sites || [];
+      const now = new Date().toISOString();
+      const entry = fields => ({
+        id: crypto.randomUUID(),
+        ...fields,
+        contacts: [],
+        emailRecipients: [],
+        notes: '',
+        createdAt: now,
+        updatedAt: now
+      });
+      db.collections.reports.forEach(report => {
+        report.clientId = null;
+        report.siteId = null;
+        if (!nameKeyV17(report.clientName)) return;
+        let client = db.collections.clients.find(c => nameKeyV17(c.name) === nameKeyV17(report.clientName));
+        if (!client) {
+          client = entry({ name: report.clientName.trim() });
+          db.collections.clients.push(client);
+        }
+        report.clientId = client.id;
+        if (!nameKeyV17(report.address)) return;
+        let site = db.collections.sites.find(s => s.clientId === client.id && nameKeyV17(s.address) === nameKeyV17(report.address));
+        if (!site) {
+          site = entry({ clientId: client.id, name: report.address.trim(), address: report.address.trim() });
+          db.collections.sites.push(site);
+        }
+        report.siteId = site.id;
+      });
+    }
+  },
+  {
+    version: 18,
+    name: 'versioned-client-and-site-links',
+    up(db) {
+      // Revisions now record the client and site links. Earlier revisions
+      // take the links their report has, which were derived from its text.
+      const reports = new Map(db.collections.reports.map(report => [report.id, report]));
+      db.collections.revisions.forEach(revision => {
+        const report = reports.get(revision.reportId);
+        if (!('clientId' in revision.snapshot)) revision.snapshot.clientId = report ? report.clientId : null;
+        if (!('siteId' in revision.snapshot)) revision.snapshot.siteId = report ? report.siteId : null;
+      });
+    }
+  }
+];
+
+function runMigrations(db) {
+  const current = db.schemaVersion || 0;
+  migrations
+    .filter(migration => migration.version > current)
+    .forEach(migration => {
+      console.log(`Running migration ${migration.version}: ${migration.name}`);
+      migration.up(db);
+      db.schemaVersion = migration.version;
+    });
+  return db;
+}
+
+module.exports = { migrations, runMigrations };
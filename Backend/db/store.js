@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { runMigrations } = require('./migrations');
+
+// File-backed JSON store. The whole database lives in memory and is flushed to
+// disk after every write, using a temp file + rename so a crash mid-write never
+// leaves a half-written database behind.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const DB_FILE = path.join(DATA_DIR, 'db.json');
+
+let data = null;
+let writeChain = Promise.resolve();
+
+function load() {
+  if (data) return data;
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  let raw = { schemaVersion: 0 };
+  if (fs.existsSync(DB_FILE)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+    } catch (error) {
+      console.error('Failed to read database file:', DB_FILE, error);
+      throw new Error(`Database file ${DB_FILE} is corrupt`);
+    }
+  }
+  const fromVersion = raw.schemaVersion || 0;
+  data = runMigrations(raw);
+  if (data.schemaVersion !== fromVersion) {
+    console.log(`Database migrated from version ${fromVersion} to ${data.schemaVersion}`);
+    writeFileAtomic(DB_FILE, JSON.stringify(data, null, 2));
+  }
+  console.log('Database loaded from:', DB_FILE);
+  return data;
+}
+
+function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, contents);
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Serialize writes so two concurrent requests can't interleave their flushes
+function persist() {
+  const snapshot = JSON.stringify(data, null, 2);
+  writeChain = writeChain
+    .catch(() => {})
+    .then(() => writeFileAtomic(DB_FILE, snapshot));
+  return writeChain;
+}
+
+function collection(name) {
+  const db = load();
+  if (!db.collections[name]) {
+    throw new Error(`Unknown collection: ${name}`);
+  }
+  return db.collections[name];
+}
+
+// Returns the next value of a named counter, e.g. the per-year report sequence
+function nextSequence(key) {
+  const db = load();
+  db.counters[key] = (db.counters[key] || 0) + 1;
+  return db.counters[key];
+}
+
+module.exports = {
+  load,
+  persist,
+  collection,
+  nextSequence,
+  DATA_DIR,
+  DB_FILE
+};
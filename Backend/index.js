@@ -1,15 +1,66 @@
 const express = require('express');
-const multer = require('multer');
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const PDFDocument = require('pdfkit');
-const nodemailer = require('nodemailer');
 const cors = require('cors');
 const os = require('os');
-const vision = require('@google-cloud/vision');
+const crypto = require('crypto');
+const store = require('./db/store');
+const reportRepository = require('./repositories/reportRepository');
+const jobRepository = require('./repositories/jobRepository');
+const organizationRepository = require('./repositories/organizationRepository');
+const uploadSessionRepository = require('./repositories/uploadSessionRepository');
+const revisionRepository = require('./repositories/revisionRepository');
+const auditRepository = require('./repositories/auditRepository');
+const emailDeliveryRepository = require('./repositories/emailDeliveryRepository');
+const shareLinkRepository = require('./repositories/shareLinkRepository');
+const { createJobQueue, permanentError } = require('./services/jobQueue');
+const { requireAuth, requireRole, ensureBootstrapAdmin } = require('./services/auth');
+const { canAccessReport } = require('./services/permissions');
+const { idempotent } = require('./services/idempotency');
+const { upload, uploadPath, removeUploadedFile } = require('./services/uploads');
+const {
+  MAX_CHUNK_SIZE,
+  SESSION_TTL_MS,
+  validateFiles,
+  receivedBytes,
+  describeSession,
+  appendChunk,
+  removeExpiredSessions
+} = require('./services/uploadSessions');
+const { renderReportPDF } = require('./services/pdf');
+const { renderReportHTML, renderMessagePage } = require('./services/html');
+const { dataUri } = require('./services/html/layout');
+const { renderReportDOCX } = require('./services/docx');
+const { validateAnnotations, annotatedImagePath, removeAnnotatedImages, isStoredImage } = require('./services/annotations');
+const { ingestPhoto, analysisImage, removeRenditions } = require('./services/photoProcessing');
+const { findTemplate, templateForReport } = require('./services/pdf/templates');
+const { diffSnapshots, restoreChanges } = require('./services/revisions');
+const { isLocked, isApproved, availableTransitions, planTransition } = require('./services/lifecycle');
+const { matchesReport } = require('./services/reportFilters');
+const { parseListQuery, pageReports } = require('./services/reportQuery');
+const { linkReport, defaultRecipients } = require('./services/reportLinks');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const organizationRoutes = require('./routes/organizations');
+const templateRoutes = require('./routes/templates');
+const findingRoutes = require('./routes/findings');
+const clientRoutes = require('./routes/clients');
+const siteRoutes = require('./routes/sites');
+const { createLlmClient } = require('./services/llm');
+const { createSttClient } = require('./services/stt');
+const { createVisionClient } = require('./services/vision');
+const { createMailer, parseRecipientFields } = require('./services/email');
+const { reportEmailValues, renderEmail } = require('./services/email/templates');
+const {
+  buildAnalysisPrompt,
+  buildRepairPrompt,
+  extractJson,
+  validateAiReport,
+  alignFindings,
+  mergeFindings,
+  removeFinding
+} = require('./services/aiReport');
 
 // Load environment variables but ignore PORT
 dotenv.config();
@@ -21,27 +72,36 @@ const port = 3000;  // Always use port 3000
 console.log('Starting server on port:', port);
 console.log('Environment variables loaded:', {
   GOOGLE_AI_KEY: process.env.GOOGLE_AI_KEY ? 'Set' : 'Not Set',
+  LLM_PROVIDERS: process.env.LLM_PROVIDERS || 'gemini (default)',
+  STT_PROVIDER: process.env.STT_PROVIDER || 'huggingface (default)',
+  VISION_PROVIDER: process.env.VISION_PROVIDER || 'google (default)',
   HUGGINGFACE_API_KEY: process.env.HUGGINGFACE_API_KEY ? 'Set' : 'Not Set',
-  EMAIL_USER: process.env.EMAIL_USER ? 'Set' : 'Not Set'
+  EMAIL_FROM: process.env.EMAIL_FROM || process.env.SMTP_USER || process.env.EMAIL_USER || 'Not Set'
 });
 
 // Add this at the top of the file, after imports
 console.log('Starting server...');
 
-// Enable CORS with more specific configuration
+// Enable CORS only for the browser origins listed in CORS_ORIGINS. The mobile
+// app doesn't need CORS, and auth uses bearer tokens rather than cookies.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-  exposedHeaders: ['Content-Length', 'X-Kuma-Revision'],
-  credentials: true,
+  origin: corsOrigins.length > 0 ? corsOrigins : false,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'X-Kuma-Revision', 'Idempotent-Replayed', 'X-Report-Revision', 'X-Next-Cursor', 'X-Total-Count'],
   maxAge: 600
 }));
 
+// Never write bearer tokens to the logs
+function redactHeaders(headers) {
+  return headers.authorization ? { ...headers, authorization: '[redacted]' } : headers;
+}
+
 // Add middleware to log all requests
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  console.log('Headers:', req.headers);
+  console.log('Headers:', redactHeaders(req.headers));
   console.log('Client IP:', req.ip);
   next();
 });
@@ -50,22 +110,19 @@ app.use((req, res, next) => {
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
   console.log('Request body:', req.body);
-  console.log('Request headers:', req.headers);
+  console.log('Request headers:', redactHeaders(req.headers));
   next();
 });
 
 // Initialize AI and other services
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_KEY);
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-// Add this after the imports
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const llm = createLlmClient();
+console.log('LLM providers (in fallback order):', llm.providers.join(' -> '));
+const stt = createSttClient();
+console.log('Speech-to-text provider:', stt.provider);
+const imageAnalyzer = createVisionClient();
+console.log('Image analysis provider:', imageAnalyzer.provider);
+const mailer = createMailer();
+console.log('Email transport:', mailer.transport);
 
 // Add network interface logging
 const networkInterfaces = os.networkInterfaces();
@@ -80,661 +137,733 @@ Object.keys(networkInterfaces).forEach((interfaceName) => {
   });
 });
 
-// Ensure uploads directory exists
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-}
-
-// Update the storage configuration
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    console.log('File received:', file);
-    cb(null, UPLOADS_DIR);
-  },
-  filename: function (req, file, cb) {
-    // Add original index to filename for uniqueness
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const idx = req.body && req.body.photoDescriptions ? JSON.parse(req.body.photoDescriptions).findIndex(desc => desc && desc.filename === file.originalname) : '';
-    const filename = uniqueSuffix + (idx !== '' ? `-${idx}` : '') + path.extname(file.originalname);
-    console.log('Generated filename:', filename);
-    cb(null, filename);
-  }
-});
-
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 5000 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    console.log('Checking file type:', file.mimetype);
-    // Accept images and audio files
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'audio/mpeg', 'audio/wav', 'audio/m4a'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      console.error('Invalid file type:', file.mimetype);
-      cb(new Error('Invalid file type. Only images and audio files are allowed.'));
-    }
-  }
-});
 
 // Middleware
 app.use(express.json());
-app.use('/uploads', express.static('uploads'));
 
-// Store reports in memory (replace with database in production)
-let reports = [];
+// Accounts. Everything under /api/reports and /api/jobs needs a logged-in user.
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/findings', findingRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/sites', siteRoutes);
+app.use('/api/reports', requireAuth);
+app.use('/api/jobs', requireAuth);
+app.use('/api/upload-sessions', requireAuth);
 
-// Initialize the Vision client
-const visionClient = new vision.ImageAnnotatorClient({
-  keyFilename: 'path/to/your/credentials.json', // or use process.env.GOOGLE_APPLICATION_CREDENTIALS
-});
-
-// Helper Functions
-async function speechToText(fileBuffer) {
-  try {
-    console.log('Starting speech to text conversion...');
-    const response = await axios.post(
-      'https://api-inference.huggingface.co/models/openai/whisper-large-v3',
-      fileBuffer,
-      {
-        headers: {
-          'Content-Type': 'audio/wav',
-          'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
-          'Accept': 'application/json'
-        }
+// Loads the :id report into req.report if the user may perform `action` on it.
+// Reports a user can't read at all are reported as not found.
+//
+// Writes are refused while the report is locked (approved, sent or archived),
+// and every successful write is recorded in the audit log as an edit.
+function authorizeReport(action) {
+  return async (req, res, next) => {
+    try {
+      const report = await reportRepository.findById(req.params.id);
+      if (!report || !canAccessReport(req.user, report, 'read')) {
+        return res.status(404).json({ error: 'Report not found' });
       }
-    );
-    console.log('Speech to text conversion successful');
-    return response.data;
+      if (!canAccessReport(req.user, report, action)) {
+        return res.status(403).json({ error: 'You do not have permission to do this' });
+      }
+      if ((action === 'write' || action === 'delete') && isLocked(report)) {
+        const verb = action === 'delete' ? 'deleted' : 'changed';
+        return res.status(409).json({ error: `This report is ${report.status} and can't be ${verb}. Reopen it first.` });
+      }
+      req.report = report;
+      if (action === 'write') {
+        res.on('finish', () => {
+          if (res.statusCode < 400) {
+            audit(req, 'edit', { method: req.method, path: req.path });
+          }
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Records an action on req.report in the audit log. Failures are logged but
+// never fail the request.
+async function audit(req, action, details = {}) {
+  try {
+    await auditRepository.record({ reportId: req.report.id, action, actor: req.user, details });
   } catch (error) {
-    console.error('Error during speech to text conversion:', error.response?.data || error.message);
-    throw new Error('Failed to convert speech to text. Please try again.');
+    console.error(`Failed to record ${action} of report ${req.report.id} in the audit log:`, error);
   }
 }
 
-async function generateReportContent(photoDescriptions = []) {
+// Load (and migrate) the report database before serving requests
+store.load();
+
+// Helper Functions
+// Transcribes a stored voice note and returns the photo fields to save
+async function transcribeVoiceNote(audioPath) {
+  console.log('Starting speech to text conversion...', audioPath);
+  const { text, provider } = await stt.transcribe(audioPath);
+  console.log('Speech to text conversion successful');
+  return {
+    description: text,
+    transcription: text,
+    transcriptionStatus: 'completed',
+    transcriptionProvider: provider,
+    transcriptionError: null
+  };
+}
+
+// Maximum number of model calls per analysis (first attempt + repairs)
+const MAX_AI_ATTEMPTS = 3;
+// How much of the last failure's reason is kept in the error, and so in the
+// job record
+const MAX_AI_ERROR_LENGTH = 300;
+
+// photos: [{ description, imageAnalysis, imagePath }]. Each image is
+// downscaled and sent with the notes and any detected labels / text so the
+// model can describe what it actually sees.
+async function generateReportContent(photos = []) {
   try {
-    console.log('Generating report content from photo descriptions...');
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
-    // Compose a prompt that asks Gemini to generate a dynamic, bolded heading based on the issues described in the photos
-    let photoSection = '';
-    photoDescriptions.forEach((photo, i) => {
-      photoSection += `\nPhoto ${i + 1}:\nDescription: ${photo.description}`;
-    });
-    const prompt = `You are a professional property inspector. Analyze the following list of photo descriptions.\n\nGenerate a professional, concise, and bolded heading for the report that summarizes the main issue(s) described. Do NOT use any hardcoded or generic text.\n\nFor each photo, generate a detailed, professional report section with the following fields (all fields must be present for each photo, and all field label's headings must be bolded):\n\n- Problem Description\n- Recommended Solution\n- Priority Level (High/Medium/Low)\n- Estimated Cost Range\n- Safety Concerns\n\nUse clear, and professional language. Do NOT use asterisks, markdown, or any special characters for formatting. Use bolded headings and field labels (e.g., Problem Description:) for each section.\n\n${photoSection}\n\nFormat the report as follows:\n1. Start with the bolded heading for the report.\n2. For each photo, provide a bolded section heading (Photo X: <filename>) and the bolded field labels.\n3. Do not use any markdown or asterisks.`;
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    console.log('Report content generated successfully');
-    // Remove all asterisks from the AI report
-    const cleanedText = text.replace(/\*/g, '');
-    return cleanedText;
+    console.log('Generating report content from photos and notes...');
+    const photoCount = photos.length;
+    const images = [];
+    for (const [idx, photo] of photos.entries()) {
+      if (!photo.imagePath || !fs.existsSync(photo.imagePath)) continue;
+      try {
+        images.push({ photoNumber: idx + 1, label: `Photo ${idx + 1}`, ...(await analysisImage(photo.imagePath)) });
+      } catch (error) {
+        console.error('Error preparing photo for analysis:', photo.imagePath, error.message);
+      }
+    }
+    // Only mention images the provider will actually receive
+    let prompt = ({ images: sent }) => buildAnalysisPrompt(photos.map((photo, idx) => ({
+      description: photo.description,
+      imageAnalysis: photo.imageAnalysis,
+      hasImage: sent.some(image => image.photoNumber === idx + 1)
+    })));
+    let lastErrors = [];
+    for (let attempt = 1; attempt <= MAX_AI_ATTEMPTS; attempt++) {
+      // Repair prompts quote the previous answer and don't need the images again
+      const options = attempt === 1 ? { json: true, images } : { json: true };
+      const { text, provider, model } = await llm.generate(prompt, options);
+      let parsed = null;
+      try {
+        parsed = extractJson(text);
+      } catch (err) {
+        lastErrors = [`Response was not valid JSON: ${err.message}`];
+      }
+      if (parsed) {
+        const { value, errors } = validateAiReport(parsed, photoCount, { generated: true });
+        if (errors.length === 0) {
+          console.log(`Report content generated successfully by ${provider}/${model} (attempt ${attempt})`);
+          return value;
+        }
+        lastErrors = errors;
+      }
+      console.warn(`AI report attempt ${attempt} was invalid:`, lastErrors);
+      prompt = buildRepairPrompt(text, lastErrors, photoCount);
+    }
+    throw new Error(`AI output invalid after ${MAX_AI_ATTEMPTS} attempts: ${lastErrors.join('; ')}`);
   } catch (error) {
     console.error('Error generating report content:', error);
-    throw new Error('Failed to generate report content. Please try again.');
+    const reason = error.message.length > MAX_AI_ERROR_LENGTH
+      ? `${error.message.slice(0, MAX_AI_ERROR_LENGTH - 1)}…`
+      : error.message;
+    throw new Error(`Failed to generate report content (${reason}). Please try again.`);
   }
 }
 
-// IMPROVED PDF GENERATION FUNCTION
+// Renders the report with its PDF template and organization letterhead
 async function generateFormattedPDF(report, outputPath) {
-  return new Promise((resolve, reject) => {
+  const branding = await organizationRepository.findForReport(report);
+  // Photos are drawn from their compressed rendition with markup on top
+  const imagePaths = new Map();
+  for (const photo of report.photos) {
     try {
-      // Create a new PDF document with proper margins
-      const doc = new PDFDocument({
-        autoFirstPage: false,
-        margins: {
-          top: 50,
-          bottom: 50,
-          left: 50,
-          right: 50
-        },
-        size: 'A4'
-      });
-      
-      // Create a write stream
-      const writeStream = fs.createWriteStream(outputPath);
-      doc.pipe(writeStream);
-      
-      // Total pages (fixed at 3 for now, but could be dynamic)
-      const totalPages = 3;
-      
-      // Helper function for page numbers
-      function addPageNumber(doc, pageNum) {
-        doc.fontSize(10)
-           .fillColor('#333333')
-           .text(`Page ${pageNum} of ${totalPages}`, 
-                 doc.page.width - 100, 
-                 20, 
-                 { align: 'right' });
-      }
-      
-      // Helper function for consistent section headers
-      function addSectionHeader(doc, text) {
-        doc.fontSize(14)
-           .font('Helvetica-Bold')
-           .fillColor('#333333')
-           .text(text, { underline: false })
-           .moveDown(0.5);
-      }
-      
-      // Extract report title from AI report or use job name
-      let reportTitle = report.jobName || 'Property Inspection Report';
-      if (report.aiReport) {
-        const firstLine = report.aiReport.split('\n')[0].trim();
-        if (firstLine && firstLine.length > 10) {
-          reportTitle = firstLine;
-        }
+      imagePaths.set(photo.id, await annotatedImagePath(photo, 'pdf'));
+    } catch (error) {
+      console.error('Error rendering photo markup:', photo.path, error);
+      imagePaths.set(photo.id, photo.path);
+    }
+  }
+  return renderReportPDF(report, outputPath, {
+    branding,
+    imagePath: photo => imagePaths.get(photo.id) || photo.path,
+    // Only approved content goes out as a final PDF
+    watermark: isApproved(report) ? null : 'DRAFT'
+  });
+}
+
+// Renders the report as a Word document with the same template, letterhead
+// and photo markup as its PDF
+async function generateReportDOCX(report) {
+  const branding = await organizationRepository.findForReport(report);
+  const imagePaths = new Map();
+  for (const photo of report.photos) {
+    for (const size of ['thumbnail', 'pdf']) {
+      try {
+        imagePaths.set(`${photo.id}:${size}`, await annotatedImagePath(photo, size));
+      } catch (error) {
+        console.error('Error rendering photo markup:', photo.path, error);
       }
-      
-      // --- PAGE 1: Title and Photo Grid ---
-      doc.addPage();
-      addPageNumber(doc, 1);
-      
-      // Title
-      const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
-      doc.x = doc.page.margins.left;
-      doc.fontSize(16)
-         .font('Helvetica-Bold')
-         .fillColor('#000000')
-         .text(reportTitle, doc.page.margins.left, doc.y, { width: contentWidth, align: 'center' })
-         .moveDown(1);
-      
-      // Issue statement
-      doc.x = doc.page.margins.left;
-      doc.fontSize(12)
-         .font('Helvetica')
-         .fillColor('#000000')
-         .text(`Issue: ${reportTitle}`, doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
-         .moveDown(1);
-      
-      // Reference Photos heading
-      addSectionHeader(doc, 'Reference Photos:');
-      
-      // Photo grid (3 per row)
-      const photoSize = 120;
-      let x = doc.page.margins.left;
-      let y = doc.y;
-      let count = 0;
-      
-      // Only process up to 9 photos on first page
-      const firstPagePhotos = report.photos.slice(0, 9);
-      
-      firstPagePhotos.forEach((photo, idx) => {
+    }
+  }
+  return renderReportDOCX(report, {
+    branding,
+    imagePath: (photo, size) => imagePaths.get(`${photo.id}:${size}`) || photo.path,
+    watermark: isApproved(report) ? null : 'DRAFT'
+  });
+}
+
+// Base URL of this backend as clients reach it
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Renders the report as a standalone HTML document from the same template and
+// letterhead as its PDF. Photos are inlined as data: URIs unless options
+// .imageUrl gives their address; options.pdfUrl adds a download button.
+async function generateReportHTML(report, options = {}) {
+  const branding = await organizationRepository.findForReport(report);
+  let imageUrl = options.imageUrl;
+  if (!imageUrl) {
+    const sources = new Map();
+    for (const photo of report.photos) {
+      for (const size of ['thumbnail', 'pdf']) {
         try {
-          if (fs.existsSync(photo.path)) {
-            doc.image(photo.path, x, y, { 
-              width: photoSize, 
-              height: photoSize, 
-              fit: [photoSize, photoSize],
-              align: 'center', 
-              valign: 'center' 
-            });
-            // Add border around photo
-            doc.rect(x, y, photoSize, photoSize).stroke('#cccccc');
-          } else {
-            // Placeholder for missing photo
-            doc.rect(x, y, photoSize, photoSize).stroke('#cccccc');
-            doc.fontSize(9)
-               .fillColor('#cc0000')
-               .text('Photo not available', x + 10, y + photoSize/2, { 
-                 width: photoSize - 20, 
-                 align: 'center' 
-               });
-          }
-        } catch (e) {
-          // Error handling for photo loading issues
-          doc.rect(x, y, photoSize, photoSize).stroke('#cccccc');
-          doc.fontSize(9)
-             .fillColor('#cc0000')
-             .text('Error loading photo', x + 10, y + photoSize/2, { 
-               width: photoSize - 20, 
-               align: 'center' 
-             });
-          console.error('Error adding photo:', photo.path, e);
+          sources.set(`${photo.id}:${size}`, dataUri(await annotatedImagePath(photo, size)));
+        } catch (error) {
+          console.error('Error rendering photo markup:', photo.path, error);
+          sources.set(`${photo.id}:${size}`, dataUri(photo.path));
         }
-        
-        // Add photo number below image
-        doc.fontSize(10)
-           .fillColor('#000000')
-           .font('Helvetica')
-           .text(`Photo ${idx + 1}`, x, y + photoSize + 5, { 
-             width: photoSize, 
-             align: 'center' 
-           });
-        
-        // Move to next position
-        x += photoSize + 20;
-        count++;
-        
-        // Move to next row after 3 photos
-        if (count % 3 === 0) {
-          x = doc.page.margins.left;
-          y += photoSize + 30;
-        }
-      });
-      
-      // Ensure we're at the bottom of the grid
-      if (count % 3 !== 0) {
-        y += photoSize + 30;
       }
-      doc.y = y;
-      doc.x = doc.page.margins.left;
-      
-      // --- PAGE 2: Reference Photo breakdown ---
-      doc.addPage();
-      addPageNumber(doc, 2);
-      
-      // Title again for consistency
-      doc.x = doc.page.margins.left;
-      doc.fontSize(16)
-         .font('Helvetica-Bold')
-         .fillColor('#000000')
-         .text(reportTitle, doc.page.margins.left, doc.y, { width: contentWidth, align: 'center' })
-         .moveDown(1);
-      
-      // Reference Photo breakdown heading
-      addSectionHeader(doc, 'Reference Photo breakdown:');
-      
-      // Parse AI report for photo sections
-      let photoSections = [];
-      if (report.aiReport) {
-        // Try to extract photo sections using regex
-        const photoPattern = /Photo\s+\d+:/gi;
-        const matches = [...report.aiReport.matchAll(photoPattern)];
-        
-        if (matches.length > 0) {
-          for (let i = 0; i < matches.length; i++) {
-            const start = matches[i].index;
-            const end = (i < matches.length - 1) ? matches[i+1].index : report.aiReport.length;
-            const section = report.aiReport.substring(start, end).trim();
-            photoSections.push(section);
-          }
+    }
+    imageUrl = (photo, size) => sources.get(`${photo.id}:${size}`);
+  }
+  return renderReportHTML(report, {
+    branding,
+    imageUrl,
+    pdfUrl: options.pdfUrl,
+    watermark: isApproved(report) ? null : 'DRAFT - this report has not been approved yet'
+  });
+}
+
+// Annotations arrive as an array in JSON bodies and as a JSON string in
+// multipart forms
+function parseAnnotations(raw) {
+  if (raw === undefined || raw === null || raw === '') return { value: [], errors: [] };
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (e) {
+      return { value: null, errors: ['annotations must be valid JSON'] };
+    }
+  }
+  return validateAnnotations(raw);
+}
+
+// Background jobs
+const PDF_DIR = path.join(store.DATA_DIR, 'pdfs');
+if (!fs.existsSync(PDF_DIR)) {
+  fs.mkdirSync(PDF_DIR, { recursive: true });
+}
+
+async function findReportForJob(job) {
+  const report = await reportRepository.findById(job.reportId);
+  if (!report) {
+    throw permanentError(`Report ${job.reportId} no longer exists`);
+  }
+  return report;
+}
+
+// Approved, sent and archived reports can't be changed, and one may have
+// been approved while its job was queued or running
+function ensureUnlockedForJob(report) {
+  if (isLocked(report)) {
+    throw permanentError(`Report is ${report.status} and can't be changed. Reopen it first.`);
+  }
+}
+
+const jobQueue = createJobQueue({
+  handlers: {
+    // payload: { photoId }
+    transcribe: {
+      maxAttempts: 3,
+      async run(job, { progress }) {
+        const report = await findReportForJob(job);
+        const photo = report.photos.find(p => p.id === job.payload.photoId);
+        if (!photo || !photo.voicePath) {
+          throw permanentError('Photo does not have a voice note');
         }
-      }
-      
-      // If we couldn't parse sections, use the photos array directly
-      if (photoSections.length === 0 && report.photos.length > 0) {
-        photoSections = report.photos.map((photo, idx) => {
-          return `Photo ${idx + 1}:\n${photo.description || 'No description provided.'}`;
+        if (!fs.existsSync(photo.voicePath)) {
+          throw permanentError('Voice note file is no longer available');
+        }
+        await progress(20, 'Transcribing voice note');
+        const fields = await transcribeVoiceNote(photo.voicePath);
+        await reportRepository.updatePhoto(report.id, photo.id, fields);
+        return { transcription: fields.transcription };
+      },
+      // Record the failure on the photo so the app can offer a retry
+      async onFailed(job, error) {
+        await reportRepository.updatePhoto(job.reportId, job.payload.photoId, {
+          transcriptionStatus: 'failed',
+          transcriptionProvider: stt.provider,
+          transcriptionError: error.message
         });
       }
-      
-      // Process each photo section
-      report.photos.forEach((photo, idx) => {
-        // Photo header with clear separation
-        doc.x = doc.page.margins.left;
-        doc.fontSize(12)
-           .font('Helvetica-Bold')
-           .fillColor('#000000')
-           .text(`Photo ${idx + 1}:`, doc.page.margins.left, doc.y, { width: contentWidth, align: 'left', underline: false })
-           .moveDown(0.3);
-        
-        // Find the corresponding section in the AI report
-        const section = photoSections[idx] || '';
-        
-        // If we have a section from AI, parse and format it
-        if (section) {
-          // Extract common fields using regex
-          const problemMatch = section.match(/Problem Description:(.+?)(?=Recommended Solution:|Priority Level:|Estimated Cost Range:|Safety Concerns:|$)/s);
-          const solutionMatch = section.match(/Recommended Solution:(.+?)(?=Problem Description:|Priority Level:|Estimated Cost Range:|Safety Concerns:|$)/s);
-          const priorityMatch = section.match(/Priority Level:(.+?)(?=Problem Description:|Recommended Solution:|Estimated Cost Range:|Safety Concerns:|$)/s);
-          const costMatch = section.match(/Estimated Cost Range:(.+?)(?=Problem Description:|Recommended Solution:|Priority Level:|Safety Concerns:|$)/s);
-          const safetyMatch = section.match(/Safety Concerns:(.+?)(?=Problem Description:|Recommended Solution:|Priority Level:|Estimated Cost Range:|$)/s);
-          
-          // Format and add each field if found
-          if (problemMatch && problemMatch[1]) {
-            doc.x = doc.page.margins.left;
-            doc.fontSize(11)
-               .font('Helvetica-Bold')
-               .fillColor('#000000')
-               .text('Problem Description:', { continued: true })
-               .font('Helvetica')
-               .text(problemMatch[1].replace(/\*/g, '').trim(), doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
-               .moveDown(0.3);
-          }
-          
-          if (solutionMatch && solutionMatch[1]) {
-            doc.x = doc.page.margins.left;
-            doc.fontSize(11)
-               .font('Helvetica-Bold')
-               .fillColor('#000000')
-               .text('Recommended Solution:', { continued: true })
-               .font('Helvetica')
-               .text(solutionMatch[1].replace(/\*/g, '').trim(), doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
-               .moveDown(0.3);
-          }
-          
-          if (priorityMatch && priorityMatch[1]) {
-            doc.x = doc.page.margins.left;
-            doc.fontSize(11)
-               .font('Helvetica-Bold')
-               .fillColor('#000000')
-               .text('Priority Level:', { continued: true })
-               .font('Helvetica')
-               .text(priorityMatch[1].replace(/\*/g, '').trim(), doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
-               .moveDown(0.3);
-          }
-          
-          if (costMatch && costMatch[1]) {
-            doc.x = doc.page.margins.left;
-            doc.fontSize(11)
-               .font('Helvetica-Bold')
-               .fillColor('#000000')
-               .text('Estimated Cost Range:', { continued: true })
-               .font('Helvetica')
-               .text(costMatch[1].replace(/\*/g, '').trim(), doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
-               .moveDown(0.3);
-          }
-          
-          if (safetyMatch && safetyMatch[1]) {
-            doc.x = doc.page.margins.left;
-            doc.fontSize(11)
-               .font('Helvetica-Bold')
-               .fillColor('#000000')
-               .text('Safety Concerns:', { continued: true })
-               .font('Helvetica')
-               .text(safetyMatch[1].replace(/\*/g, '').trim(), doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
-               .moveDown(0.3);
-          }
-        } else {
-          // If no AI section, just show the description from the photo object
-          doc.x = doc.page.margins.left;
-          doc.fontSize(11)
-             .font('Helvetica-Bold')
-             .fillColor('#000000')
-             .text('Description:', { continued: true })
-             .font('Helvetica')
-             .text(photo.description || ' No description provided.', doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
-             .moveDown(0.3);
+    },
+    // payload: { photoId }
+    'analyze-image': {
+      maxAttempts: 3,
+      async run(job, { progress }) {
+        const report = await findReportForJob(job);
+        const photo = report.photos.find(p => p.id === job.payload.photoId);
+        if (!photo) {
+          throw permanentError('Photo no longer exists');
         }
-        
-        // Add space between photo sections
-        doc.moveDown(1);
-        
-        // Check if we need a page break (rough estimate)
-        if (doc.y > doc.page.height - 150 && idx < report.photos.length - 1) {
-          doc.addPage();
-          addPageNumber(doc, 2);
-          doc.x = doc.page.margins.left;
-          doc.fontSize(16)
-             .font('Helvetica-Bold')
-             .fillColor('#000000')
-             .text(reportTitle, doc.page.margins.left, doc.y, { width: contentWidth, align: 'center' })
-             .moveDown(1);
-          doc.fontSize(14)
-             .font('Helvetica-Bold')
-             .fillColor('#333333')
-             .text('Reference Photo breakdown (continued):', doc.page.margins.left, doc.y, { width: contentWidth, align: 'left', underline: false })
-             .moveDown(0.5);
+        if (!fs.existsSync(photo.path)) {
+          throw permanentError('Photo file is no longer available');
         }
-      });
-      
-      // --- PAGE 3: Recommended Services and Additional Notes ---
-      doc.addPage();
-      addPageNumber(doc, 3);
-      doc.x = doc.page.margins.left;
-      doc.fontSize(16)
-         .font('Helvetica-Bold')
-         .fillColor('#000000')
-         .text(reportTitle, doc.page.margins.left, doc.y, { width: contentWidth, align: 'center' })
-         .moveDown(1);
-      
-      // If we have more than 9 photos, show the rest here
-      if (report.photos.length > 9) {
-        addSectionHeader(doc, 'Additional Photos:');
-        
-        // Photo grid for remaining photos
-        let x2 = doc.page.margins.left;
-        let y2 = doc.y;
-        let count2 = 0;
-        
-        const remainingPhotos = report.photos.slice(9);
-        remainingPhotos.forEach((photo, idx) => {
-          const actualIdx = idx + 9; // Adjust index to account for first page photos
-          
-          try {
-            if (fs.existsSync(photo.path)) {
-              doc.image(photo.path, x2, y2, { 
-                width: photoSize, 
-                height: photoSize, 
-                fit: [photoSize, photoSize],
-                align: 'center', 
-                valign: 'center' 
-              });
-              // Add border around photo
-              doc.rect(x2, y2, photoSize, photoSize).stroke('#cccccc');
-            } else {
-              // Placeholder for missing photo
-              doc.rect(x2, y2, photoSize, photoSize).stroke('#cccccc');
-              doc.fontSize(9)
-                 .fillColor('#cc0000')
-                 .text('Photo not available', x2 + 10, y2 + photoSize/2, { 
-                   width: photoSize - 20, 
-                   align: 'center' 
-                 });
-            }
-          } catch (e) {
-            // Error handling for photo loading issues
-            doc.rect(x2, y2, photoSize, photoSize).stroke('#cccccc');
-            doc.fontSize(9)
-               .fillColor('#cc0000')
-               .text('Error loading photo', x2 + 10, y2 + photoSize/2, { 
-                 width: photoSize - 20, 
-                 align: 'center' 
-               });
-          }
-          
-          // Add photo number below image
-          doc.fontSize(10)
-             .fillColor('#000000')
-             .font('Helvetica')
-             .text(`Photo ${actualIdx + 1}`, x2, y2 + photoSize + 5, { 
-               width: photoSize, 
-               align: 'center' 
-             });
-          
-          // Move to next position
-          x2 += photoSize + 20;
-          count2++;
-          
-          // Move to next row after 3 photos
-          if (count2 % 3 === 0) {
-            x2 = doc.page.margins.left;
-            y2 += photoSize + 30;
-          }
+        await progress(20, 'Reading labels and text in photo');
+        const { provider, labels, text } = await imageAnalyzer.analyze(photo.path);
+        await reportRepository.updatePhoto(report.id, photo.id, {
+          imageAnalysis: { status: 'completed', provider, labels, text, error: null, analyzedAt: new Date().toISOString() }
+        });
+        return { labels: labels.length, textLength: text.length };
+      },
+      async onFailed(job, error) {
+        await reportRepository.updatePhoto(job.reportId, job.payload.photoId, {
+          imageAnalysis: { status: 'failed', provider: imageAnalyzer.provider, labels: [], text: '', error: error.message }
         });
-        
-        // Ensure we're at the bottom of the grid
-        if (count2 % 3 !== 0) {
-          y2 += photoSize + 30;
-        }
-        doc.y = y2;
-        doc.moveDown(1);
       }
-      
-      // Recommended Services section
-      addSectionHeader(doc, 'Recommended Services:');
-      
-      // Extract recommended services from AI report
-      let recommendedServices = 'No recommended services to be added.';
-      if (report.aiReport && report.aiReport.includes('Recommended Services:')) {
-        const servicesSection = report.aiReport.split('Recommended Services:')[1];
-        if (servicesSection && servicesSection.includes('Additional Notes:')) {
-          recommendedServices = servicesSection.split('Additional Notes:')[0].trim();
-        } else if (servicesSection) {
-          recommendedServices = servicesSection.trim();
+    },
+    // payload: { force, photoIds }. With photoIds only those items are
+    // (re)analyzed and merged into the existing AI report.
+    analyze: {
+      maxAttempts: 3,
+      async run(job, { progress }) {
+        const report = await findReportForJob(job);
+        const partial = Boolean(job.payload.photoIds && report.aiReport);
+        if (report.aiReport && !job.payload.force && !partial) {
+          return { skipped: true };
         }
-      }
-      
-      // Format recommended services with bullet points if applicable
-      const serviceLines = recommendedServices.split('\n');
-      serviceLines.forEach(line => {
-        const trimmedLine = line.trim();
-        if (!trimmedLine) return;
-        
-        if (trimmedLine.startsWith('-') || trimmedLine.startsWith('•')) {
-          // This is a bullet point
-          doc.fontSize(11)
-             .font('Helvetica')
-             .fillColor('#000000')
-             .text(trimmedLine, { indent: 20 });
-        } else {
-          // Regular text
-          doc.fontSize(11)
-             .font('Helvetica')
-             .fillColor('#000000')
-             .text(trimmedLine);
+        ensureUnlockedForJob(report);
+        const photos = partial
+          ? report.photos.filter(p => job.payload.photoIds.includes(p.id))
+          : report.photos;
+        if (photos.length === 0) {
+          return { skipped: true };
         }
-      });
-      
-      doc.moveDown(1);
-      
-      // Additional Notes section
-      addSectionHeader(doc, 'Additional Notes:');
-      
-      // Extract additional notes from AI report
-      let additionalNotes = 'No additional project notes at this time.';
-      if (report.aiReport && report.aiReport.includes('Additional Notes:')) {
-        additionalNotes = report.aiReport.split('Additional Notes:')[1].trim();
-        if (additionalNotes) {
-          // Format additional notes
-          doc.fontSize(11)
-             .font('Helvetica')
-             .fillColor('#000000')
-             .text(additionalNotes);
-        } else {
-          doc.fontSize(11)
-             .font('Helvetica')
-             .fillColor('#000000')
-             .text('No additional project notes at this time.');
+        await progress(20, partial ? `Generating AI findings for ${photos.length} item(s)` : 'Generating AI findings');
+        const inputs = [];
+        for (const photo of photos) {
+          inputs.push({
+            description: photo.description || photo.transcription,
+            imageAnalysis: photo.imageAnalysis,
+            // The compressed rendition, with markup pointing out the problem
+            imagePath: await annotatedImagePath(photo, 'pdf')
+          });
         }
-      } else {
-        doc.fontSize(11)
-           .font('Helvetica')
-           .fillColor('#000000')
-           .text('No additional project notes at this time.');
+        const generated = await generateReportContent(inputs);
+        generated.findings.forEach((finding, idx) => {
+          finding.photoId = photos[idx].id;
+          finding.inspectorNote = inputs[idx].description || '';
+        });
+        // Items may have changed while the model was running
+        const current = await findReportForJob(job);
+        ensureUnlockedForJob(current);
+        const aiReport = partial && current.aiReport
+          ? mergeFindings(current.aiReport, generated.findings, current.photos)
+          : alignFindings(generated, current.photos);
+        await reportRepository.update(report.id, {
+          aiReport,
+          ...(current.status === 'draft' ? { status: 'analyzed' } : {})
+        });
+        await progress(90, 'Findings saved');
+        await jobQueue.enqueue('render-pdf', { reportId: report.id });
+        return { findings: aiReport.findings.length };
       }
-      
-      // Finalize the PDF
-      doc.end();
-      
-      // Handle stream events
-      writeStream.on('finish', () => {
-        console.log('PDF created successfully at:', outputPath);
-        resolve(outputPath);
-      });
-      
-      writeStream.on('error', (err) => {
-        console.error('Error writing PDF:', err);
-        reject(err);
-      });
-      
-    } catch (error) {
-      console.error('Error generating PDF:', error);
-      reject(error);
+    },
+    'render-pdf': {
+      maxAttempts: 2,
+      async run(job, { progress }) {
+        const report = await findReportForJob(job);
+        await progress(20, 'Rendering PDF');
+        const pdfPath = path.join(PDF_DIR, `report-${report.id}.pdf`);
+        await generateFormattedPDF(report, pdfPath);
+        // The cached PDF is only valid for this exact version of the report
+        // with this template and branding
+        return {
+          path: pdfPath,
+          revision: report.revision,
+          reportUpdatedAt: report.updatedAt,
+          template: templateForReport(report).name,
+          branding: await brandingVersion(report)
+        };
+      }
+    }
+  }
+});
+
+// Queues image analysis for a new or replaced photo, transcription for a new
+// voice note and, if the report was already analyzed, a findings update for
+// the item once those are done
+async function queueItemProcessing(report, photo) {
+  const jobs = [await jobQueue.enqueue('analyze-image', { reportId: report.id, payload: { photoId: photo.id } })];
+  if (photo.transcriptionStatus === 'pending') {
+    jobs.push(await jobQueue.enqueue('transcribe', { reportId: report.id, payload: { photoId: photo.id } }));
+  }
+  if (report.aiReport) {
+    jobs.push(await jobQueue.enqueue('analyze', {
+      reportId: report.id,
+      payload: { photoIds: [photo.id] },
+      dependsOn: jobs.map(j => j.id)
+    }));
+  }
+  return jobs;
+}
+
+// Unfinished jobs of the given types for a report, used as dependencies for
+// later steps
+async function pendingJobIds(reportId, ...types) {
+  const jobs = await jobRepository.listByReport(reportId);
+  return jobs
+    .filter(j => types.includes(j.type) && !jobRepository.FINISHED_STATUSES.includes(j.status))
+    .map(j => j.id);
+}
+
+// Identifies the organization profile (and its revision) a report renders with
+async function brandingVersion(report) {
+  const org = await organizationRepository.findForReport(report);
+  return org ? `${org.id}@${org.updatedAt}` : null;
+}
+
+// Returns the path of a pre-rendered PDF if it matches the current report
+async function findCachedPDF(report) {
+  const jobs = await jobRepository.listByReport(report.id);
+  const branding = await brandingVersion(report);
+  const template = templateForReport(report).name;
+  const rendered = jobs
+    .filter(j => j.type === 'render-pdf' && j.status === 'completed' && j.result)
+    .find(j => j.result.reportUpdatedAt === report.updatedAt
+      && j.result.template === template
+      && (j.result.branding || null) === branding
+      && fs.existsSync(j.result.path));
+  return rendered ? rendered.result.path : null;
+}
+
+// Makes thumbnails and PDF renditions for photos uploaded before the image
+// pipeline existed. Runs once in the background at startup.
+async function backfillPhotoRenditions() {
+  const reports = await reportRepository.list();
+  let processed = 0;
+  for (const report of reports) {
+    for (const photo of report.photos) {
+      if (photo.renditionPath || photo.processingError || !fs.existsSync(photo.path)) continue;
+      await reportRepository.updatePhoto(report.id, photo.id, await ingestPhoto(photo));
+      processed++;
     }
+  }
+  if (processed > 0) {
+    console.log(`Created renditions for ${processed} existing photo(s)`);
+  }
+}
+
+// Creates a report from uploaded files, shared by the multipart endpoint and
+// upload sessions. body holds the report fields, with photoDescriptions as a
+// JSON string or array; photoFiles and voiceFiles are { path, originalname }
+// like multer's. Returns { error } when the request is invalid, otherwise
+// { report, jobs }.
+async function createReportFromUploads(user, body, photoFiles, voiceFiles) {
+  const { jobName, date, organizationId, reportType, template, photoDescriptions = '[]' } = body;
+  let parsedDescriptions = [];
+  try {
+    parsedDescriptions = Array.isArray(photoDescriptions) ? photoDescriptions : JSON.parse(photoDescriptions);
+  } catch (e) {
+    parsedDescriptions = [];
+  }
+  // A picked client or site fills in the client name and address
+  const link = await linkReport({
+    clientId: body.clientId || null,
+    siteId: body.siteId || null,
+    clientName: body.clientName,
+    address: body.address
   });
+  if (link.error) {
+    return { error: link.error };
+  }
+  const { clientName, address } = link;
+  if (!jobName || !clientName || !address) {
+    console.error('Missing required fields:', { jobName, clientName, address });
+    return { error: 'Missing required fields' };
+  }
+  if (organizationId && !(await organizationRepository.findById(organizationId))) {
+    return { error: 'Organization not found' };
+  }
+  if (template && !findTemplate(template)) {
+    return { error: `Unknown PDF template "${template}"` };
+  }
+  // Enforce 1-20 photos
+  if (photoFiles.length < 1 || photoFiles.length > 20) {
+    return { error: 'You must upload between 1 and 20 photos.' };
+  }
+  if (!Array.isArray(parsedDescriptions) || parsedDescriptions.length !== photoFiles.length) {
+    return { error: 'photoDescriptions array must match number of uploaded images.' };
+  }
+  // Helper to find the voice file for a given voiceFile name
+  function findVoiceFile(voiceFileName) {
+    return voiceFiles.find(f => f.originalname === voiceFileName);
+  }
+  // Process each photo and its description
+  const photos = [];
+  for (let idx = 0; idx < photoFiles.length; idx++) {
+    const imageFile = photoFiles[idx];
+    const desc = parsedDescriptions[idx] || {};
+    let type = desc.type || 'text';
+    const annotations = parseAnnotations(desc.annotations);
+    if (annotations.errors.length > 0) {
+      return { error: `Invalid annotations for photo at index ${idx}.`, details: annotations.errors };
+    }
+    const photo = {
+      id: crypto.randomUUID(),
+      path: imageFile.path,
+      description: desc.description || '',
+      type,
+      transcription: '',
+      annotations: annotations.value,
+      imageAnalysis: { status: 'pending' }
+    };
+    // For voice notes, find and transcribe the audio file
+    if (type === 'voice' && desc.voiceFile) {
+      const audioFile = findVoiceFile(desc.voiceFile);
+      if (!audioFile) {
+        return { error: `Audio file ${desc.voiceFile} not found for photo at index ${idx}.` };
+      }
+      photo.voicePath = audioFile.path;
+      photo.transcriptionStatus = 'pending';
+      photo.transcriptionError = null;
+    }
+    photos.push(photo);
+  }
+  for (const photo of photos) {
+    Object.assign(photo, await ingestPhoto(photo));
+  }
+  const report = await reportRepository.create({
+    ownerId: user.id,
+    // Branded with the chosen branch, else the inspector's own; reports
+    // without either use the default profile when rendered
+    organizationId: organizationId || user.organizationId || null,
+    jobName,
+    clientName,
+    clientId: link.clientId,
+    siteId: link.siteId,
+    reportType: reportType || 'general',
+    // Explicit template; otherwise the one registered for the report type
+    template: template || null,
+    address,
+    date: date || new Date().toISOString().split('T')[0],
+    showPhotoTimestamps: body.showPhotoTimestamps === true || body.showPhotoTimestamps === 'true',
+    photos,
+    status: 'draft',
+    approvedAt: null,
+    approvedBy: null,
+    sentAt: null,
+    statusBeforeArchive: null,
+    aiReport: null // Will be filled after AI analysis
+  }, { author: user });
+  console.log('Created report:', report);
+  await auditRepository.record({ reportId: report.id, action: 'create', actor: user });
+  // Photos are analyzed and voice notes transcribed in the background
+  const jobs = [];
+  for (const photo of report.photos) {
+    jobs.push(await jobQueue.enqueue('analyze-image', { reportId: report.id, payload: { photoId: photo.id } }));
+    if (photo.transcriptionStatus === 'pending') {
+      jobs.push(await jobQueue.enqueue('transcribe', { reportId: report.id, payload: { photoId: photo.id } }));
+    }
+  }
+  return { report, jobs };
 }
 
 // Endpoints
 // 1. Create new report
-app.post('/api/reports', upload.fields([{ name: 'photos', maxCount: 20 }, { name: 'voices', maxCount: 20 }]), async (req, res) => {
+app.post('/api/reports', requireRole('inspector', 'admin'), idempotent(), upload.fields([{ name: 'photos', maxCount: 20 }, { name: 'voices', maxCount: 20 }]), async (req, res) => {
   try {
     console.log('Received report creation request');
     console.log('Request body:', req.body);
     console.log('Request files:', req.files);
 
-    const { jobName, clientName, address, date, photoDescriptions = '[]' } = req.body;
-    let parsedDescriptions = [];
-    try {
-      parsedDescriptions = JSON.parse(photoDescriptions);
-    } catch (e) {
-      parsedDescriptions = [];
+    const files = req.files || {};
+    const result = await createReportFromUploads(req.user, req.body, files['photos'] || [], files['voices'] || []);
+    if (result.error) {
+      return res.status(400).json({ error: result.error, details: result.details });
+    }
+    res.status(201).json({ ...result.report, jobs: result.jobs });
+  } catch (error) {
+    console.error('Error creating report:', error);
+    res.status(500).json({ error: 'Failed to create report', details: error.message });
+  }
+});
+
+// Resumable uploads: open a session listing the report's files, PUT each
+// file in chunks at explicit offsets, GET the session to see what arrived,
+// then finalize it with the report fields. Meant for large reports on poor
+// connections, where one multipart request would time out.
+
+// Sessions being turned into a report right now
+const finalizingSessions = new Set();
+
+// Middleware: loads the caller's upload session into req.uploadSession, or 404
+async function loadUploadSession(req, res, next) {
+  try {
+    const session = await uploadSessionRepository.findById(req.params.id);
+    if (!session || session.userId !== req.user.id || session.expiresAt <= new Date().toISOString()) {
+      return res.status(404).json({ error: 'Upload session not found' });
     }
-    if (!jobName || !clientName || !address) {
-      console.error('Missing required fields:', { jobName, clientName, address });
-      return res.status(400).json({ error: 'Missing required fields' });
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Open a session: { files: [{ field: 'photos' | 'voices', name, mimeType, size }] }
+app.post('/api/upload-sessions', requireRole('inspector', 'admin'), async (req, res) => {
+  try {
+    const files = req.body && req.body.files;
+    const errors = validateFiles(files);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid upload session', details: errors });
+    }
+    await removeExpiredSessions();
+    const session = await uploadSessionRepository.create({
+      userId: req.user.id,
+      files: files.map(({ field, name, mimeType, size }) => ({ field, name, mimeType, size, path: uploadPath(name) }))
+    }, SESSION_TTL_MS);
+    console.log(`Opened upload session ${session.id} for ${files.length} file(s)`);
+    res.status(201).json(await describeSession(session));
+  } catch (error) {
+    console.error('Error opening upload session:', error);
+    res.status(500).json({ error: 'Failed to open upload session', details: error.message });
+  }
+});
+
+app.get('/api/upload-sessions/:id', loadUploadSession, async (req, res) => {
+  try {
+    res.json(await describeSession(req.uploadSession));
+  } catch (error) {
+    console.error('Error reading upload session:', error);
+    res.status(500).json({ error: 'Failed to read upload session', details: error.message });
+  }
+});
+
+// Append a chunk: raw bytes in the body, ?offset= the position they start at,
+// which must equal the bytes received so far. A 409 carries the actual
+// "received" count to resume from.
+app.put('/api/upload-sessions/:id/files/:fileId', loadUploadSession, express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), async (req, res) => {
+  try {
+    const session = req.uploadSession;
+    if (session.status !== 'open') {
+      return res.status(409).json({ error: 'Upload session is already finalized' });
     }
-    // Enforce 1-20 photos
-    const photoFiles = req.files['photos'] || [];
-    const voiceFiles = req.files['voices'] || [];
-    if (photoFiles.length < 1 || photoFiles.length > 20) {
-      return res.status(400).json({ error: 'You must upload between 1 and 20 photos.' });
+    const file = session.files.find(f => f.id === req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in upload session' });
     }
-    if (!Array.isArray(parsedDescriptions) || parsedDescriptions.length !== photoFiles.length) {
-      return res.status(400).json({ error: 'photoDescriptions array must match number of uploaded images.' });
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a whole number of bytes' });
     }
-    // Helper to find the voice file for a given voiceFile name
-    function findVoiceFile(voiceFileName) {
-      return voiceFiles.find(f => f.originalname === voiceFileName);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (chunk.length === 0) {
+      return res.status(400).json({ error: 'Chunk is empty' });
     }
-    // Process each photo and its description
-    const photos = [];
-    for (let idx = 0; idx < photoFiles.length; idx++) {
-      const imageFile = photoFiles[idx];
-      const desc = parsedDescriptions[idx] || {};
-      let description = desc.description || '';
-      let type = desc.type || 'text';
-      let transcription = '';
-      // For voice notes, find and transcribe the audio file
-      if (type === 'voice' && desc.voiceFile) {
-        const audioFile = findVoiceFile(desc.voiceFile);
-        if (!audioFile) {
-          return res.status(400).json({ error: `Audio file ${desc.voiceFile} not found for photo at index ${idx}.` });
-        }
-        try {
-          const fileBuffer = fs.readFileSync(audioFile.path);
-          const transcriptResult = await speechToText(fileBuffer);
-          transcription = transcriptResult.text || '';
-          description = transcription;
-        } catch (err) {
-          console.error('Error transcribing audio for photo', audioFile.path, err);
-          transcription = '';
-        }
+    if (offset + chunk.length > file.size) {
+      return res.status(400).json({ error: `Chunk runs past the end of the file (${file.size} bytes)` });
+    }
+    const received = await appendChunk(file, offset, chunk);
+    if (received === null) {
+      return res.status(409).json({ error: 'Offset does not match the bytes received', received: await receivedBytes(file) });
+    }
+    res.json({ id: file.id, size: file.size, received, complete: received === file.size });
+  } catch (error) {
+    console.error('Error storing upload chunk:', error);
+    res.status(500).json({ error: 'Failed to store chunk', details: error.message });
+  }
+});
+
+// Create the report from a session's files. Takes the same fields as
+// POST /api/reports (as JSON), with photos in the order they were listed in
+// the session and voiceFile naming a voice file. Finalizing again returns
+// the report that was created.
+app.post('/api/upload-sessions/:id/finalize', loadUploadSession, async (req, res) => {
+  const session = req.uploadSession;
+  if (finalizingSessions.has(session.id)) {
+    return res.status(409).json({ error: 'Upload session is already being finalized' });
+  }
+  finalizingSessions.add(session.id);
+  try {
+    if (session.status === 'finalized') {
+      const report = await reportRepository.findById(session.reportId);
+      if (!report) {
+        return res.status(404).json({ error: 'The report created from this upload session no longer exists' });
       }
-      photos.push({
-        path: imageFile.path,
-        description,
-        type,
-        transcription
-      });
+      return res.json({ ...report, jobs: [] });
     }
-    const report = {
-      id: Date.now().toString(),
-      jobName,
-      clientName,
-      address,
-      date: date || new Date().toISOString().split('T')[0],
-      photos,
-      status: 'draft',
-      createdAt: new Date(),
-      aiReport: null // Will be filled after AI analysis
-    };
-    console.log('Created report:', report);
-    reports.push(report);
-    res.status(201).json(report);
+    const described = await describeSession(session);
+    const incomplete = described.files.filter(f => !f.complete);
+    if (incomplete.length > 0) {
+      return res.status(409).json({ error: 'Some files have not been fully uploaded', files: incomplete });
+    }
+    const asUpload = f => ({ path: f.path, originalname: f.name, mimetype: f.mimeType });
+    const result = await createReportFromUploads(
+      req.user,
+      req.body || {},
+      session.files.filter(f => f.field === 'photos').map(asUpload),
+      session.files.filter(f => f.field === 'voices').map(asUpload)
+    );
+    if (result.error) {
+      return res.status(400).json({ error: result.error, details: result.details });
+    }
+    await uploadSessionRepository.update(session.id, { status: 'finalized', reportId: result.report.id });
+    res.status(201).json({ ...result.report, jobs: result.jobs });
   } catch (error) {
-    console.error('Error creating report:', error);
+    console.error('Error finalizing upload session:', error);
     res.status(500).json({ error: 'Failed to create report', details: error.message });
+  } finally {
+    finalizingSessions.delete(session.id);
   }
 });
 
 // 2. Generate PDF - UPDATED WITH IMPROVED PDF GENERATION
-app.get('/api/reports/:id/pdf', async (req, res) => {
+app.get('/api/reports/:id/pdf', authorizeReport('read'), async (req, res) => {
+  console.log('Generating PDF for report:', req.params.id);
+  const report = req.report;
+  res.set('X-Report-Revision', String(report.revision));
+  await audit(req, 'pdf-download', { revision: report.revision });
+  await sendReportPDF(report, res);
+});
+
+// Sends the report's PDF as a download, rendering it unless an up-to-date
+// copy was already rendered in the background
+// A file of its own for each PDF rendered on request, so parallel downloads
+// of one report don't delete or overwrite each other's file
+function temporaryPDFPath(report) {
+  return path.join(os.tmpdir(), `report-${report.id}-${crypto.randomUUID()}.pdf`);
+}
+
+async function sendReportPDF(report, res) {
   try {
-    console.log('Generating PDF for report:', req.params.id);
-    
-    const report = reports.find(r => r.id === req.params.id);
-    if (!report) {
-      console.error('Report not found:', req.params.id);
-      return res.status(404).json({ error: 'Report not found' });
+    const cachedPath = await findCachedPDF(report);
+    if (cachedPath) {
+      console.log('Serving pre-rendered PDF:', cachedPath);
+      return res.download(cachedPath, `report-${report.id}.pdf`);
     }
 
     console.log('Creating PDF document...');
-    const pdfPath = path.join(__dirname, `report-${report.id}.pdf`);
-    
+    const pdfPath = temporaryPDFPath(report);
+
     try {
       // Use the improved PDF generation function
       await generateFormattedPDF(report, pdfPath);
@@ -764,101 +893,1000 @@ app.get('/api/reports/:id/pdf', async (req, res) => {
       details: error.message 
     });
   }
+}
+
+// HTML version of the report, e.g. to embed in a website, CRM or email.
+// ?images=inline (default) embeds the photos so the file stands alone;
+// ?images=link points them at the photo endpoint, which needs the same
+// Authorization header as this request.
+app.get('/api/reports/:id/html', authorizeReport('read'), async (req, res) => {
+  const images = req.query.images || 'inline';
+  if (!['inline', 'link'].includes(images)) {
+    return res.status(400).json({ error: 'images must be inline or link' });
+  }
+  try {
+    const report = req.report;
+    const base = `${publicBaseUrl(req)}/api/reports/${report.id}`;
+    const html = await generateReportHTML(report, {
+      imageUrl: images === 'link' ? (photo, size) => `${base}/photos/${photo.id}/image?size=${size}` : null
+    });
+    await audit(req, 'html-download', { revision: report.revision, images });
+    res.set({
+      'X-Report-Revision': String(report.revision),
+      'Content-Disposition': `inline; filename="report-${report.id}.html"`
+    });
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Error generating HTML report:', error);
+    res.status(500).json({ error: 'Failed to generate HTML', details: error.message });
+  }
 });
 
-// 4. Email Report
-app.post('/api/reports/:id/email', async (req, res) => {
+// Word version of the report, for clients who edit the wording or merge it
+// into their own documents
+app.get('/api/reports/:id/docx', authorizeReport('read'), async (req, res) => {
   try {
-    const { email } = req.body;
-    const report = reports.find(r => r.id === req.params.id);
-    if (!report) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
+    const report = req.report;
+    const buffer = await generateReportDOCX(report);
+    await audit(req, 'docx-download', { revision: report.revision });
+    res.set({
+      'X-Report-Revision': String(report.revision),
+      'Content-Disposition': `attachment; filename="report-${report.id}.docx"`
+    });
+    res.type('application/vnd.openxmlformats-officedocument.wordprocessingml.document').send(buffer);
+  } catch (error) {
+    console.error('Error generating DOCX report:', error);
+    res.status(500).json({ error: 'Failed to generate Word document', details: error.message });
+  }
+});
+
+// Renders and sends the report email to recipients ({ to, cc, bcc, replyTo }
+// as returned by parseRecipientFields), records the attempt in the delivery
+// log and responds. resentFrom is the delivery being repeated, if any.
+async function sendReportEmail(req, res, recipients, message, resentFrom = null) {
+  const report = req.report;
+  const pdfFileName = `report-${report.id}.pdf`;
+  const pdfPath = temporaryPDFPath(report);
+  let email = null;
+  try {
+    const organization = await organizationRepository.findForReport(report);
+    email = renderEmail('report', reportEmailValues(report, {
+      organization,
+      sender: req.user,
+      message,
+      pdfFileName
+    }));
+    // Replies go to the organization unless the sender says otherwise
+    const replyTo = recipients.replyTo || (organization && organization.email) || undefined;
 
     // Generate the PDF first
-    const pdfPath = path.join(__dirname, `report-${report.id}.pdf`);
     await generateFormattedPDF(report, pdfPath);
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: `Property Report - ${report.jobName}`,
-      text: `Please find attached the property report for ${report.jobName}.`,
+    const info = await mailer.send({
+      to: recipients.to,
+      cc: recipients.cc,
+      bcc: recipients.bcc,
+      replyTo,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
       attachments: [{
-        filename: `report-${report.id}.pdf`,
+        filename: pdfFileName,
         path: pdfPath
       }]
-    };
-
-    await transporter.sendMail(mailOptions);
-    
-    // Clean up the PDF file after sending
-    try {
-      fs.unlinkSync(pdfPath);
-      console.log('Temporary PDF file deleted after email sent');
-    } catch (err) {
-      console.error('Error deleting temporary PDF after email:', err);
+    });
+    const delivery = await emailDeliveryRepository.record({
+      reportId: report.id,
+      revision: report.revision,
+      senderId: req.user.id,
+      senderName: req.user.name || req.user.email,
+      ...recipients,
+      replyTo: replyTo || null,
+      subject: email.subject,
+      message: message || null,
+      resentFrom,
+      status: 'sent',
+      ...info
+    });
+    console.log(`Report ${report.id} emailed to ${info.accepted.length} recipient(s), message ${info.messageId}`);
+    await audit(req, 'email', {
+      to: recipients.to,
+      cc: recipients.cc,
+      bcc: recipients.bcc,
+      revision: report.revision,
+      deliveryId: delivery.id,
+      resentFrom
+    });
+    // Emailing an approved report is what sends it
+    if (report.status === 'approved') {
+      await reportRepository.update(report.id, { status: 'sent', sentAt: delivery.sentAt }, {
+        author: req.user,
+        reason: 'status-changed'
+      });
     }
-    
-    res.json({ message: 'Email sent successfully' });
+
+    res.json({ message: 'Email sent successfully', delivery });
   } catch (error) {
     console.error('Error sending email:', error);
+    try {
+      await emailDeliveryRepository.record({
+        reportId: report.id,
+        revision: report.revision,
+        senderId: req.user.id,
+        senderName: req.user.name || req.user.email,
+        ...recipients,
+        subject: email ? email.subject : null,
+        message: message || null,
+        resentFrom,
+        status: 'failed',
+        rejected: (error.rejected || []).map(String),
+        error: error.message
+      });
+    } catch (logError) {
+      console.error('Failed to record email delivery:', logError);
+    }
     res.status(500).json({ error: 'Failed to send email', details: error.message });
+  } finally {
+    // Clean up the PDF file after sending
+    fs.rm(pdfPath, { force: true }, err => {
+      if (err) console.error('Error deleting temporary PDF after email:', err);
+    });
+  }
+}
+
+// 4. Email Report
+// Body: { to, cc, bcc, replyTo, message }, where each recipient field is an
+// address, a comma separated list or an array. `email` is accepted in place
+// of `to` for older clients, and without either the email goes to the
+// site's or client's default recipients. Every attempt is kept in the
+// delivery log.
+app.post('/api/reports/:id/email', authorizeReport('read'), async (req, res) => {
+  const { message } = req.body;
+  const to = req.body.to || req.body.email || await defaultRecipients(req.report);
+  const { recipients, errors } = parseRecipientFields({ ...req.body, to });
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    errors.push('message must be a string');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid email request', details: errors });
+  }
+
+  await sendReportEmail(req, res, recipients, message);
+});
+
+// Re-send an email to the same recipients: { deliveryId } picks the delivery
+// to repeat, otherwise the latest one is used. The report is attached as it
+// is now, so a corrected report can go out to the same people.
+app.post('/api/reports/:id/email/resend', authorizeReport('read'), async (req, res) => {
+  const { deliveryId } = req.body || {};
+  const deliveries = await emailDeliveryRepository.listForReport(req.report.id);
+  const delivery = deliveryId ? deliveries.find(d => d.id === deliveryId) : deliveries[0];
+  if (!delivery) {
+    return res.status(404).json({ error: deliveryId ? 'Email delivery not found' : 'This report has not been emailed yet' });
+  }
+  const recipients = {
+    to: delivery.to,
+    cc: delivery.cc || [],
+    bcc: delivery.bcc || [],
+    replyTo: delivery.replyTo || null
+  };
+  await sendReportEmail(req, res, recipients, delivery.message, delivery.id);
+});
+
+// Emails sent for a report, newest first
+app.get('/api/reports/:id/emails', authorizeReport('read'), async (req, res) => {
+  res.json(await emailDeliveryRepository.listForReport(req.report.id));
+});
+
+// Share links: anyone with the link can view the report in a browser, without
+// an account, until it expires or is revoked
+const SHARE_LINK_DAYS = Number(process.env.SHARE_LINK_DAYS) || 7;
+const SHARE_LINK_MAX_DAYS = 90;
+const SHARE_IMAGE_SIZES = ['thumbnail', 'pdf'];
+
+function shareUrl(req, token) {
+  return `${publicBaseUrl(req)}/share/${token}`;
+}
+
+// Body: { expiresInDays } (default SHARE_LINK_DAYS). The response is the only
+// time the link's URL is shown.
+app.post('/api/reports/:id/share-links', authorizeReport('read'), async (req, res) => {
+  const { expiresInDays = SHARE_LINK_DAYS } = req.body || {};
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_LINK_MAX_DAYS) {
+    return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${SHARE_LINK_MAX_DAYS}` });
+  }
+  const { token, link } = await shareLinkRepository.create({
+    reportId: req.report.id,
+    createdBy: req.user,
+    ttlMs: expiresInDays * 24 * 60 * 60 * 1000
+  });
+  await audit(req, 'share-link-created', { linkId: link.id, expiresAt: link.expiresAt });
+  res.status(201).json({ ...link, url: shareUrl(req, token) });
+});
+
+app.get('/api/reports/:id/share-links', authorizeReport('read'), async (req, res) => {
+  res.json(await shareLinkRepository.listForReport(req.report.id));
+});
+
+app.delete('/api/reports/:id/share-links/:linkId', authorizeReport('read'), async (req, res) => {
+  const links = await shareLinkRepository.listForReport(req.report.id);
+  const existing = links.find(link => link.id === req.params.linkId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+  // Inspectors can only revoke the links they created
+  if (existing.createdBy !== req.user.id && !['reviewer', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+  const link = await shareLinkRepository.revoke(existing.id, req.user);
+  await audit(req, 'share-link-revoked', { linkId: link.id });
+  res.json(link);
+});
+
+// Public pages behind a share link. The token is the only credential, so the
+// pages are kept out of caches, search engines and Referer headers.
+app.use('/share/:token', (req, res, next) => {
+  res.set({
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex, nofollow',
+    'Referrer-Policy': 'no-referrer',
+    'Content-Security-Policy': "default-src 'none'; img-src 'self' data:; style-src 'unsafe-inline'"
+  });
+  next();
+});
+
+// Loads req.shareLink and req.report, or answers with an error page
+async function loadShareLink(req, res, next) {
+  try {
+    const link = await shareLinkRepository.findByToken(req.params.token);
+    const report = link && await reportRepository.findById(link.reportId);
+    if (!link || !report) {
+      return res.status(404).type('html').send(renderMessagePage('Report not found', 'This link is not valid. Please check you copied all of it.'));
+    }
+    if (!shareLinkRepository.isActive(link)) {
+      return res.status(410).type('html').send(renderMessagePage('Link no longer available', 'This link has expired or was withdrawn. Please ask the sender for a new one.'));
+    }
+    req.shareLink = link;
+    req.report = report;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Records that someone opened a share link; never fails the request
+async function recordShareOpen(req, kind) {
+  const visitor = { kind, ip: req.ip, userAgent: req.get('user-agent') };
+  try {
+    await shareLinkRepository.recordOpen(req.shareLink.id, visitor);
+    await auditRepository.record({
+      reportId: req.report.id,
+      action: 'share-link-opened',
+      actor: null,
+      details: { linkId: req.shareLink.id, ...visitor }
+    });
+  } catch (error) {
+    console.error(`Failed to record opening of share link ${req.shareLink.id}:`, error);
+  }
+}
+
+app.get('/share/:token', loadShareLink, async (req, res) => {
+  try {
+    const base = `/share/${encodeURIComponent(req.params.token)}`;
+    const html = await generateReportHTML(req.report, {
+      imageUrl: (photo, size) => `${base}/photos/${photo.id}?size=${size}`,
+      pdfUrl: `${base}/pdf`
+    });
+    await recordShareOpen(req, 'view');
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Error rendering shared report:', error);
+    res.status(500).type('html').send(renderMessagePage('Something went wrong', 'The report could not be shown. Please try again later.'));
+  }
+});
+
+app.get('/share/:token/pdf', loadShareLink, async (req, res) => {
+  res.set('X-Report-Revision', String(req.report.revision));
+  await recordShareOpen(req, 'pdf');
+  await sendReportPDF(req.report, res);
+});
+
+app.get('/share/:token/photos/:photoId', loadShareLink, async (req, res) => {
+  try {
+    const photo = req.report.photos.find(p => p.id === req.params.photoId);
+    const size = req.query.size || 'pdf';
+    if (!photo || !isStoredImage(photo.path) || !fs.existsSync(photo.path) || !SHARE_IMAGE_SIZES.includes(size)) {
+      return res.status(404).end();
+    }
+    const imagePath = await annotatedImagePath(photo, size);
+    if (!isStoredImage(imagePath)) {
+      return res.status(404).end();
+    }
+    res.sendFile(path.resolve(imagePath));
+  } catch (error) {
+    console.error('Error serving shared photo:', error);
+    res.status(500).end();
   }
 });
 
 // 5. Get all reports
-app.get('/api/reports', (req, res) => {
-  res.json(reports);
+// Query: q, client, status, priority, from, to, reportType (see reportFilters)
+// and sort, limit, cursor, view (see reportQuery). The body is one page of
+// reports, each with lastEmailedAt; X-Next-Cursor is the cursor for the next
+// page, when there is one, and X-Total-Count the number of matching reports.
+app.get('/api/reports', async (req, res) => {
+  const { options, errors } = parseListQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  const reports = await reportRepository.list(report => canAccessReport(req.user, report, 'read') && matchesReport(report, options.filters));
+  const { items, nextCursor, total } = pageReports(reports, options);
+  // Lets the list offer re-sending reports that have been emailed before
+  const lastEmailed = await emailDeliveryRepository.lastAttemptByReport(items.map(item => item.id));
+  if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+  res.set('X-Total-Count', String(total));
+  res.json(items.map(item => ({ ...item, lastEmailedAt: lastEmailed[item.id] || null })));
 });
 
 // 6. Get single report
-app.get('/api/reports/:id', (req, res) => {
-  const report = reports.find(r => r.id === req.params.id);
-  if (!report) {
-    return res.status(404).json({ error: 'Report not found' });
+app.get('/api/reports/:id', authorizeReport('read'), async (req, res) => {
+  const report = req.report;
+  await audit(req, 'view');
+  // Status changes this user can make, for the app's workflow buttons
+  res.json({ ...report, transitions: availableTransitions(req.user, report) });
+});
+
+// Copies a report into a new draft owned by the signed-in user: same job,
+// client, site and items, with copies of the photo and voice files. Findings
+// are not copied; the new draft is analyzed like any other.
+app.post('/api/reports/:id/duplicate', requireRole('inspector', 'admin'), authorizeReport('read'), async (req, res) => {
+  const source = req.report;
+  const copiedFiles = [];
+  const copyFile = async (filePath) => {
+    const copyPath = uploadPath(filePath);
+    await fs.promises.copyFile(filePath, copyPath);
+    copiedFiles.push(copyPath);
+    return copyPath;
+  };
+  try {
+    const photos = [];
+    for (const original of source.photos) {
+      const analyzed = original.imageAnalysis && original.imageAnalysis.status === 'completed';
+      const photo = {
+        id: crypto.randomUUID(),
+        path: await copyFile(original.path),
+        description: original.description || '',
+        type: original.type || 'text',
+        transcription: original.transcription || '',
+        annotations: structuredClone(original.annotations || []),
+        // The image is the same, so a finished analysis still holds
+        imageAnalysis: analyzed ? structuredClone(original.imageAnalysis) : { status: 'pending' }
+      };
+      if (original.voicePath) {
+        photo.voicePath = await copyFile(original.voicePath);
+        photo.transcriptionStatus = original.transcriptionStatus === 'completed' ? 'completed' : 'pending';
+        photo.transcriptionError = null;
+      }
+      Object.assign(photo, await ingestPhoto(photo));
+      photos.push(photo);
+    }
+    const report = await reportRepository.create({
+      ownerId: req.user.id,
+      organizationId: source.organizationId || null,
+      jobName: source.jobName,
+      clientName: source.clientName,
+      clientId: source.clientId || null,
+      siteId: source.siteId || null,
+      reportType: source.reportType || 'general',
+      template: source.template || null,
+      address: source.address,
+      date: new Date().toISOString().split('T')[0],
+      showPhotoTimestamps: Boolean(source.showPhotoTimestamps),
+      photos,
+      status: 'draft',
+      approvedAt: null,
+      approvedBy: null,
+      sentAt: null,
+      statusBeforeArchive: null,
+      aiReport: null
+    }, { author: req.user });
+    await auditRepository.record({ reportId: report.id, action: 'create', actor: req.user, details: { duplicatedFrom: source.id } });
+    await audit(req, 'duplicate', { reportId: report.id });
+    for (const photo of report.photos) {
+      if (photo.imageAnalysis.status === 'pending') {
+        await jobQueue.enqueue('analyze-image', { reportId: report.id, payload: { photoId: photo.id } });
+      }
+      if (photo.transcriptionStatus === 'pending') {
+        await jobQueue.enqueue('transcribe', { reportId: report.id, payload: { photoId: photo.id } });
+      }
+    }
+    console.log(`Report ${source.id} duplicated as ${report.id} by ${req.user.email}`);
+    res.status(201).json({ ...report, transitions: availableTransitions(req.user, report) });
+  } catch (error) {
+    console.error('Error duplicating report:', error);
+    copiedFiles.forEach(removeUploadedFile);
+    res.status(500).json({ error: 'Failed to duplicate report', details: error.message });
   }
-  res.json(report);
 });
 
-// Endpoint to trigger AI analysis for a report
-app.post('/api/reports/:id/analyze', async (req, res) => {
+// Delete a report with its files, revisions and share links. Locked reports
+// must be reopened first. The audit log and email deliveries are kept as a
+// record of what happened to it.
+app.delete('/api/reports/:id', authorizeReport('delete'), async (req, res) => {
   try {
-    const report = reports.find(r => r.id === req.params.id);
+    const report = await reportRepository.remove(req.report.id);
     if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
+    await shareLinkRepository.removeForReport(report.id);
+    (report.photos || []).forEach(photo => {
+      removeUploadedFile(photo.path);
+      removeUploadedFile(photo.voicePath);
+      removeRenditions(photo);
+      removeAnnotatedImages(photo);
+    });
+    fs.rm(path.join(PDF_DIR, `report-${report.id}.pdf`), { force: true }, err => {
+      if (err) console.error('Error deleting cached PDF:', err);
+    });
+    await audit(req, 'delete', { reportNumber: report.reportNumber });
+    console.log(`Report ${report.id} deleted by ${req.user.email}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting report:', error);
+    res.status(500).json({ error: 'Failed to delete report', details: error.message });
+  }
+});
+
+// Move a report through its lifecycle: { action, comment }, where action is
+// one of submit, approve, request-changes, reopen, archive, unarchive. See
+// services/lifecycle.js for who may do what.
+app.post('/api/reports/:id/transitions', authorizeReport('read'), async (req, res) => {
+  try {
+    const report = req.report;
+    const { action, comment } = req.body || {};
+    const plan = planTransition(req.user, report, action);
+    if (plan.error) {
+      return res.status(plan.status).json({ error: plan.error });
+    }
+    const updated = await reportRepository.update(report.id, plan.changes, {
+      author: req.user,
+      reason: 'status-changed'
+    });
+    await audit(req, 'status-change', { action, from: report.status, to: updated.status, comment: comment || null });
+    console.log(`Report ${report.id}: ${report.status} -> ${updated.status} (${action} by ${req.user.email})`);
+    res.json({ ...updated, transitions: availableTransitions(req.user, updated) });
+  } catch (error) {
+    console.error('Error changing report status:', error);
+    res.status(500).json({ error: 'Failed to change report status', details: error.message });
+  }
+});
+
+// Audit log of a report, newest first. Reviewers and admins only.
+app.get('/api/reports/:id/audit', requireRole('reviewer', 'admin'), authorizeReport('read'), async (req, res) => {
+  res.json(await auditRepository.listForReport(req.report.id));
+});
+
+// Endpoint to queue AI analysis for a report. Analysis waits for any voice
+// notes still being transcribed, then a PDF is rendered automatically.
+app.post('/api/reports/:id/analyze', authorizeReport('write'), async (req, res) => {
+  try {
+    const report = req.report;
     // Only analyze if not already analyzed or if forced
-    if (report.aiReport && !req.body.force) {
+    const force = Boolean(req.body && req.body.force);
+    if (report.aiReport && !force) {
       return res.json({ aiReport: report.aiReport });
     }
-    // Prepare photo descriptions for Gemini
-    const photoDescriptions = report.photos.map(photo => ({
-      description: photo.description,
-      type: photo.type,
-      transcription: photo.transcription
-    }));
-    const aiReport = await generateReportContent(photoDescriptions);
-    report.aiReport = aiReport;
-    res.json({ aiReport });
+    const job = await jobQueue.enqueue('analyze', {
+      reportId: report.id,
+      payload: { force },
+      dependsOn: await pendingJobIds(report.id, 'transcribe', 'analyze-image')
+    });
+    res.status(202).json({ job });
   } catch (error) {
     res.status(500).json({ error: 'Failed to analyze report', details: error.message });
   }
 });
 
+// Endpoint to queue a PDF render without downloading it
+app.post('/api/reports/:id/pdf/render', authorizeReport('read'), async (req, res) => {
+  try {
+    const report = req.report;
+    const job = await jobQueue.enqueue('render-pdf', {
+      reportId: report.id,
+      dependsOn: await pendingJobIds(report.id, 'analyze')
+    });
+    res.status(202).json({ job });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to queue PDF rendering', details: error.message });
+  }
+});
+
+// Endpoint to retry a voice note transcription (e.g., after a provider outage)
+app.post('/api/reports/:id/photos/:photoId/transcribe', authorizeReport('write'), async (req, res) => {
+  try {
+    const report = req.report;
+    const photo = report.photos.find(p => p.id === req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (photo.type !== 'voice' || !photo.voicePath) {
+      return res.status(400).json({ error: 'Photo does not have a voice note' });
+    }
+    if (!fs.existsSync(photo.voicePath)) {
+      return res.status(410).json({ error: 'Voice note file is no longer available' });
+    }
+    const updated = await reportRepository.updatePhoto(report.id, photo.id, {
+      transcriptionStatus: 'pending',
+      transcriptionError: null
+    }, { author: req.user });
+    const job = await jobQueue.enqueue('transcribe', { reportId: report.id, payload: { photoId: photo.id } });
+    res.status(202).json({ job, photo: updated });
+  } catch (error) {
+    console.error('Error retrying transcription:', error);
+    res.status(500).json({ error: 'Failed to transcribe voice note', details: error.message });
+  }
+});
+
+// Re-run label and text detection on a photo, e.g. after a failure
+app.post('/api/reports/:id/photos/:photoId/image-analysis', authorizeReport('write'), async (req, res) => {
+  try {
+    const report = req.report;
+    const photo = report.photos.find(p => p.id === req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (!fs.existsSync(photo.path)) {
+      return res.status(410).json({ error: 'Photo file is no longer available' });
+    }
+    const updated = await reportRepository.updatePhoto(report.id, photo.id, { imageAnalysis: { status: 'pending' } }, { author: req.user });
+    const job = await jobQueue.enqueue('analyze-image', { reportId: report.id, payload: { photoId: photo.id } });
+    res.status(202).json({ job, photo: updated });
+  } catch (error) {
+    console.error('Error retrying image analysis:', error);
+    res.status(500).json({ error: 'Failed to analyze photo', details: error.message });
+  }
+});
+
+// Job status (polling)
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = await jobRepository.findById(req.params.id);
+  const report = job && job.reportId && await reportRepository.findById(job.reportId);
+  if (!job || (job.reportId && !canAccessReport(req.user, report, 'read'))) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+app.get('/api/reports/:id/jobs', authorizeReport('read'), async (req, res) => {
+  const report = req.report;
+  res.json(await jobRepository.listByReport(report.id));
+});
+
+// Job status as Server-Sent Events: the current jobs first, then every change
+app.get('/api/reports/:id/events', authorizeReport('read'), async (req, res) => {
+  const report = req.report;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (job) => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+  (await jobRepository.listByReport(report.id)).forEach(send);
+
+  const onJob = (job) => {
+    if (job.reportId === report.id) send(job);
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  jobQueue.on('job', onJob);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobQueue.off('job', onJob);
+  });
+});
+
+// Report items (a photo with its text or voice note)
+const MAX_PHOTOS = 20;
+const itemUpload = upload.fields([{ name: 'photo', maxCount: 1 }, { name: 'voice', maxCount: 1 }]);
+
+// Append an item: multipart with "photo", optional "voice", and fields
+// type ('text' | 'voice'), description and annotations (JSON)
+app.post('/api/reports/:id/photos', authorizeReport('write'), idempotent(), itemUpload, async (req, res) => {
+  const files = req.files || {};
+  const imageFile = files.photo && files.photo[0];
+  const voiceFile = files.voice && files.voice[0];
+  const discardUploads = () => [imageFile, voiceFile].forEach(f => f && removeUploadedFile(f.path));
+  try {
+    const report = req.report;
+    if (!imageFile) {
+      discardUploads();
+      return res.status(400).json({ error: 'A photo is required' });
+    }
+    if (report.photos.length >= MAX_PHOTOS) {
+      discardUploads();
+      return res.status(400).json({ error: `A report can have at most ${MAX_PHOTOS} photos.` });
+    }
+    const type = req.body.type || (voiceFile ? 'voice' : 'text');
+    if (type === 'voice' && !voiceFile) {
+      discardUploads();
+      return res.status(400).json({ error: 'A voice note file is required for voice items' });
+    }
+    const annotations = parseAnnotations(req.body.annotations);
+    if (annotations.errors.length > 0) {
+      discardUploads();
+      return res.status(400).json({ error: 'Invalid annotations', details: annotations.errors });
+    }
+    const photo = {
+      id: crypto.randomUUID(),
+      path: imageFile.path,
+      description: type === 'text' ? (req.body.description || '') : '',
+      type,
+      transcription: '',
+      annotations: annotations.value,
+      imageAnalysis: { status: 'pending' }
+    };
+    if (type === 'voice') {
+      Object.assign(photo, { voicePath: voiceFile.path, transcriptionStatus: 'pending', transcriptionError: null });
+    }
+    Object.assign(photo, await ingestPhoto(photo));
+    const updated = await reportRepository.update(report.id, { photos: [...report.photos, photo] }, { author: req.user });
+    const jobs = await queueItemProcessing(updated, photo);
+    res.status(201).json({ photo, jobs });
+  } catch (error) {
+    console.error('Error adding report item:', error);
+    discardUploads();
+    res.status(500).json({ error: 'Failed to add item', details: error.message });
+  }
+});
+
+// Reorder items: { photoIds: [...] } listing every photo id in the new order
+app.put('/api/reports/:id/photos/order', authorizeReport('write'), async (req, res) => {
+  try {
+    const report = req.report;
+    const { photoIds } = req.body || {};
+    const currentIds = report.photos.map(p => p.id);
+    if (!Array.isArray(photoIds)
+      || photoIds.length !== currentIds.length
+      || new Set(photoIds).size !== photoIds.length
+      || !photoIds.every(id => currentIds.includes(id))) {
+      return res.status(400).json({ error: 'photoIds must list every photo of the report exactly once' });
+    }
+    const photos = photoIds.map(id => report.photos.find(p => p.id === id));
+    const updated = await reportRepository.update(report.id, {
+      photos,
+      aiReport: alignFindings(report.aiReport, photos)
+    }, { author: req.user });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error reordering report items:', error);
+    res.status(500).json({ error: 'Failed to reorder items', details: error.message });
+  }
+});
+
+// Replace an item's image; its finding is regenerated if the report was analyzed
+app.put('/api/reports/:id/photos/:photoId/image', authorizeReport('write'), upload.single('photo'), async (req, res) => {
+  try {
+    const report = req.report;
+    const photo = report.photos.find(p => p.id === req.params.photoId);
+    if (!photo) {
+      if (req.file) removeUploadedFile(req.file.path);
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A photo is required' });
+    }
+    const previous = { ...photo };
+    photo.path = req.file.path;
+    // Markup was positioned on the old image
+    photo.annotations = [];
+    photo.imageAnalysis = { status: 'pending' };
+    Object.assign(photo, await ingestPhoto(photo));
+    const updated = await reportRepository.update(report.id, {
+      photos: report.photos,
+      aiReport: removeFinding(report.aiReport, photo.id, report.photos)
+    }, { author: req.user });
+    removeUploadedFile(previous.path);
+    removeRenditions(previous);
+    const jobs = await queueItemProcessing(updated, photo);
+    res.json({ photo, jobs });
+  } catch (error) {
+    console.error('Error replacing photo:', error);
+    res.status(500).json({ error: 'Failed to replace photo', details: error.message });
+  }
+});
+
+// Replace an item's markup: { annotations: [...] }. The image itself is never
+// modified.
+app.put('/api/reports/:id/photos/:photoId/annotations', authorizeReport('write'), async (req, res) => {
+  try {
+    const photo = req.report.photos.find(p => p.id === req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    const { value, errors } = validateAnnotations((req.body || {}).annotations);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid annotations', details: errors });
+    }
+    res.json(await reportRepository.updatePhoto(req.report.id, photo.id, { annotations: value }, { author: req.user }));
+  } catch (error) {
+    console.error('Error saving annotations:', error);
+    res.status(500).json({ error: 'Failed to save annotations', details: error.message });
+  }
+});
+
+// An item's image with its markup composited on top, or the untouched
+// original with ?original=true. ?size=thumbnail or ?size=pdf serves the
+// smaller, auto-rotated renditions instead of the full-size image.
+const IMAGE_SIZES = ['original', 'thumbnail', 'pdf'];
+app.get('/api/reports/:id/photos/:photoId/image', authorizeReport('read'), async (req, res) => {
+  try {
+    const photo = req.report.photos.find(p => p.id === req.params.photoId);
+    if (!photo || !isStoredImage(photo.path) || !fs.existsSync(photo.path)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    const size = req.query.size || 'original';
+    if (!IMAGE_SIZES.includes(size)) {
+      return res.status(400).json({ error: `size must be one of ${IMAGE_SIZES.join(', ')}` });
+    }
+    const imagePath = req.query.original === 'true' ? photo.path : await annotatedImagePath(photo, size);
+    // Only files the server wrote are ever sent, whatever the report says
+    if (!isStoredImage(imagePath)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    res.sendFile(path.resolve(imagePath));
+  } catch (error) {
+    console.error('Error serving photo:', error);
+    res.status(500).json({ error: 'Failed to load photo', details: error.message });
+  }
+});
+
+// Edit an item's note: JSON { description } for a text note, or multipart
+// with a "voice" file to record a new voice note
+app.patch('/api/reports/:id/photos/:photoId', authorizeReport('write'), upload.single('voice'), async (req, res) => {
+  try {
+    const report = req.report;
+    const photo = report.photos.find(p => p.id === req.params.photoId);
+    if (!photo) {
+      if (req.file) removeUploadedFile(req.file.path);
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    const previousVoicePath = photo.voicePath;
+    if (req.file) {
+      Object.assign(photo, {
+        type: 'voice',
+        description: '',
+        transcription: '',
+        voicePath: req.file.path,
+        transcriptionStatus: 'pending',
+        transcriptionError: null
+      });
+    } else if (typeof (req.body || {}).description === 'string') {
+      Object.assign(photo, { type: 'text', description: req.body.description, transcription: '' });
+      delete photo.voicePath;
+      delete photo.transcriptionStatus;
+      delete photo.transcriptionError;
+    } else {
+      return res.status(400).json({ error: 'Provide a description or a voice file' });
+    }
+    // The old finding no longer matches the note, so drop it until re-analyzed
+    const updated = await reportRepository.update(report.id, {
+      photos: report.photos,
+      aiReport: removeFinding(report.aiReport, photo.id, report.photos)
+    }, { author: req.user });
+    if (previousVoicePath && previousVoicePath !== photo.voicePath) {
+      removeUploadedFile(previousVoicePath);
+    }
+    const jobs = await queueItemProcessing(updated, photo);
+    res.json({ photo, jobs });
+  } catch (error) {
+    console.error('Error updating report item:', error);
+    res.status(500).json({ error: 'Failed to update item', details: error.message });
+  }
+});
+
+// Remove an item together with its files and finding
+app.delete('/api/reports/:id/photos/:photoId', authorizeReport('write'), async (req, res) => {
+  try {
+    const report = req.report;
+    const photo = report.photos.find(p => p.id === req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (report.photos.length === 1) {
+      return res.status(400).json({ error: 'A report must keep at least one photo' });
+    }
+    const photos = report.photos.filter(p => p.id !== photo.id);
+    const updated = await reportRepository.update(report.id, {
+      photos,
+      aiReport: alignFindings(report.aiReport, photos)
+    }, { author: req.user });
+    removeUploadedFile(photo.path);
+    removeUploadedFile(photo.voicePath);
+    removeRenditions(photo);
+    removeAnnotatedImages(photo);
+    res.json(updated);
+  } catch (error) {
+    console.error('Error deleting report item:', error);
+    res.status(500).json({ error: 'Failed to delete item', details: error.message });
+  }
+});
+
 // Endpoint to update a report (e.g., to save edited aiReport)
-app.patch('/api/reports/:id', (req, res) => {
-  const report = reports.find(r => r.id === req.params.id);
-  if (!report) {
-    return res.status(404).json({ error: 'Report not found' });
+// Set by the server and the lifecycle transitions, never by PATCH
+const MANAGED_FIELDS = ['status', 'approvedAt', 'approvedBy', 'sentAt', 'statusBeforeArchive', 'revision'];
+// The only fields PATCH can change. Photos are edited through the per-item
+// endpoints, which check their files and markup.
+const PATCHABLE_FIELDS = [
+  'jobName',
+  'clientName',
+  'address',
+  'date',
+  'reportType',
+  'template',
+  'organizationId',
+  'showPhotoTimestamps',
+  'aiReport',
+  'clientId',
+  'siteId'
+];
+const REPORT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Type checks for the PATCH fields that don't need a lookup. Returns a list
+// of errors.
+function validateReportChanges(changes) {
+  const errors = [];
+  ['jobName', 'clientName', 'address', 'reportType'].forEach(field => {
+    if (field in changes && (typeof changes[field] !== 'string' || !changes[field].trim())) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+  if ('date' in changes && (typeof changes.date !== 'string' || !REPORT_DATE_PATTERN.test(changes.date))) {
+    errors.push('date must be a date in YYYY-MM-DD format');
   }
-  // Only update provided fields
-  Object.keys(req.body).forEach(key => {
-    if (key in report) {
-      report[key] = req.body[key];
+  ['template', 'organizationId', 'clientId', 'siteId'].forEach(field => {
+    if (field in changes && changes[field] !== null && typeof changes[field] !== 'string') {
+      errors.push(`${field} must be a string or null`);
     }
   });
-  res.json(report);
+  if ('showPhotoTimestamps' in changes && typeof changes.showPhotoTimestamps !== 'boolean') {
+    errors.push('showPhotoTimestamps must be true or false');
+  }
+  if ('aiReport' in changes && changes.aiReport !== null && typeof changes.aiReport !== 'object') {
+    errors.push('aiReport must be an object or null');
+  }
+  return errors;
+}
+
+app.patch('/api/reports/:id', authorizeReport('write'), async (req, res) => {
+  const report = req.report;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const managed = MANAGED_FIELDS.filter(field => field in body);
+  if (managed.length > 0) {
+    return res.status(400).json({
+      error: `${managed.join(', ')} can't be edited directly. Use POST /api/reports/:id/transitions to change the status.`
+    });
+  }
+  const unknown = Object.keys(body).filter(key => !PATCHABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `${unknown.join(', ')} can't be edited here`,
+      details: [`Editable fields are ${PATCHABLE_FIELDS.join(', ')}. Items are changed through /api/reports/:id/photos.`]
+    });
+  }
+  // Only update provided fields
+  const changes = {};
+  PATCHABLE_FIELDS.filter(field => field in body).forEach(field => {
+    changes[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+  });
+  const errors = validateReportChanges(changes);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid report changes', details: errors });
+  }
+  // Edited AI reports must keep the same structure the PDF renders from
+  if (changes.aiReport) {
+    const expectedFindings = report.aiReport ? report.aiReport.findings.length : report.photos.length;
+    const { value, errors } = validateAiReport(changes.aiReport, expectedFindings);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid aiReport', details: errors });
+    }
+    changes.aiReport = alignFindings(value, report.photos);
+  }
+  if (changes.template && !findTemplate(changes.template)) {
+    return res.status(400).json({ error: `Unknown PDF template "${changes.template}"` });
+  }
+  if (changes.organizationId && !(await organizationRepository.findById(changes.organizationId))) {
+    return res.status(400).json({ error: 'Organization not found' });
+  }
+  // New ids are checked; a new client name or address without them is
+  // matched against the directory again
+  if (['clientId', 'siteId', 'clientName', 'address'].some(field => field in changes)) {
+    const explicit = 'clientId' in changes || 'siteId' in changes;
+    const link = await linkReport({
+      clientId: explicit ? changes.clientId || null : ('clientName' in changes ? null : report.clientId),
+      siteId: explicit ? changes.siteId || null : null,
+      clientName: 'clientName' in changes ? changes.clientName : report.clientName,
+      address: 'address' in changes ? changes.address : report.address
+    });
+    if (link.error) {
+      return res.status(400).json({ error: link.error });
+    }
+    Object.assign(changes, link);
+  }
+  const updated = await reportRepository.update(report.id, changes, { author: req.user });
+  res.json(updated);
+});
+
+// Revision history. Every change to a report's content is kept as an
+// immutable revision; see services/revisions.js for what is versioned.
+app.get('/api/reports/:id/revisions', authorizeReport('read'), async (req, res) => {
+  res.json(await revisionRepository.listForReport(req.report.id));
+});
+
+// Field-level changes between two revisions: ?from=<number>&to=<number>, where
+// "to" defaults to the current revision
+app.get('/api/reports/:id/revisions/diff', authorizeReport('read'), async (req, res) => {
+  const report = req.report;
+  const from = Number(req.query.from);
+  const to = req.query.to === undefined ? report.revision : Number(req.query.to);
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return res.status(400).json({ error: 'from and to must be revision numbers' });
+  }
+  const [before, after] = await Promise.all([
+    revisionRepository.findByNumber(report.id, from),
+    revisionRepository.findByNumber(report.id, to)
+  ]);
+  if (!before || !after) {
+    return res.status(404).json({ error: `Revision ${before ? to : from} not found` });
+  }
+  const { snapshot: beforeSnapshot, ...fromRevision } = before;
+  const { snapshot: afterSnapshot, ...toRevision } = after;
+  res.json({ from: fromRevision, to: toRevision, changes: diffSnapshots(beforeSnapshot, afterSnapshot) });
+});
+
+app.get('/api/reports/:id/revisions/:number', authorizeReport('read'), async (req, res) => {
+  const revision = await revisionRepository.findByNumber(req.report.id, Number(req.params.number));
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  res.json(revision);
+});
+
+// Puts an old revision's content back, as a new revision. Photos added or
+// removed since are left as they are, and the status is not changed.
+app.post('/api/reports/:id/revisions/:number/restore', authorizeReport('write'), async (req, res) => {
+  try {
+    const report = req.report;
+    const revision = await revisionRepository.findByNumber(report.id, Number(req.params.number));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const changes = restoreChanges(report, revision.snapshot);
+    // Templates and organizations may have been removed since
+    if (changes.template && !findTemplate(changes.template)) {
+      changes.template = null;
+    }
+    if (changes.organizationId && !(await organizationRepository.findById(changes.organizationId))) {
+      changes.organizationId = report.organizationId;
+    }
+    // So may the client and site; the restored text is then matched again
+    let link = await linkReport(changes);
+    if (link.error) {
+      link = await linkReport({ clientName: changes.clientName, address: changes.address });
+    }
+    changes.clientId = link.clientId;
+    changes.siteId = link.siteId;
+    const updated = await reportRepository.update(report.id, changes, {
+      author: req.user,
+      reason: 'restored',
+      restoredFrom: revision.number
+    });
+    console.log(`Report ${report.id} restored to revision ${revision.number} (now revision ${updated.revision})`);
+    res.json(updated);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ error: 'Failed to restore revision', details: error.message });
+  }
 });
 
 // Error handling
@@ -877,6 +1905,10 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(port, '0.0.0.0', () => {
   console.log(`Server started on port ${port}`);
+  ensureBootstrapAdmin().catch(err => console.error('Failed to create admin account:', err));
+  jobQueue.start();
+  backfillPhotoRenditions().catch(err => console.error('Failed to create photo renditions:', err));
+  removeExpiredSessions().catch(err => console.error('Failed to remove expired upload sessions:', err));
   console.log(`Test URL: http://localhost:${port}/api/test`);
   console.log(`Reports URL: http://localhost:${port}/api/reports`);
 }).on('error', (err) => {
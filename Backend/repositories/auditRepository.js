@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// Append-only log of what people did with reports: views, edits, status
+// changes, PDF downloads and emails. Entries are never changed or removed.
+//
+// Entry shape:
+// { id, reportId, action, actorId, actorName, at, details }
+
+async function record({ reportId, action, actor, details = {} }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    reportId,
+    action,
+    actorId: actor ? actor.id : null,
+    actorName: actor ? (actor.name || actor.email) : null,
+    at: new Date().toISOString(),
+    details
+  };
+  store.collection('auditLog').push(entry);
+  await store.persist();
+  return structuredClone(entry);
+}
+
+// A report's entries, newest first
+async function listForReport(reportId) {
+  return store.collection('auditLog')
+    .filter(entry => entry.reportId === reportId)
+    .reverse()
+    .map(entry => structuredClone(entry));
+}
+
+module.exports = {
+  record,
+  listForReport
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+const { nameKey } = require('../services/directory');
+
+// Clients (customers) that reports are written for. Names are unique by
+// their key, see services/directory.js.
+//
+// Client shape:
+// {
+//   id, name,
+//   contacts: [{ name, role, email, phone }],
+//   emailRecipients: [address],  // default "to" for report emails
+//   notes, createdBy, createdAt, updatedAt
+// }
+
+const EDITABLE_FIELDS = ['name', 'contacts', 'emailRecipients', 'notes'];
+
+function pickEditable(fields) {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) picked[field] = fields[field];
+  });
+  return picked;
+}
+
+// Sorted by name; only clients passing the predicate are copied
+async function list(predicate = () => true) {
+  return store.collection('clients')
+    .filter(predicate)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(client => structuredClone(client));
+}
+
+async function findById(id) {
+  const client = store.collection('clients').find(c => c.id === id);
+  return client ? structuredClone(client) : null;
+}
+
+async function findByName(name) {
+  const key = nameKey(name);
+  const client = key && store.collection('clients').find(c => nameKey(c.name) === key);
+  return client ? structuredClone(client) : null;
+}
+
+async function create(fields, { author = null } = {}) {
+  const now = new Date().toISOString();
+  const client = {
+    id: crypto.randomUUID(),
+    name: '',
+    contacts: [],
+    emailRecipients: [],
+    notes: '',
+    ...pickEditable(fields),
+    createdBy: author ? author.id : null,
+    createdAt: now,
+    updatedAt: now
+  };
+  store.collection('clients').push(client);
+  await store.persist();
+  return structuredClone(client);
+}
+
+async function update(id, fields) {
+  const client = store.collection('clients').find(c => c.id === id);
+  if (!client) return null;
+  Object.assign(client, pickEditable(fields), { updatedAt: new Date().toISOString() });
+  await store.persist();
+  return structuredClone(client);
+}
+
+async function remove(id) {
+  const clients = store.collection('clients');
+  const idx = clients.findIndex(c => c.id === id);
+  if (idx === -1) return false;
+  clients.splice(idx, 1);
+  await store.persist();
+  return true;
+}
+
+module.exports = {
+  list,
+  findById,
+  findByName,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// Every attempt to email a report, whether it was accepted by the mail server
+// or not, so the app can show when and to whom a report went out.
+//
+// Delivery shape:
+// {
+//   id, reportId, revision, sentAt, senderId, senderName,
+//   to: [address], cc: [address], bcc: [address], replyTo, subject,
+//   message,     // the sender's note, if any
+//   resentFrom,  // id of the delivery this one repeats
+//   status: 'sent' | 'failed',
+//   messageId, accepted: [address], rejected: [address], response, error
+// }
+
+async function record(fields) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    sentAt: new Date().toISOString(),
+    messageId: null,
+    accepted: [],
+    rejected: [],
+    error: null,
+    message: null,
+    resentFrom: null,
+    ...fields
+  };
+  store.collection('emailDeliveries').push(delivery);
+  await store.persist();
+  return structuredClone(delivery);
+}
+
+// A report's deliveries, newest first
+async function listForReport(reportId) {
+  return store.collection('emailDeliveries')
+    .filter(delivery => delivery.reportId === reportId)
+    .reverse()
+    .map(delivery => structuredClone(delivery));
+}
+
+// When each of the given reports was last emailed (sent or failed), by
+// report id; reports never emailed are left out
+async function lastAttemptByReport(reportIds) {
+  const ids = new Set(reportIds);
+  const latest = {};
+  store.collection('emailDeliveries').forEach(delivery => {
+    if (ids.has(delivery.reportId) && !(latest[delivery.reportId] > delivery.sentAt)) {
+      latest[delivery.reportId] = delivery.sentAt;
+    }
+  });
+  return latest;
+}
+
+module.exports = {
+  record,
+  listForReport,
+  lastAttemptByReport
+};
@@ -0,0 +1,41 @@
+const store = require('../db/store');
+
+// Responses to requests sent with an Idempotency-Key header, so a client that
+// retries a request after losing the connection gets the original response
+// instead of creating the same thing twice. Keys are scoped to the user and
+// the request (method and path).
+
+async function find(userId, scope, key) {
+  const now = new Date().toISOString();
+  const record = store.collection('idempotencyKeys')
+    .find(r => r.userId === userId && r.scope === scope && r.key === key && r.expiresAt > now);
+  return record ? structuredClone(record) : null;
+}
+
+// The record is added synchronously, before the write is flushed, so a retry
+// that arrives while the response is still being sent already sees it
+async function save({ userId, scope, key, statusCode, body }, ttlMs) {
+  const now = Date.now();
+  const records = store.collection('idempotencyKeys');
+  const nowIso = new Date(now).toISOString();
+  for (let i = records.length - 1; i >= 0; i--) {
+    if (records[i].expiresAt <= nowIso) records.splice(i, 1);
+  }
+  const record = {
+    userId,
+    scope,
+    key,
+    statusCode,
+    body,
+    createdAt: nowIso,
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+  records.push(record);
+  await store.persist();
+  return structuredClone(record);
+}
+
+module.exports = {
+  find,
+  save
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// Persistent background jobs. Jobs survive restarts; anything still marked
+// running when the server starts was interrupted and is re-queued.
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+async function create({ type, reportId = null, payload = {}, maxAttempts = 3, dependsOn = [] }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    reportId,
+    payload,
+    status: 'queued',
+    progress: 0,
+    message: 'Queued',
+    attempts: 0,
+    maxAttempts,
+    dependsOn,
+    runAt: now,
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+  store.collection('jobs').push(job);
+  await store.persist();
+  return structuredClone(job);
+}
+
+async function findById(id) {
+  const job = store.collection('jobs').find(j => j.id === id);
+  return job ? structuredClone(job) : null;
+}
+
+async function listByReport(reportId) {
+  return store.collection('jobs')
+    .filter(j => j.reportId === reportId)
+    .map(job => structuredClone(job));
+}
+
+async function update(id, changes) {
+  const job = store.collection('jobs').find(j => j.id === id);
+  if (!job) return null;
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await store.persist();
+  return structuredClone(job);
+}
+
+// Marks the oldest runnable job as running and returns it. A job is runnable
+// when it is queued, its backoff delay has passed and every job it depends on
+// has finished.
+async function claimNext() {
+  const jobs = store.collection('jobs');
+  const now = new Date().toISOString();
+  const job = jobs.find(candidate => {
+    if (candidate.status !== 'queued' || candidate.runAt > now) return false;
+    return candidate.dependsOn.every(depId => {
+      const dep = jobs.find(j => j.id === depId);
+      return !dep || FINISHED_STATUSES.includes(dep.status);
+    });
+  });
+  if (!job) return null;
+  Object.assign(job, {
+    status: 'running',
+    attempts: job.attempts + 1,
+    startedAt: job.startedAt || now,
+    updatedAt: now
+  });
+  await store.persist();
+  return structuredClone(job);
+}
+
+async function requeueInterrupted() {
+  const interrupted = store.collection('jobs').filter(j => j.status === 'running');
+  interrupted.forEach(job => {
+    Object.assign(job, { status: 'queued', message: 'Re-queued after restart', updatedAt: new Date().toISOString() });
+  });
+  if (interrupted.length > 0) {
+    await store.persist();
+  }
+  return interrupted.length;
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  create,
+  findById,
+  listByReport,
+  update,
+  claimNext,
+  requeueInterrupted
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// Organization (branch) profiles used to brand generated reports. Exactly one
+// profile is the default, used for reports and users without their own.
+
+const EDITABLE_FIELDS = [
+  'name',
+  'primaryColor',
+  'secondaryColor',
+  'address',
+  'phone',
+  'email',
+  'website',
+  'licenceNumber',
+  'insuranceNumber',
+  'footerDisclaimer',
+  'logoPath'
+];
+
+function pickEditable(fields) {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) picked[field] = fields[field];
+  });
+  return picked;
+}
+
+async function list() {
+  return store.collection('organizations').map(org => structuredClone(org));
+}
+
+async function findById(id) {
+  const org = store.collection('organizations').find(o => o.id === id);
+  return org ? structuredClone(org) : null;
+}
+
+async function findDefault() {
+  const org = store.collection('organizations').find(o => o.isDefault);
+  return org ? structuredClone(org) : null;
+}
+
+function setDefault(id) {
+  store.collection('organizations').forEach(org => {
+    org.isDefault = org.id === id;
+  });
+}
+
+async function create(fields) {
+  const organizations = store.collection('organizations');
+  const now = new Date().toISOString();
+  const org = {
+    id: crypto.randomUUID(),
+    name: '',
+    primaryColor: '#0A79DF',
+    secondaryColor: '#333333',
+    address: '',
+    phone: '',
+    email: '',
+    website: '',
+    licenceNumber: '',
+    insuranceNumber: '',
+    footerDisclaimer: '',
+    logoPath: null,
+    ...pickEditable(fields),
+    isDefault: false,
+    createdAt: now,
+    updatedAt: now
+  };
+  organizations.push(org);
+  // The first profile becomes the default automatically
+  if (fields.isDefault || organizations.length === 1) {
+    setDefault(org.id);
+  }
+  await store.persist();
+  return structuredClone(org);
+}
+
+async function update(id, fields) {
+  const org = store.collection('organizations').find(o => o.id === id);
+  if (!org) return null;
+  Object.assign(org, pickEditable(fields), { updatedAt: new Date().toISOString() });
+  if (fields.isDefault === true) {
+    setDefault(org.id);
+  }
+  await store.persist();
+  return structuredClone(org);
+}
+
+async function remove(id) {
+  const organizations = store.collection('organizations');
+  const idx = organizations.findIndex(o => o.id === id);
+  if (idx === -1) return false;
+  const [removed] = organizations.splice(idx, 1);
+  if (removed.isDefault && organizations.length > 0) {
+    setDefault(organizations[0].id);
+  }
+  await store.persist();
+  return true;
+}
+
+// Branding for a report: its own organization, else the default profile
+async function findForReport(report) {
+  const org = report.organizationId && await findById(report.organizationId);
+  return org || findDefault();
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  list,
+  findById,
+  findDefault,
+  create,
+  update,
+  remove,
+  findForReport
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+const revisionRepository = require('./revisionRepository');
+
+// All report reads and writes go through this module so routes never touch the
+// underlying store directly. Callers get copies; changes must be saved with
+// update() to be persisted.
+//
+// Writes that change a report's content also record a revision, and
+// report.revision holds the number of the current one. Pass { author } (the
+// signed-in user) for changes people make; changes without an author are
+// attributed to the system.
+
+function formatReportNumber(year, sequence) {
+  return `RPT-${year}-${String(sequence).padStart(4, '0')}`;
+}
+
+// Only reports passing the optional predicate are copied, so filtering a
+// large list is cheap
+async function list(predicate = () => true) {
+  return store.collection('reports').filter(predicate).map(report => structuredClone(report));
+}
+
+async function findById(id) {
+  const report = store.collection('reports').find(r => r.id === id);
+  return report ? structuredClone(report) : null;
+}
+
+// Stamps the report with its latest revision number, if this write made one
+function recordRevision(report, options) {
+  const revision = revisionRepository.record(report, options);
+  if (revision) report.revision = revision.number;
+}
+
+async function create(fields, { author = null } = {}) {
+  const now = new Date();
+  const year = now.getFullYear();
+  const report = {
+    ...fields,
+    id: crypto.randomUUID(),
+    reportNumber: formatReportNumber(year, store.nextSequence(`reportNumber:${year}`)),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+  store.collection('reports').push(report);
+  recordRevision(report, { author, reason: 'created' });
+  await store.persist();
+  return structuredClone(report);
+}
+
+// options: { author, reason: 'edited' | 'restored' | 'status-changed', restoredFrom }
+async function update(id, changes, options = {}) {
+  const report = store.collection('reports').find(r => r.id === id);
+  if (!report) return null;
+  // Identity fields are assigned once at creation and never overwritten, and
+  // the revision number only changes with a new revision
+  const { id: _id, reportNumber, createdAt, revision, ...editable } = changes;
+  Object.assign(report, editable, { updatedAt: new Date().toISOString() });
+  recordRevision(report, options);
+  await store.persist();
+  return structuredClone(report);
+}
+
+// Updates a single photo in place, so background jobs working on different
+// photos of the same report don't overwrite each other's results
+async function updatePhoto(reportId, photoId, changes, options = {}) {
+  const report = store.collection('reports').find(r => r.id === reportId);
+  const photo = report && (report.photos || []).find(p => p.id === photoId);
+  if (!photo) return null;
+  Object.assign(photo, changes);
+  report.updatedAt = new Date().toISOString();
+  recordRevision(report, options);
+  await store.persist();
+  return structuredClone(photo);
+}
+
+// Deletes a report together with its revisions. Returns the removed report,
+// or null if there was none; its files are left for the caller to remove.
+async function remove(id) {
+  const reports = store.collection('reports');
+  const idx = reports.findIndex(r => r.id === id);
+  if (idx === -1) return null;
+  const [removed] = reports.splice(idx, 1);
+  revisionRepository.removeForReport(id);
+  await store.persist();
+  return removed;
+}
+
+module.exports = {
+  list,
+  findById,
+  create,
+  update,
+  updatePhoto,
+  remove
+};
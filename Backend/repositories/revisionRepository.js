@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+const { revisionSnapshot, isEqual, changedFields } = require('../services/revisions');
+
+// Immutable report revisions. reportRepository records one whenever a write
+// changes the versioned parts of a report (see services/revisions.js).
+//
+// Revision shape:
+// {
+//   id, reportId, number, createdAt,
+//   authorId, authorName,  // null for changes made by background jobs
+//   reason: 'imported' | 'created' | 'edited' | 'restored' | 'status-changed',
+//   restoredFrom,          // revision number, for restores
+//   changedFields: [string],
+//   snapshot
+// }
+
+function latestFor(reportId) {
+  return store.collection('revisions')
+    .filter(r => r.reportId === reportId)
+    .reduce((latest, r) => (!latest || r.number > latest.number ? r : latest), null);
+}
+
+// Adds a revision for the report's current state unless it matches the latest
+// one, and returns it (or null). Synchronous, so the caller can persist the
+// report and its revision in a single write.
+function record(report, { author = null, reason = 'edited', restoredFrom = null } = {}) {
+  const snapshot = revisionSnapshot(report);
+  const latest = latestFor(report.id);
+  if (latest && isEqual(latest.snapshot, snapshot)) return null;
+  const revision = {
+    id: crypto.randomUUID(),
+    reportId: report.id,
+    number: latest ? latest.number + 1 : 1,
+    createdAt: new Date().toISOString(),
+    authorId: author ? author.id : null,
+    authorName: author ? (author.name || author.email) : null,
+    reason,
+    restoredFrom,
+    changedFields: changedFields(latest && latest.snapshot, snapshot),
+    snapshot
+  };
+  store.collection('revisions').push(revision);
+  return structuredClone(revision);
+}
+
+// Revisions of a report, oldest first, without their snapshots
+async function listForReport(reportId) {
+  return store.collection('revisions')
+    .filter(r => r.reportId === reportId)
+    .sort((a, b) => a.number - b.number)
+    .map(({ snapshot, ...revision }) => structuredClone(revision));
+}
+
+async function findByNumber(reportId, number) {
+  const revision = store.collection('revisions').find(r => r.reportId === reportId && r.number === number);
+  return revision ? structuredClone(revision) : null;
+}
+
+// Synchronous like record(), so the report and its history go in one write
+function removeForReport(reportId) {
+  const revisions = store.collection('revisions');
+  for (let i = revisions.length - 1; i >= 0; i--) {
+    if (revisions[i].reportId === reportId) revisions.splice(i, 1);
+  }
+}
+
+module.exports = {
+  record,
+  removeForReport,
+  listForReport,
+  findByNumber
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// Login sessions. Only a SHA-256 hash of each bearer token is stored, so a
+// copy of the database can't be used to impersonate users.
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function create(userId, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+  // Drop this user's expired sessions while we're here
+  const sessions = store.collection('sessions');
+  const nowIso = session.createdAt;
+  for (let i = sessions.length - 1; i >= 0; i--) {
+    if (sessions[i].userId === userId && sessions[i].expiresAt <= nowIso) {
+      sessions.splice(i, 1);
+    }
+  }
+  sessions.push(session);
+  await store.persist();
+  return { token, session: structuredClone(session) };
+}
+
+async function findValid(token) {
+  const tokenHash = hashToken(token);
+  const session = store.collection('sessions').find(s => s.tokenHash === tokenHash);
+  if (!session || session.expiresAt <= new Date().toISOString()) return null;
+  return structuredClone(session);
+}
+
+async function remove(id) {
+  const sessions = store.collection('sessions');
+  const idx = sessions.findIndex(s => s.id === id);
+  if (idx === -1) return false;
+  sessions.splice(idx, 1);
+  await store.persist();
+  return true;
+}
+
+async function removeForUser(userId) {
+  const sessions = store.collection('sessions');
+  const before = sessions.length;
+  for (let i = sessions.length - 1; i >= 0; i--) {
+    if (sessions[i].userId === userId) sessions.splice(i, 1);
+  }
+  if (sessions.length !== before) {
+    await store.persist();
+  }
+}
+
+module.exports = {
+  create,
+  findValid,
+  remove,
+  removeForUser
+};
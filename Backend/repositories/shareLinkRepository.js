@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// Links that let anyone holding them view a report in the browser without an
+// account. Like login sessions, only a SHA-256 hash of each token is stored,
+// so the link itself is only shown once, when it is created.
+//
+// Link shape:
+// {
+//   id, reportId, tokenHash, createdAt, createdBy, createdByName, expiresAt,
+//   revokedAt, revokedBy,
+//   openCount, lastOpenedAt,
+//   opens: [{ at, kind: 'view' | 'pdf', ip, userAgent }]  // most recent MAX_OPENS
+// }
+const MAX_OPENS = 100;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function withoutHash({ tokenHash, ...link }) {
+  return structuredClone(link);
+}
+
+// Returns { token, link }
+async function create({ reportId, createdBy, ttlMs }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const now = Date.now();
+  const link = {
+    id: crypto.randomUUID(),
+    reportId,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    createdBy: createdBy ? createdBy.id : null,
+    createdByName: createdBy ? (createdBy.name || createdBy.email) : null,
+    expiresAt: new Date(now + ttlMs).toISOString(),
+    revokedAt: null,
+    revokedBy: null,
+    openCount: 0,
+    lastOpenedAt: null,
+    opens: []
+  };
+  store.collection('shareLinks').push(link);
+  await store.persist();
+  return { token, link: withoutHash(link) };
+}
+
+// The link for a token, expired and revoked ones included, so callers can
+// tell a dead link from an unknown one
+async function findByToken(token) {
+  const tokenHash = hashToken(token);
+  const link = store.collection('shareLinks').find(l => l.tokenHash === tokenHash);
+  return link ? withoutHash(link) : null;
+}
+
+function isActive(link) {
+  return !link.revokedAt && link.expiresAt > new Date().toISOString();
+}
+
+// A report's links, newest first
+async function listForReport(reportId) {
+  return store.collection('shareLinks')
+    .filter(link => link.reportId === reportId)
+    .reverse()
+    .map(withoutHash);
+}
+
+async function revoke(id, user) {
+  const link = store.collection('shareLinks').find(l => l.id === id);
+  if (!link) return null;
+  if (!link.revokedAt) {
+    link.revokedAt = new Date().toISOString();
+    link.revokedBy = user ? user.id : null;
+    await store.persist();
+  }
+  return withoutHash(link);
+}
+
+async function recordOpen(id, { kind, ip, userAgent }) {
+  const link = store.collection('shareLinks').find(l => l.id === id);
+  if (!link) return null;
+  const open = { at: new Date().toISOString(), kind, ip: ip || null, userAgent: userAgent || null };
+  link.openCount += 1;
+  link.lastOpenedAt = open.at;
+  link.opens.push(open);
+  if (link.opens.length > MAX_OPENS) link.opens.splice(0, link.opens.length - MAX_OPENS);
+  await store.persist();
+  return withoutHash(link);
+}
+
+async function removeForReport(reportId) {
+  const links = store.collection('shareLinks');
+  const before = links.length;
+  for (let i = links.length - 1; i >= 0; i--) {
+    if (links[i].reportId === reportId) links.splice(i, 1);
+  }
+  if (links.length !== before) await store.persist();
+}
+
+module.exports = {
+  create,
+  findByToken,
+  isActive,
+  listForReport,
+  revoke,
+  recordOpen,
+  removeForReport
+};
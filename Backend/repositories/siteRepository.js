@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+const { nameKey } = require('../services/directory');
+
+// Sites (buildings or properties) of a client. A site's address is unique
+// within its client by its key, see services/directory.js.
+//
+// Site shape:
+// {
+//   id, clientId, name, address,
+//   contacts: [{ name, role, email, phone }],
+//   emailRecipients: [address],  // default "to" for report emails, before the client's
+//   notes, createdBy, createdAt, updatedAt
+// }
+
+const EDITABLE_FIELDS = ['name', 'address', 'contacts', 'emailRecipients', 'notes'];
+
+function pickEditable(fields) {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) picked[field] = fields[field];
+  });
+  return picked;
+}
+
+// Sorted by name; only sites passing the predicate are copied
+async function list(predicate = () => true) {
+  return store.collection('sites')
+    .filter(predicate)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(site => structuredClone(site));
+}
+
+async function findById(id) {
+  const site = store.collection('sites').find(s => s.id === id);
+  return site ? structuredClone(site) : null;
+}
+
+async function findByAddress(clientId, address) {
+  const key = nameKey(address);
+  const site = key && store.collection('sites').find(s => s.clientId === clientId && nameKey(s.address) === key);
+  return site ? structuredClone(site) : null;
+}
+
+async function create(clientId, fields, { author = null } = {}) {
+  const now = new Date().toISOString();
+  const site = {
+    id: crypto.randomUUID(),
+    clientId,
+    name: '',
+    address: '',
+    contacts: [],
+    emailRecipients: [],
+    notes: '',
+    ...pickEditable(fields),
+    createdBy: author ? author.id : null,
+    createdAt: now,
+    updatedAt: now
+  };
+  // Sites without a name go by their address
+  site.name = site.name || site.address;
+  store.collection('sites').push(site);
+  await store.persist();
+  return structuredClone(site);
+}
+
+async function update(id, fields) {
+  const site = store.collection('sites').find(s => s.id === id);
+  if (!site) return null;
+  Object.assign(site, pickEditable(fields), { updatedAt: new Date().toISOString() });
+  site.name = site.name || site.address;
+  await store.persist();
+  return structuredClone(site);
+}
+
+async function remove(id) {
+  const sites = store.collection('sites');
+  const idx = sites.findIndex(s => s.id === id);
+  if (idx === -1) return false;
+  sites.splice(idx, 1);
+  await store.persist();
+  return true;
+}
+
+module.exports = {
+  list,
+  findById,
+  findByAddress,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// Resumable upload sessions. A session lists the files a report will be
+// created from; their bytes are appended to files in the uploads folder, so
+// the session itself only records where each file lives and how big it will be.
+//
+// Session shape:
+// {
+//   id, userId, status: 'open' | 'finalized', reportId,
+//   files: [{ id, field: 'photos' | 'voices', name, mimeType, size, path }],
+//   createdAt, updatedAt, expiresAt
+// }
+
+async function create({ userId, files }, ttlMs) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    status: 'open',
+    reportId: null,
+    files: files.map(file => ({ id: crypto.randomUUID(), ...file })),
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+  store.collection('uploadSessions').push(session);
+  await store.persist();
+  return structuredClone(session);
+}
+
+async function findById(id) {
+  const session = store.collection('uploadSessions').find(s => s.id === id);
+  return session ? structuredClone(session) : null;
+}
+
+async function update(id, fields) {
+  const session = store.collection('uploadSessions').find(s => s.id === id);
+  if (!session) return null;
+  Object.assign(session, fields, { updatedAt: new Date().toISOString() });
+  await store.persist();
+  return structuredClone(session);
+}
+
+// Removes sessions past their expiry and returns them, so their files can be
+// cleaned up
+async function removeExpired() {
+  const sessions = store.collection('uploadSessions');
+  const now = new Date().toISOString();
+  const expired = [];
+  for (let i = sessions.length - 1; i >= 0; i--) {
+    if (sessions[i].expiresAt <= now) expired.push(...sessions.splice(i, 1));
+  }
+  if (expired.length > 0) {
+    await store.persist();
+  }
+  return expired;
+}
+
+module.exports = {
+  create,
+  findById,
+  update,
+  removeExpired
+};
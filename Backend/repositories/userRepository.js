@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const store = require('../db/store');
+
+// User accounts. Password hashes never leave this module: every read returns
+// the public view of a user.
+
+function toPublic(user) {
+  const { passwordHash, ...rest } = user;
+  return structuredClone(rest);
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+async function list() {
+  return store.collection('users').map(toPublic);
+}
+
+async function count() {
+  return store.collection('users').length;
+}
+
+async function findById(id) {
+  const user = store.collection('users').find(u => u.id === id);
+  return user ? toPublic(user) : null;
+}
+
+async function findByEmail(email) {
+  const user = store.collection('users').find(u => u.email === normalizeEmail(email));
+  return user ? toPublic(user) : null;
+}
+
+// Only used by login, which needs the hash to verify a password
+async function findCredentials(email) {
+  const user = store.collection('users').find(u => u.email === normalizeEmail(email));
+  return user ? { id: user.id, passwordHash: user.passwordHash, active: user.active } : null;
+}
+
+async function create({ email, name, role, passwordHash, organizationId = null }) {
+  const now = new Date().toISOString();
+  const user = {
+    id: crypto.randomUUID(),
+    email: normalizeEmail(email),
+    name: name || '',
+    role,
+    passwordHash,
+    organizationId,
+    active: true,
+    createdAt: now,
+    updatedAt: now
+  };
+  store.collection('users').push(user);
+  await store.persist();
+  return toPublic(user);
+}
+
+async function update(id, changes) {
+  const user = store.collection('users').find(u => u.id === id);
+  if (!user) return null;
+  const { id: _id, email, createdAt, ...editable } = changes;
+  Object.assign(user, editable, { updatedAt: new Date().toISOString() });
+  await store.persist();
+  return toPublic(user);
+}
+
+module.exports = {
+  normalizeEmail,
+  list,
+  count,
+  findById,
+  findByEmail,
+  findCredentials,
+  create,
+  update
+};
@@ -0,0 +1,36 @@
+const express = require('express');
+const sessionRepository = require('../repositories/sessionRepository');
+const { login, requireAuth } = require('../services/auth');
+
+const router = express.Router();
+
+// Log in with email and password; returns a bearer token for the Authorization header
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    const result = await login(email, password);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    console.log('User logged in:', result.user.email);
+    res.json(result);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in', details: error.message });
+  }
+});
+
+// End the current session
+router.post('/logout', requireAuth, async (req, res) => {
+  await sessionRepository.remove(req.session.id);
+  res.json({ message: 'Logged out' });
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
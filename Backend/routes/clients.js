@@ -0,0 +1,103 @@
+const express = require('express');
+const clientRepository = require('../repositories/clientRepository');
+const siteRepository = require('../repositories/siteRepository');
+const reportRepository = require('../repositories/reportRepository');
+const { requireAuth, requireRole } = require('../services/auth');
+const { nameKey, validateEntry } = require('../services/directory');
+
+// The client directory. Everyone signed in can look clients up and add or
+// edit them while writing reports; only admins can delete them.
+const router = express.Router();
+router.use(requireAuth);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseLimit(value) {
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT;
+}
+
+// Names must stay unique so reports don't end up split across spellings
+async function nameConflict(name, id = null) {
+  const existing = await clientRepository.findByName(name);
+  return existing && existing.id !== id ? existing : null;
+}
+
+// ?q= matches part of the name, for autocomplete; ?limit= caps the results
+router.get('/', async (req, res) => {
+  const key = nameKey(req.query.q);
+  const clients = await clientRepository.list(client => !key || nameKey(client.name).includes(key));
+  res.json(clients.slice(0, parseLimit(req.query.limit)));
+});
+
+// A client with its sites
+router.get('/:id', async (req, res) => {
+  const client = await clientRepository.findById(req.params.id);
+  if (!client) {
+    return res.status(404).json({ error: 'Client not found' });
+  }
+  res.json({ ...client, sites: await siteRepository.list(site => site.clientId === client.id) });
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { fields, errors } = validateEntry(req.body, { partial: false, required: ['name'] });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid client', details: errors });
+    }
+    const existing = await nameConflict(fields.name);
+    if (existing) {
+      return res.status(409).json({ error: `A client named "${existing.name}" already exists`, client: existing });
+    }
+    res.status(201).json(await clientRepository.create(fields, { author: req.user }));
+  } catch (error) {
+    console.error('Error creating client:', error);
+    res.status(500).json({ error: 'Failed to create client', details: error.message });
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const { fields, errors } = validateEntry(req.body, { partial: true, required: ['name'] });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid client', details: errors });
+    }
+    const existing = fields.name && await nameConflict(fields.name, req.params.id);
+    if (existing) {
+      return res.status(409).json({ error: `A client named "${existing.name}" already exists`, client: existing });
+    }
+    const client = await clientRepository.update(req.params.id, fields);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    res.json(client);
+  } catch (error) {
+    console.error('Error updating client:', error);
+    res.status(500).json({ error: 'Failed to update client', details: error.message });
+  }
+});
+
+// Clients with sites or reports are kept, so no report loses its client
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const client = await clientRepository.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const sites = await siteRepository.list(site => site.clientId === client.id);
+    const reports = await reportRepository.list(report => report.clientId === client.id);
+    if (sites.length > 0 || reports.length > 0) {
+      return res.status(409).json({
+        error: `This client has ${sites.length} site(s) and ${reports.length} report(s). Delete those first.`
+      });
+    }
+    await clientRepository.remove(client.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting client:', error);
+    res.status(500).json({ error: 'Failed to delete client', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const reportRepository = require('../repositories/reportRepository');
+const { requireAuth } = require('../services/auth');
+const { canAccessReport } = require('../services/permissions');
+const { parseReportFilters } = require('../services/reportFilters');
+const { findingRows, toCsv, toXlsx } = require('../services/findingsExport');
+
+// Findings across all the reports a user can read, one row per finding.
+// Takes the same filters as GET /api/reports.
+const router = express.Router();
+router.use(requireAuth);
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+async function readableRows(req) {
+  const { filters, errors } = parseReportFilters(req.query);
+  if (errors.length > 0) return { errors };
+  const reports = await reportRepository.list(report => canAccessReport(req.user, report, 'read'));
+  return { rows: findingRows(reports, filters) };
+}
+
+router.get('/', async (req, res) => {
+  const { rows, errors } = await readableRows(req);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid filters', details: errors });
+  }
+  res.json(rows);
+});
+
+// ?format=csv (default) or xlsx
+router.get('/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+  const { rows, errors } = await readableRows(req);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid filters', details: errors });
+  }
+  try {
+    const fileName = `findings-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(toCsv(rows));
+    }
+    const buffer = await toXlsx(rows);
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Error exporting findings:', error);
+    res.status(500).json({ error: 'Failed to export findings', details: error.message });
+  }
+});
+
+module.exports = router;
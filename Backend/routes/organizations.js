@@ -0,0 +1,134 @@
+const express = require('express');
+const organizationRepository = require('../repositories/organizationRepository');
+const { requireAuth, requireRole } = require('../services/auth');
+const { upload, removeUploadedFile } = require('../services/uploads');
+
+// Organization (branch) profiles used to brand generated PDFs. Any signed-in
+// user can read them; only admins can change them.
+const router = express.Router();
+router.use(requireAuth);
+
+// PDFKit can only embed JPEG and PNG images
+const LOGO_TYPES = ['image/jpeg', 'image/png'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function validateProfile(body, { partial }) {
+  const errors = [];
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('name is required');
+    }
+  }
+  ['primaryColor', 'secondaryColor'].forEach(field => {
+    if (body[field] !== undefined && !COLOR_PATTERN.test(body[field])) {
+      errors.push(`${field} must be a hex color like #0A79DF`);
+    }
+  });
+  organizationRepository.EDITABLE_FIELDS
+    .filter(field => !['name', 'primaryColor', 'secondaryColor', 'logoPath'].includes(field))
+    .forEach(field => {
+      if (body[field] !== undefined && typeof body[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+  return errors;
+}
+
+// Logos are uploaded separately through PUT /:id/logo
+function profileFields(body) {
+  const { logoPath, ...fields } = body || {};
+  if (typeof fields.name === 'string') fields.name = fields.name.trim();
+  return fields;
+}
+
+router.get('/', async (req, res) => {
+  res.json(await organizationRepository.list());
+});
+
+router.get('/:id', async (req, res) => {
+  const org = await organizationRepository.findById(req.params.id);
+  if (!org) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+  res.json(org);
+});
+
+router.get('/:id/logo', async (req, res) => {
+  const org = await organizationRepository.findById(req.params.id);
+  if (!org || !org.logoPath) {
+    return res.status(404).json({ error: 'Logo not found' });
+  }
+  res.sendFile(org.logoPath);
+});
+
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const fields = profileFields(req.body);
+    const errors = validateProfile(fields, { partial: false });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid organization', details: errors });
+    }
+    res.status(201).json(await organizationRepository.create(fields));
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Failed to create organization', details: error.message });
+  }
+});
+
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const fields = profileFields(req.body);
+    const errors = validateProfile(fields, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid organization', details: errors });
+    }
+    const org = await organizationRepository.update(req.params.id, fields);
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    res.json(org);
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    res.status(500).json({ error: 'Failed to update organization', details: error.message });
+  }
+});
+
+router.put('/:id/logo', requireRole('admin'), upload.single('logo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A logo image is required' });
+    }
+    if (!LOGO_TYPES.includes(req.file.mimetype)) {
+      removeUploadedFile(req.file.path);
+      return res.status(400).json({ error: 'Logo must be a JPEG or PNG image' });
+    }
+    const existing = await organizationRepository.findById(req.params.id);
+    if (!existing) {
+      removeUploadedFile(req.file.path);
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    const org = await organizationRepository.update(existing.id, { logoPath: req.file.path });
+    removeUploadedFile(existing.logoPath);
+    res.json(org);
+  } catch (error) {
+    console.error('Error uploading logo:', error);
+    res.status(500).json({ error: 'Failed to upload logo', details: error.message });
+  }
+});
+
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const org = await organizationRepository.findById(req.params.id);
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    await organizationRepository.remove(org.id);
+    removeUploadedFile(org.logoPath);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting organization:', error);
+    res.status(500).json({ error: 'Failed to delete organization', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const clientRepository = require('../repositories/clientRepository');
+const siteRepository = require('../repositories/siteRepository');
+const reportRepository = require('../repositories/reportRepository');
+const { requireAuth, requireRole } = require('../services/auth');
+const { canAccessReport } = require('../services/permissions');
+const { nameKey, validateEntry } = require('../services/directory');
+const { summarizeReport } = require('../services/reportQuery');
+const { findingRows } = require('../services/findingsExport');
+
+// Sites (buildings) of the clients in the directory, and the inspection
+// history of each. Same permissions as clients: everyone signed in can add
+// and edit sites; only admins can delete them.
+const router = express.Router();
+router.use(requireAuth);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseLimit(value) {
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT;
+}
+
+// Sites carry their client's name, which pickers show next to the address
+async function withClientNames(sites) {
+  const clients = await clientRepository.list(client => sites.some(site => site.clientId === client.id));
+  return sites.map(site => {
+    const client = clients.find(c => c.id === site.clientId);
+    return { ...site, clientName: client ? client.name : null };
+  });
+}
+
+async function addressConflict(clientId, address, id = null) {
+  const existing = await siteRepository.findByAddress(clientId, address);
+  return existing && existing.id !== id ? existing : null;
+}
+
+// ?q= matches part of the name or address, ?clientId= keeps one client's
+// sites and ?limit= caps the results
+router.get('/', async (req, res) => {
+  const key = nameKey(req.query.q);
+  const { clientId } = req.query;
+  const sites = await siteRepository.list(site => (!clientId || site.clientId === clientId)
+    && (!key || nameKey(site.name).includes(key) || nameKey(site.address).includes(key)));
+  res.json(await withClientNames(sites.slice(0, parseLimit(req.query.limit))));
+});
+
+router.get('/:id', async (req, res) => {
+  const site = await siteRepository.findById(req.params.id);
+  if (!site) {
+    return res.status(404).json({ error: 'Site not found' });
+  }
+  const [withName] = await withClientNames([site]);
+  res.json(withName);
+});
+
+// Every report of the site the user can read, newest first, and its open
+// findings: those of reports that haven't been archived, newest report first
+router.get('/:id/history', async (req, res) => {
+  const site = await siteRepository.findById(req.params.id);
+  if (!site) {
+    return res.status(404).json({ error: 'Site not found' });
+  }
+  const client = await clientRepository.findById(site.clientId);
+  const reports = (await reportRepository.list(report => report.siteId === site.id && canAccessReport(req.user, report, 'read')))
+    .sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.createdAt.localeCompare(a.createdAt));
+  const openFindings = findingRows(reports.filter(report => report.status !== 'archived')).reverse();
+  res.json({
+    site: { ...site, clientName: client ? client.name : null },
+    client,
+    reports: reports.map(summarizeReport),
+    openFindings
+  });
+});
+
+// Body: { clientId, name, address, contacts, emailRecipients, notes }. The
+// name defaults to the address.
+router.post('/', async (req, res) => {
+  try {
+    const { fields, errors } = validateEntry(req.body, { partial: false, required: ['address'] });
+    const clientId = req.body && req.body.clientId;
+    if (!clientId) errors.push('clientId is required');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid site', details: errors });
+    }
+    if (!(await clientRepository.findById(clientId))) {
+      return res.status(400).json({ error: 'Client not found' });
+    }
+    const existing = await addressConflict(clientId, fields.address);
+    if (existing) {
+      return res.status(409).json({ error: `This client already has a site at "${existing.address}"`, site: existing });
+    }
+    res.status(201).json(await siteRepository.create(clientId, fields, { author: req.user }));
+  } catch (error) {
+    console.error('Error creating site:', error);
+    res.status(500).json({ error: 'Failed to create site', details: error.message });
+  }
+});
+
+// A site stays with the client it was created for
+router.patch('/:id', async (req, res) => {
+  try {
+    const { fields, errors } = validateEntry(req.body, { partial: true, required: ['address'] });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid site', details: errors });
+    }
+    const site = await siteRepository.findById(req.params.id);
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    const existing = fields.address && await addressConflict(site.clientId, fields.address, site.id);
+    if (existing) {
+      return res.status(409).json({ error: `This client already has a site at "${existing.address}"`, site: existing });
+    }
+    res.json(await siteRepository.update(site.id, fields));
+  } catch (error) {
+    console.error('Error updating site:', error);
+    res.status(500).json({ error: 'Failed to update site', details: error.message });
+  }
+});
+
+// Sites with reports are kept, so their history isn't lost
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const site = await siteRepository.findById(req.params.id);
+    if (!site) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    const reports = await reportRepository.list(report => report.siteId === site.id);
+    if (reports.length > 0) {
+      return res.status(409).json({ error: `This site has ${reports.length} report(s). Delete those first.` });
+    }
+    await siteRepository.remove(site.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting site:', error);
+    res.status(500).json({ error: 'Failed to delete site', details: error.message });
+  }
+});
+
+module.exports = router;
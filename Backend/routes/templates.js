@@ -0,0 +1,18 @@
+const express = require('express');
+const { requireAuth } = require('../services/auth');
+const { listTemplates } = require('../services/pdf/templates');
+
+// PDF templates that reports can be rendered with
+const router = express.Router();
+router.use(requireAuth);
+
+router.get('/', (req, res) => {
+  res.json(listTemplates().map(({ name, label, reportTypes, sections }) => ({
+    name,
+    label,
+    reportTypes,
+    sections: sections.map(section => section.type)
+  })));
+});
+
+module.exports = router;
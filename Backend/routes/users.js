@@ -0,0 +1,92 @@
+const express = require('express');
+const userRepository = require('../repositories/userRepository');
+const organizationRepository = require('../repositories/organizationRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+const { ROLES, hashPassword, validatePassword, requireAuth, requireRole } = require('../services/auth');
+
+// User management (admins only)
+const router = express.Router();
+router.use(requireAuth, requireRole('admin'));
+
+// null clears the organization; anything else must be an existing profile
+async function isValidOrganization(organizationId) {
+  return organizationId === null || Boolean(await organizationRepository.findById(organizationId));
+}
+
+router.get('/', async (req, res) => {
+  res.json(await userRepository.list());
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { email, name, role, password, organizationId = null } = req.body || {};
+    if (!email || !role || !password) {
+      return res.status(400).json({ error: 'email, role and password are required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    if (!(await isValidOrganization(organizationId))) {
+      return res.status(400).json({ error: 'Organization not found' });
+    }
+    if (await userRepository.findByEmail(email)) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    const user = await userRepository.create({ email, name, role, passwordHash: await hashPassword(password), organizationId });
+    res.status(201).json(user);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user', details: error.message });
+  }
+});
+
+// Change name, role, organization, active flag or password. Deactivating a user or changing
+// their password ends their sessions.
+router.patch('/:id', async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { name, role, organizationId, active, password } = req.body || {};
+    const changes = {};
+    if (name !== undefined) changes.name = String(name);
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      }
+      changes.role = role;
+    }
+    if (organizationId !== undefined) {
+      if (!(await isValidOrganization(organizationId))) {
+        return res.status(400).json({ error: 'Organization not found' });
+      }
+      changes.organizationId = organizationId;
+    }
+    if (active !== undefined) changes.active = Boolean(active);
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+      changes.passwordHash = await hashPassword(password);
+    }
+    if (user.id === req.user.id && (changes.active === false || (changes.role && changes.role !== 'admin'))) {
+      return res.status(400).json({ error: 'You cannot deactivate or demote your own account' });
+    }
+    const updated = await userRepository.update(user.id, changes);
+    if (changes.active === false || changes.passwordHash) {
+      await sessionRepository.removeForUser(user.id);
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+// Structured AI report: prompt building, JSON extraction and validation.
+//
+// Shape stored on report.aiReport:
+// {
+//   title: string,
+//   findings: [{ photoId, photoNumber, inspectorNote, observed, problem, solution,
+//                priority, costMin, costMax, safety }],
+//   recommendedServices: [string],
+//   notes: string
+// }
+//
+// inspectorNote is the inspector's own text or transcription, copied from the
+// photo when it was analyzed; observed is what the model saw in the image.
+// Keeping them apart lets reviewers tell the two sources apart.
+//
+// Findings follow the order of report.photos and are tied to their photo by
+// photoId, so items can be reordered or removed without losing their findings.
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const FINDING_TEXT_FIELDS = ['problem', 'solution', 'safety'];
+// Required from the model, but optional in edits of reports analyzed before
+// the model could see photos
+const GENERATED_TEXT_FIELDS = [...FINDING_TEXT_FIELDS, 'observed'];
+
+const MAX_PROMPT_OCR_LENGTH = 500;
+
+// Labels and OCR text found by image analysis, as prompt lines
+function imageAnalysisLines(analysis) {
+  if (!analysis || analysis.status !== 'completed') return '';
+  let lines = '';
+  if (analysis.labels && analysis.labels.length > 0) {
+    lines += `\nDetected in image: ${analysis.labels.map(l => l.description).join(', ')}`;
+  }
+  if (analysis.text) {
+    const text = analysis.text.replace(/\s+/g, ' ').slice(0, MAX_PROMPT_OCR_LENGTH);
+    lines += `\nText read from image (OCR, may contain errors): "${text}"`;
+  }
+  return lines;
+}
+
+// photos: [{ description, imageAnalysis, hasImage }]. Images are sent
+// alongside the prompt, one per photo that has one, in photo order.
+function buildAnalysisPrompt(photos) {
+  let photoSection = '';
+  photos.forEach((photo, i) => {
+    photoSection += `\nPhoto ${i + 1}:\nInspector's note: ${photo.description || 'No description provided.'}`;
+    photoSection += `\nImage: ${photo.hasImage ? `attached (labelled "Photo ${i + 1}")` : 'not available'}`;
+    photoSection += imageAnalysisLines(photo.imageAnalysis);
+  });
+  return `You are a professional property inspector. Analyze the following ${photos.length} site photos. Each comes with the inspector's note and, where available, the photo itself.
+${photoSection}
+
+Respond with a single JSON object and nothing else, using exactly this structure:
+{
+  "title": "A professional, concise heading that summarizes the main issue(s). Do not use generic text.",
+  "findings": [
+    {
+      "photoNumber": 1,
+      "observed": "What is visible in the photo itself, independent of the inspector's note",
+      "problem": "Detailed problem description",
+      "solution": "Recommended solution",
+      "priority": "High" | "Medium" | "Low",
+      "costMin": 100,
+      "costMax": 500,
+      "safety": "Safety concerns, or 'None identified'"
+    }
+  ],
+  "recommendedServices": ["Service 1", "Service 2"],
+  "notes": "Any additional project notes"
+}
+
+Rules:
+- "findings" must contain exactly ${photos.length} entries, one per photo, in photo order, with photoNumber starting at 1.
+- "observed" describes only what you can see in the image. Do not repeat the inspector's note there. If the photo has no image, use "No image available".
+- "problem" and "solution" combine the note and the image. If they disagree, say so in "problem".
+- Quote model numbers, serial numbers and readings from the OCR text where relevant.
+- costMin and costMax are whole numbers in US dollars, with costMin <= costMax.
+- Use clear, professional language. Do not use markdown or asterisks inside any value.`;
+}
+
+function buildRepairPrompt(previousOutput, errors, photoCount) {
+  return `Your previous response could not be used because of these problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${previousOutput}
+
+Return the corrected JSON object only. It must have a "title" string, exactly ${photoCount} "findings" (one per photo, photoNumber 1 to ${photoCount}) each with observed, problem, solution, priority (High/Medium/Low), costMin, costMax and safety, a "recommendedServices" array of strings and a "notes" string.`;
+}
+
+// Models sometimes wrap JSON in code fences or add a sentence before it
+function extractJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Response did not contain a JSON object');
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+function toCost(value) {
+  if (typeof value === 'number') return Math.round(value);
+  if (typeof value === 'string') {
+    const parsed = Number(value.replace(/[^0-9.]/g, ''));
+    return value.trim() && !Number.isNaN(parsed) ? Math.round(parsed) : null;
+  }
+  return null;
+}
+
+function normalizePriority(value) {
+  if (typeof value !== 'string') return null;
+  return PRIORITIES.find(p => p.toLowerCase() === value.trim().toLowerCase()) || null;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\*/g, '').trim() : '';
+}
+
+// Validates an AI report object and repairs what can safely be repaired
+// locally (casing, numeric strings, swapped costs). Returns { value, errors };
+// a non-empty errors array means the object must not be stored. Pass
+// { generated: true } for fresh model output, which must include "observed".
+function validateAiReport(input, photoCount, { generated = false } = {}) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: ['Report must be a JSON object'] };
+  }
+
+  const title = cleanText(input.title);
+  if (!title) errors.push('"title" is missing');
+
+  const rawFindings = Array.isArray(input.findings) ? input.findings : [];
+  if (!Array.isArray(input.findings)) {
+    errors.push('"findings" must be an array');
+  } else if (typeof photoCount === 'number' && rawFindings.length !== photoCount) {
+    errors.push(`Expected ${photoCount} findings (one per photo) but got ${rawFindings.length}`);
+  }
+
+  const findings = rawFindings.map((raw, idx) => {
+    const finding = raw && typeof raw === 'object' ? raw : {};
+    const label = `Finding ${idx + 1}`;
+    const normalized = {
+      photoId: typeof finding.photoId === 'string' ? finding.photoId : null,
+      photoNumber: idx + 1,
+      inspectorNote: typeof finding.inspectorNote === 'string' ? finding.inspectorNote : '',
+      observed: cleanText(finding.observed),
+      problem: cleanText(finding.problem),
+      solution: cleanText(finding.solution),
+      priority: normalizePriority(finding.priority),
+      costMin: toCost(finding.costMin),
+      costMax: toCost(finding.costMax),
+      safety: cleanText(finding.safety)
+    };
+    (generated ? GENERATED_TEXT_FIELDS : FINDING_TEXT_FIELDS).forEach(field => {
+      if (!normalized[field]) errors.push(`${label}: "${field}" is missing`);
+    });
+    if (!normalized.priority) {
+      errors.push(`${label}: "priority" must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (normalized.costMin === null || normalized.costMax === null) {
+      errors.push(`${label}: "costMin" and "costMax" must be numbers`);
+    } else if (normalized.costMin > normalized.costMax) {
+      [normalized.costMin, normalized.costMax] = [normalized.costMax, normalized.costMin];
+    }
+    return normalized;
+  });
+
+  const recommendedServices = Array.isArray(input.recommendedServices)
+    ? input.recommendedServices.map(cleanText).filter(Boolean)
+    : [];
+  if (!Array.isArray(input.recommendedServices)) {
+    errors.push('"recommendedServices" must be an array of strings');
+  }
+
+  const notes = cleanText(input.notes);
+
+  return {
+    value: { title, findings, recommendedServices, notes },
+    errors
+  };
+}
+
+// Re-orders findings to match the report's photos and drops findings whose
+// photo is gone. Photos without a finding (e.g. added after analysis) are left
+// out until they have been analyzed.
+function alignFindings(aiReport, photos) {
+  if (!aiReport) return aiReport;
+  const byPhotoId = new Map();
+  aiReport.findings.forEach((finding, idx) => {
+    // Findings from before photo ids existed are matched by position
+    const photoId = finding.photoId || (photos[idx] && photos[idx].id);
+    if (photoId) byPhotoId.set(photoId, finding);
+  });
+  const findings = [];
+  photos.forEach((photo, idx) => {
+    const finding = byPhotoId.get(photo.id);
+    if (finding) {
+      findings.push({ ...finding, photoId: photo.id, photoNumber: idx + 1 });
+    }
+  });
+  return { ...aiReport, findings };
+}
+
+// Adds freshly generated findings to an existing AI report, replacing any
+// previous findings for the same photos
+function mergeFindings(aiReport, newFindings, photos) {
+  const replaced = new Set(newFindings.map(f => f.photoId));
+  const kept = aiReport.findings.filter(f => !replaced.has(f.photoId));
+  return alignFindings({ ...aiReport, findings: [...kept, ...newFindings] }, photos);
+}
+
+// Drops a photo's finding, e.g. when its image or note changed
+function removeFinding(aiReport, photoId, photos) {
+  if (!aiReport) return aiReport;
+  return alignFindings({ ...aiReport, findings: aiReport.findings.filter(f => f.photoId !== photoId) }, photos);
+}
+
+// Finding for a photo, falling back to its position for older reports
+function findingForPhoto(aiReport, photo, idx) {
+  if (!aiReport) return null;
+  return aiReport.findings.find(f => f.photoId === photo.id)
+    || aiReport.findings.find(f => !f.photoId && f.photoNumber === idx + 1)
+    || null;
+}
+
+function formatCostRange(finding) {
+  if (finding.costMin === null || finding.costMax === null) return 'Not estimated';
+  const format = n => `$${Number(n).toLocaleString('en-US')}`;
+  return finding.costMin === finding.costMax
+    ? format(finding.costMin)
+    : `${format(finding.costMin)} - ${format(finding.costMax)}`;
+}
+
+module.exports = {
+  PRIORITIES,
+  buildAnalysisPrompt,
+  buildRepairPrompt,
+  extractJson,
+  validateAiReport,
+  alignFindings,
+  mergeFindings,
+  removeFinding,
+  findingForPhoto,
+  formatCostRange
+};
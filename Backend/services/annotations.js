@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const store = require('../db/store');
+const { UPLOADS_DIR } = require('./uploads');
+const { RENDITIONS_DIR } = require('./photoProcessing');
+
+// Vector markup drawn on top of a photo. Annotations are stored on
+// photo.annotations and never burned into the uploaded file, so the original
+// stays untouched as evidence; annotated copies are rendered on demand.
+//
+// Coordinates and sizes are fractions of the (EXIF-oriented) image width and
+// height, so they don't depend on the screen the markup was drawn on:
+//
+//   { id, type: 'arrow',     color, strokeWidth, x1, y1, x2, y2 }
+//   { id, type: 'circle',    color, strokeWidth, cx, cy, rx, ry }
+//   { id, type: 'highlight', color, x, y, width, height }
+//   { id, type: 'text',      color, x, y, text, fontSize }
+const MAX_ANNOTATIONS = 50;
+const MAX_TEXT_LENGTH = 200;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const SHAPES = {
+  arrow: { fields: ['x1', 'y1', 'x2', 'y2'], color: '#FF0000' },
+  circle: { fields: ['cx', 'cy', 'rx', 'ry'], color: '#FF0000' },
+  highlight: { fields: ['x', 'y', 'width', 'height'], color: '#FFFF00' },
+  text: { fields: ['x', 'y'], color: '#FF0000' }
+};
+
+const ANNOTATED_DIR = path.join(store.DATA_DIR, 'annotated');
+
+// Folders the server writes photo files to. A stored path anywhere else is
+// never read or served.
+const IMAGE_DIRS = [UPLOADS_DIR, RENDITIONS_DIR, ANNOTATED_DIR].map(dir => path.resolve(dir));
+
+function isStoredImage(filePath) {
+  return Boolean(filePath) && IMAGE_DIRS.includes(path.dirname(path.resolve(filePath)));
+}
+
+function isFraction(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+// Returns { value, errors }; a non-empty errors array means nothing is stored
+function validateAnnotations(input) {
+  if (!Array.isArray(input)) {
+    return { value: null, errors: ['annotations must be an array'] };
+  }
+  const errors = [];
+  if (input.length > MAX_ANNOTATIONS) {
+    errors.push(`A photo can have at most ${MAX_ANNOTATIONS} annotations`);
+  }
+  const value = input.map((raw, idx) => {
+    const label = `Annotation ${idx + 1}`;
+    const annotation = raw && typeof raw === 'object' ? raw : {};
+    const shape = SHAPES[annotation.type];
+    if (!shape) {
+      errors.push(`${label}: type must be one of ${Object.keys(SHAPES).join(', ')}`);
+      return null;
+    }
+    const normalized = {
+      id: typeof annotation.id === 'string' && annotation.id ? annotation.id : crypto.randomUUID(),
+      type: annotation.type,
+      color: annotation.color === undefined ? shape.color : annotation.color
+    };
+    if (!COLOR_PATTERN.test(normalized.color)) {
+      errors.push(`${label}: color must be a hex color like #FF0000`);
+    }
+    shape.fields.forEach(field => {
+      if (!isFraction(annotation[field])) {
+        errors.push(`${label}: "${field}" must be a number between 0 and 1`);
+      }
+      normalized[field] = annotation[field];
+    });
+    if (annotation.type === 'arrow' || annotation.type === 'circle') {
+      normalized.strokeWidth = annotation.strokeWidth === undefined ? 0.008 : annotation.strokeWidth;
+      if (!isFraction(normalized.strokeWidth)) {
+        errors.push(`${label}: "strokeWidth" must be a number between 0 and 1`);
+      }
+    }
+    if (annotation.type === 'text') {
+      normalized.text = typeof annotation.text === 'string' ? annotation.text.trim() : '';
+      normalized.fontSize = annotation.fontSize === undefined ? 0.05 : annotation.fontSize;
+      if (!normalized.text || normalized.text.length > MAX_TEXT_LENGTH) {
+        errors.push(`${label}: "text" must be 1 to ${MAX_TEXT_LENGTH} characters`);
+      }
+      if (!isFraction(normalized.fontSize)) {
+        errors.push(`${label}: "fontSize" must be a number between 0 and 1`);
+      }
+    }
+    return normalized;
+  });
+  return { value: errors.length > 0 ? null : value, errors };
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function arrowSvg(a, width, height) {
+  const x1 = a.x1 * width;
+  const y1 = a.y1 * height;
+  const x2 = a.x2 * width;
+  const y2 = a.y2 * height;
+  const stroke = Math.max(1, a.strokeWidth * width);
+  const head = stroke * 4;
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const point = offset => `${x2 - head * Math.cos(angle + offset)},${y2 - head * Math.sin(angle + offset)}`;
+  return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${a.color}" stroke-width="${stroke}" stroke-linecap="round"/>`
+    + `<polygon points="${x2},${y2} ${point(Math.PI / 7)} ${point(-Math.PI / 7)}" fill="${a.color}"/>`;
+}
+
+function annotationSvg(a, width, height) {
+  switch (a.type) {
+    case 'arrow':
+      return arrowSvg(a, width, height);
+    case 'circle':
+      return `<ellipse cx="${a.cx * width}" cy="${a.cy * height}" rx="${a.rx * width}" ry="${a.ry * height}" fill="none" stroke="${a.color}" stroke-width="${Math.max(1, a.strokeWidth * width)}"/>`;
+    case 'highlight':
+      return `<rect x="${a.x * width}" y="${a.y * height}" width="${a.width * width}" height="${a.height * height}" fill="${a.color}" fill-opacity="0.35"/>`;
+    case 'text': {
+      const size = Math.max(8, a.fontSize * height);
+      // Dark outline keeps labels readable on any background
+      return `<text x="${a.x * width}" y="${a.y * height}" font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="${size}" fill="${a.color}" stroke="#000000" stroke-width="${size / 20}" paint-order="stroke" dominant-baseline="hanging">${escapeXml(a.text)}</text>`;
+    }
+    default:
+      return '';
+  }
+}
+
+function annotationsToSvg(annotations, width, height) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + annotations.map(a => annotationSvg(a, width, height)).join('')
+    + '</svg>';
+}
+
+// JPEG of the photo with its markup composited on top
+async function renderAnnotatedImage(imagePath, annotations) {
+  const oriented = await sharp(imagePath).rotate().toBuffer({ resolveWithObject: true });
+  const { width, height } = oriented.info;
+  return sharp(oriented.data)
+    .composite([{ input: Buffer.from(annotationsToSvg(annotations, width, height)) }])
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
+
+// Source image for each size we serve: the untouched original, or one of the
+// renditions made at upload time (older photos may not have them yet)
+function sourceImagePath(photo, variant) {
+  if (variant === 'pdf') return photo.renditionPath || photo.path;
+  if (variant === 'thumbnail') return photo.thumbnailPath || photo.path;
+  return photo.path;
+}
+
+// Path of a photo image with its markup composited on top, rendering it the
+// first time a given combination of image and markup is asked for. Photos
+// without markup, or with markup that doesn't validate, are returned as they
+// are.
+async function annotatedImagePath(photo, variant = 'original') {
+  const sourcePath = sourceImagePath(photo, variant);
+  if (!photo.annotations || photo.annotations.length === 0 || !isStoredImage(sourcePath) || !fs.existsSync(sourcePath)) {
+    return sourcePath;
+  }
+  const { errors } = validateAnnotations(photo.annotations);
+  if (errors.length > 0) {
+    console.error(`Not rendering invalid markup of photo ${photo.id}:`, errors.join('; '));
+    return sourcePath;
+  }
+  const hash = crypto.createHash('sha1')
+    .update(sourcePath)
+    .update(JSON.stringify(photo.annotations))
+    .digest('hex')
+    .slice(0, 16);
+  const prefix = `${photo.id}-${variant}-`;
+  const outputPath = path.join(ANNOTATED_DIR, `${prefix}${hash}.jpg`);
+  if (fs.existsSync(outputPath)) return outputPath;
+
+  fs.mkdirSync(ANNOTATED_DIR, { recursive: true });
+  const image = await renderAnnotatedImage(sourcePath, photo.annotations);
+  await fs.promises.writeFile(outputPath, image);
+  // Older renditions of this photo are stale now
+  const stale = fs.readdirSync(ANNOTATED_DIR)
+    .filter(file => file.startsWith(prefix) && file !== path.basename(outputPath));
+  stale.forEach(file => fs.rm(path.join(ANNOTATED_DIR, file), { force: true }, () => {}));
+  return outputPath;
+}
+
+// Deletes every rendered copy of a photo's markup
+function removeAnnotatedImages(photo) {
+  if (!fs.existsSync(ANNOTATED_DIR)) return;
+  fs.readdirSync(ANNOTATED_DIR)
+    .filter(file => file.startsWith(`${photo.id}-`))
+    .forEach(file => fs.rm(path.join(ANNOTATED_DIR, file), { force: true }, (err) => {
+      if (err) console.error('Error deleting annotated image:', file, err);
+    }));
+}
+
+module.exports = {
+  validateAnnotations,
+  annotationsToSvg,
+  renderAnnotatedImage,
+  annotatedImagePath,
+  removeAnnotatedImages,
+  isStoredImage
+};
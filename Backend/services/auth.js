@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const userRepository = require('../repositories/userRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['inspector', 'reviewer', 'admin'];
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords are stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Returns { token, user } for valid credentials, or null
+async function login(email, password) {
+  const credentials = await userRepository.findCredentials(email);
+  if (!credentials || !credentials.active) {
+    // Hash anyway so unknown emails take as long as wrong passwords
+    await hashPassword(String(password || ''));
+    return null;
+  }
+  if (!(await verifyPassword(String(password || ''), credentials.passwordHash))) {
+    return null;
+  }
+  const { token, session } = await sessionRepository.create(credentials.id, SESSION_TTL_MS);
+  const user = await userRepository.findById(credentials.id);
+  return { token, expiresAt: session.expiresAt, user };
+}
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Middleware: resolves the bearer token to req.user and req.session, or 401
+async function requireAuth(req, res, next) {
+  try {
+    const token = bearerToken(req);
+    const session = token && await sessionRepository.findValid(token);
+    const user = session && await userRepository.findById(session.userId);
+    if (!user || !user.active) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    req.session = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware factory: only lets the given roles through (use after requireAuth)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
+
+// Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no
+// users yet, so a fresh install can be logged into
+async function ensureBootstrapAdmin() {
+  if (await userRepository.count() > 0) return;
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    console.warn('No users exist yet. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin account.');
+    return;
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    console.error('Cannot create the admin account:', passwordError);
+    return;
+  }
+  await userRepository.create({ email, name: 'Administrator', role: 'admin', passwordHash: await hashPassword(password) });
+  console.log('Created initial admin account:', email);
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  validatePassword,
+  login,
+  requireAuth,
+  requireRole,
+  ensureBootstrapAdmin
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+
+// Letterhead for generated PDFs. applyBranding() draws the organization's
+// header (logo, name, contact block) and footer (licence / insurance numbers,
+// disclaimer) on every page as it is added, and widens the page margins so
+// report content never runs underneath them.
+
+const HEADER_TOP = 20;
+const HEADER_HEIGHT = 60;
+const FOOTER_HEIGHT = 60;
+const LOGO_SIZE = [120, HEADER_HEIGHT - 10];
+
+function contactLines(org) {
+  const lines = [];
+  if (org.address) lines.push(org.address);
+  const reach = [org.phone, org.email, org.website].filter(Boolean).join('  |  ');
+  if (reach) lines.push(reach);
+  return lines;
+}
+
+function registrationLine(org) {
+  const parts = [];
+  if (org.licenceNumber) parts.push(`Licence No: ${org.licenceNumber}`);
+  if (org.insuranceNumber) parts.push(`Insurance No: ${org.insuranceNumber}`);
+  return parts.join('  |  ');
+}
+
+function drawHeader(doc, org) {
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+
+  let logoDrawn = false;
+  if (org.logoPath && fs.existsSync(org.logoPath)) {
+    try {
+      doc.image(org.logoPath, left, HEADER_TOP, { fit: LOGO_SIZE, valign: 'center' });
+      logoDrawn = true;
+    } catch (e) {
+      console.error('Error adding logo:', org.logoPath, e);
+    }
+  }
+
+  // The page number sits in the top right corner, so the company block
+  // starts just below it
+  const textX = logoDrawn ? left + LOGO_SIZE[0] + 10 : left;
+  const textWidth = width - (textX - left);
+  doc.fontSize(13)
+     .font('Helvetica-Bold')
+     .fillColor(org.primaryColor)
+     .text(org.name, textX, HEADER_TOP + 14, { width: textWidth, align: 'right', lineBreak: false });
+  doc.fontSize(8).font('Helvetica').fillColor(org.secondaryColor);
+  contactLines(org).forEach(line => {
+    doc.text(line, textX, doc.y, { width: textWidth, align: 'right', lineBreak: false });
+  });
+
+  const ruleY = HEADER_TOP + HEADER_HEIGHT + 5;
+  doc.moveTo(left, ruleY)
+     .lineTo(doc.page.width - right, ruleY)
+     .lineWidth(1.5)
+     .stroke(org.primaryColor);
+}
+
+function drawFooter(doc, org) {
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const top = doc.page.height - FOOTER_HEIGHT;
+
+  doc.moveTo(left, top)
+     .lineTo(doc.page.width - right, top)
+     .lineWidth(0.5)
+     .stroke(org.primaryColor);
+
+  let y = top + 6;
+  const registration = registrationLine(org);
+  if (registration) {
+    doc.fontSize(8)
+       .font('Helvetica-Bold')
+       .fillColor(org.secondaryColor)
+       .text(registration, left, y, { width, align: 'center', lineBreak: false });
+    y = doc.y + 2;
+  }
+  if (org.footerDisclaimer) {
+    doc.fontSize(7)
+       .font('Helvetica')
+       .fillColor(org.secondaryColor)
+       .text(org.footerDisclaimer, left, y, { width, align: 'center', height: top + FOOTER_HEIGHT - 10 - y, ellipsis: true });
+  }
+}
+
+// Must be called before the first page is added. Does nothing for reports
+// without an organization profile, so they keep the plain layout.
+function applyBranding(doc, org) {
+  if (!org) return;
+  doc.options.margins = {
+    ...doc.options.margins,
+    top: HEADER_TOP + HEADER_HEIGHT + 20,
+    bottom: FOOTER_HEIGHT + 10
+  };
+  doc.on('pageAdded', () => {
+    const { x, y } = doc;
+    const margins = doc.page.margins;
+    // Drawing inside the margins would otherwise make PDFKit start a new page
+    const bottom = margins.bottom;
+    margins.bottom = 0;
+    drawHeader(doc, org);
+    drawFooter(doc, org);
+    margins.bottom = bottom;
+    doc.x = x;
+    doc.y = y;
+    doc.font('Helvetica').fontSize(12).fillColor('#000000').lineWidth(1);
+  });
+}
+
+module.exports = { applyBranding };
@@ -0,0 +1,97 @@
+const { parseRecipients } = require('./email');
+
+// Clients and sites: the shared directory reports are linked to, so the same
+// customer or building is typed once and its history can be followed.
+//
+// Names and addresses are compared by their key: lower case, punctuation
+// dropped and whitespace collapsed, so "Acme Inc." and "acme inc" are the
+// same client.
+const MAX_CONTACTS = 20;
+const MAX_NOTES_LENGTH = 5000;
+const CONTACT_FIELDS = ['name', 'role', 'email', 'phone'];
+
+function nameKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// contacts: [{ name, role, email, phone }], each needing a name or an email
+function validateContacts(value) {
+  if (!Array.isArray(value)) {
+    return { value: [], errors: ['contacts must be an array'] };
+  }
+  if (value.length > MAX_CONTACTS) {
+    return { value: [], errors: [`A record can have at most ${MAX_CONTACTS} contacts`] };
+  }
+  const errors = [];
+  const contacts = value.map((raw, idx) => {
+    const label = `Contact ${idx + 1}`;
+    const contact = {};
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${label} must be an object`);
+      return contact;
+    }
+    CONTACT_FIELDS.forEach(field => {
+      if (raw[field] !== undefined && raw[field] !== null && typeof raw[field] !== 'string') {
+        errors.push(`${label}: ${field} must be a string`);
+      }
+      contact[field] = typeof raw[field] === 'string' ? raw[field].trim() : '';
+    });
+    if (contact.email) {
+      const { errors: emailErrors } = parseRecipients(contact.email, `${label}: email`);
+      if (emailErrors.length > 0 || contact.email.includes(',') || contact.email.includes(';')) {
+        errors.push(`${label}: "${contact.email}" is not a valid email address`);
+      }
+    }
+    if (!contact.name && !contact.email) {
+      errors.push(`${label} needs a name or an email`);
+    }
+    return contact;
+  });
+  return { value: contacts, errors };
+}
+
+// Validates the editable fields of a client or site. required lists the
+// fields that must be present unless partial. Returns { fields, errors } with
+// only the fields that were given.
+function validateEntry(body, { partial, required }) {
+  const input = body || {};
+  const fields = {};
+  const errors = [];
+  ['name', 'address', 'notes'].forEach(field => {
+    if (input[field] === undefined) {
+      if (!partial && required.includes(field)) errors.push(`${field} is required`);
+      return;
+    }
+    if (typeof input[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+      return;
+    }
+    fields[field] = input[field].trim();
+    if (required.includes(field) && !fields[field]) errors.push(`${field} is required`);
+  });
+  if (fields.notes && fields.notes.length > MAX_NOTES_LENGTH) {
+    errors.push(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  if (input.contacts !== undefined) {
+    const contacts = validateContacts(input.contacts);
+    errors.push(...contacts.errors);
+    fields.contacts = contacts.value;
+  }
+  // Addresses the report email goes to when the sender doesn't name anyone
+  if (input.emailRecipients !== undefined) {
+    const { addresses, errors: recipientErrors } = parseRecipients(input.emailRecipients, 'emailRecipients');
+    errors.push(...recipientErrors);
+    fields.emailRecipients = addresses;
+  }
+  return { fields, errors };
+}
+
+module.exports = {
+  nameKey,
+  validateContacts,
+  validateEntry
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ImageRun,
+  Header,
+  Footer,
+  PageNumber,
+  AlignmentType,
+  BorderStyle
+} = require('docx');
+const sections = require('./sections');
+const { templateForReport } = require('../pdf/templates');
+
+// Renders a report as an editable Word document by laying out the sections
+// of the same template as the PDF. The organization letterhead goes in the
+// page header and footer, with "Revision N · Page X of Y" like the PDF.
+// Resolves with the .docx file as a Buffer.
+//
+// options:
+//   template   template object (defaults to the report's template)
+//   branding   organization profile for the letterhead, or null
+//   imagePath  (photo, size) => path of the image to embed, where size is
+//              'thumbnail' or 'pdf' (defaults to photo.path)
+//   watermark  text shown in red at the top of every page, e.g. 'DRAFT'
+
+// A4 with the PDF's 50pt margins, in twentieths of a point
+const PAGE = { width: 11906, height: 16838, margin: 1000 };
+const IMAGE_SIZES = { thumbnail: 400, pdf: 1200 };
+
+// Photos are re-encoded as JPEG, rotated upright and capped in size so the
+// document stays small enough to email
+async function loadImage(imagePath, size) {
+  try {
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .resize(IMAGE_SIZES[size], IMAGE_SIZES[size], { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (error) {
+    console.error('Error embedding image in DOCX:', imagePath, error.message);
+    return null;
+  }
+}
+
+async function logoRun(org) {
+  if (!org.logoPath || !fs.existsSync(org.logoPath)) return null;
+  try {
+    const { data, info } = await sharp(org.logoPath)
+      .resize(240, 100, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    const scale = Math.min(120 / info.width, 50 / info.height, 1);
+    return new ImageRun({
+      type: 'png',
+      data,
+      transformation: { width: Math.round(info.width * scale), height: Math.round(info.height * scale) }
+    });
+  } catch (error) {
+    console.error('Error adding logo:', org.logoPath, error);
+    return null;
+  }
+}
+
+async function header(org, revision, watermark) {
+  const prefix = revision ? `Revision ${revision} · ` : '';
+  const children = [new Paragraph({
+    alignment: AlignmentType.RIGHT,
+    children: [new TextRun({ children: [`${prefix}Page `, PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], size: 20, color: '333333' })]
+  })];
+  if (org) {
+    const primary = org.primaryColor.replace('#', '');
+    const secondary = org.secondaryColor.replace('#', '');
+    const logo = await logoRun(org);
+    children.push(new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      children: [
+        ...(logo ? [logo, new TextRun('  ')] : []),
+        new TextRun({ text: org.name, bold: true, size: 26, color: primary })
+      ]
+    }));
+    const reach = [org.phone, org.email, org.website].filter(Boolean).join('  |  ');
+    const lines = [org.address, reach].filter(Boolean);
+    // The last line carries the rule under the letterhead, as in the PDF
+    children.push(new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: primary, space: 4 } },
+      children: lines.flatMap((line, idx) => [
+        new TextRun({ text: line, size: 16, color: secondary, break: idx > 0 ? 1 : 0 })
+      ])
+    }));
+  }
+  if (watermark) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: watermark, bold: true, color: 'CC0000', size: 28 })]
+    }));
+  }
+  return new Header({ children });
+}
+
+function footer(org) {
+  if (!org) return null;
+  const primary = org.primaryColor.replace('#', '');
+  const secondary = org.secondaryColor.replace('#', '');
+  const registration = [
+    org.licenceNumber && `Licence No: ${org.licenceNumber}`,
+    org.insuranceNumber && `Insurance No: ${org.insuranceNumber}`
+  ].filter(Boolean).join('  |  ');
+  const children = [new Paragraph({
+    alignment: AlignmentType.CENTER,
+    border: { top: { style: BorderStyle.SINGLE, size: 4, color: primary, space: 4 } },
+    children: registration ? [new TextRun({ text: registration, bold: true, size: 16, color: secondary })] : []
+  })];
+  if (org.footerDisclaimer) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: org.footerDisclaimer, size: 14, color: secondary })]
+    }));
+  }
+  return new Footer({ children });
+}
+
+async function renderReportDOCX(report, options = {}) {
+  const template = options.template || templateForReport(report);
+  const org = options.branding || null;
+  const imagePath = options.imagePath || (photo => photo.path);
+
+  const images = new Map();
+  // Only the photo grid and the appendix show photos
+  const usedSizes = new Set(template.sections
+    .map(section => ({ photoGrid: 'thumbnail', appendix: 'pdf' })[section.type])
+    .filter(Boolean));
+  for (const photo of report.photos) {
+    for (const size of usedSizes) {
+      images.set(`${photo.id}:${size}`, await loadImage(imagePath(photo, size), size));
+    }
+  }
+
+  const aiReport = report.aiReport || null;
+  const ctx = {
+    report,
+    aiReport,
+    template,
+    // Use the AI title or fall back to the job name
+    title: (aiReport && aiReport.title) || report.jobName || 'Property Inspection Report',
+    image: (photo, size) => images.get(`${photo.id}:${size}`) || null
+  };
+  const headingColor = (org ? org.primaryColor : '#333333').replace('#', '');
+
+  const children = template.sections.flatMap(section => sections[section.type](ctx, section));
+  const pageFooter = footer(org);
+  const doc = new Document({
+    title: ctx.title,
+    creator: org ? org.name : undefined,
+    styles: {
+      default: {
+        document: { run: { font: 'Arial', size: 22 } },
+        heading1: { run: { font: 'Arial', size: 32, bold: true, color: '000000' }, paragraph: { spacing: { after: 240 } } },
+        heading2: { run: { font: 'Arial', size: 28, bold: true, color: headingColor }, paragraph: { spacing: { before: 240, after: 120 } } },
+        heading3: { run: { font: 'Arial', size: 24, bold: true, color: '000000' }, paragraph: { spacing: { before: 200, after: 80 } } }
+      },
+      // The per-photo finding fields; restyle this in Word to change them all
+      paragraphStyles: [{
+        id: 'Finding',
+        name: 'Finding',
+        basedOn: 'Normal',
+        next: 'Finding',
+        quickFormat: true,
+        run: { size: 22 },
+        paragraph: { indent: { left: 240 }, spacing: { after: 80 } }
+      }]
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: PAGE.width, height: PAGE.height },
+          margin: { top: PAGE.margin, bottom: PAGE.margin, left: PAGE.margin, right: PAGE.margin }
+        }
+      },
+      headers: { default: await header(org, report.revision, options.watermark) },
+      ...(pageFooter ? { footers: { default: pageFooter } } : {}),
+      children
+    }]
+  });
+  const buffer = await Packer.toBuffer(doc);
+  console.log(`DOCX created for report ${report.id} (template: ${template.name})`);
+  return buffer;
+}
+
+module.exports = { renderReportDOCX };
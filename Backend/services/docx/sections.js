@@ -0,0 +1,183 @@
+const {
+  Paragraph,
+  TextRun,
+  ImageRun,
+  Table,
+  TableRow,
+  TableCell,
+  HeadingLevel,
+  AlignmentType,
+  WidthType,
+  BorderStyle
+} = require('docx');
+const { findingForPhoto, formatCostRange } = require('../aiReport');
+
+// Section renderers for Word output, one per PDF section type, taking the
+// same options from the template. Each returns an array of paragraphs and
+// tables. ctx.image(photo, size) gives { data, width, height } for a photo
+// (size is 'thumbnail' or 'pdf'), or null if it can't be read.
+
+// Usable page width in pixels, for an A4 page with the PDF's margins
+const CONTENT_WIDTH = 660;
+const PRIORITY_COLORS = { High: 'C0392B', Medium: 'D68910', Low: '27AE60' };
+const NO_BORDER = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+
+function captureLabel(ctx, options, photo) {
+  if (!photo.capturedAt || !(ctx.report.showPhotoTimestamps || options.timestamps)) return null;
+  return `Taken ${photo.capturedAt.replace('T', ' ').slice(0, 16)}`;
+}
+
+function sectionHeader(text, options) {
+  return new Paragraph({ text, heading: HeadingLevel.HEADING_2, pageBreakBefore: Boolean(options.newPage) });
+}
+
+// "Label: value" in the Finding style
+function field(label, value) {
+  return new Paragraph({
+    style: 'Finding',
+    children: [new TextRun({ text: `${label} `, bold: true }), new TextRun(String(value || ''))]
+  });
+}
+
+// The image scaled to fit within maxWidth x maxHeight pixels
+function imageRun(ctx, photo, size, maxWidth, maxHeight) {
+  const image = ctx.image(photo, size);
+  if (!image) return new TextRun({ text: 'Image not available', italics: true, color: '666666' });
+  const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+  return new ImageRun({
+    type: 'jpg',
+    data: image.data,
+    transformation: { width: Math.round(image.width * scale), height: Math.round(image.height * scale) }
+  });
+}
+
+function cover(ctx, options) {
+  const { report } = ctx;
+  const children = [
+    new Paragraph({ text: ctx.title, heading: HeadingLevel.HEADING_1, alignment: AlignmentType.CENTER })
+  ];
+  if (report.reportNumber) {
+    children.push(new Paragraph({ text: `Report No: ${report.reportNumber}`, alignment: AlignmentType.CENTER }));
+  }
+  if (options.details) {
+    children.push(field('Job:', report.jobName));
+    children.push(field('Client:', report.clientName));
+    children.push(field('Address:', report.address));
+    children.push(field('Date:', report.date));
+  }
+  children.push(new Paragraph({ children: [new TextRun({ text: `Issue: ${ctx.title}`, size: 24 })], spacing: { before: 200, after: 200 } }));
+  return children;
+}
+
+// Photos in a borderless table, `columns` to a row
+function photoGrid(ctx, options) {
+  const { report } = ctx;
+  const columns = options.columns || 3;
+  const cellWidth = Math.floor(CONTENT_WIDTH / columns) - 10;
+  const rows = [];
+  for (let start = 0; start < report.photos.length; start += columns) {
+    const cells = [];
+    for (let col = 0; col < columns; col++) {
+      const idx = start + col;
+      const photo = report.photos[idx];
+      const children = [];
+      if (photo) {
+        children.push(new Paragraph({ alignment: AlignmentType.CENTER, children: [imageRun(ctx, photo, 'thumbnail', cellWidth, cellWidth)] }));
+        children.push(new Paragraph({ text: `Photo ${idx + 1}`, alignment: AlignmentType.CENTER }));
+        const taken = captureLabel(ctx, options, photo);
+        if (taken) {
+          children.push(new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: taken, size: 16, color: '666666' })] }));
+        }
+      } else {
+        children.push(new Paragraph(''));
+      }
+      cells.push(new TableCell({
+        children,
+        width: { size: Math.floor(100 / columns), type: WidthType.PERCENTAGE },
+        borders: { top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: NO_BORDER }
+      }));
+    }
+    rows.push(new TableRow({ children: cells, cantSplit: true }));
+  }
+  const children = [sectionHeader(options.title || 'Reference Photos:', options)];
+  if (rows.length > 0) {
+    children.push(new Table({
+      rows,
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      borders: { top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: NO_BORDER, insideHorizontal: NO_BORDER, insideVertical: NO_BORDER }
+    }));
+  }
+  return children;
+}
+
+function findings(ctx, options) {
+  const { report, aiReport } = ctx;
+  const children = [sectionHeader(options.title || 'Reference Photo breakdown:', options)];
+  report.photos.forEach((photo, idx) => {
+    children.push(new Paragraph({ text: `Photo ${idx + 1}:`, heading: HeadingLevel.HEADING_3, keepNext: true }));
+    const finding = findingForPhoto(aiReport, photo, idx);
+    if (finding) {
+      children.push(field('Problem Description:', finding.problem));
+      children.push(field('Recommended Solution:', finding.solution));
+      children.push(new Paragraph({
+        style: 'Finding',
+        children: [
+          new TextRun({ text: 'Priority Level: ', bold: true }),
+          new TextRun({ text: finding.priority, bold: true, color: PRIORITY_COLORS[finding.priority] || '000000' })
+        ]
+      }));
+      children.push(field('Estimated Cost Range:', formatCostRange(finding)));
+      children.push(field('Safety Concerns:', finding.safety));
+    } else {
+      // Not analyzed yet: show the inspector's own description
+      children.push(field('Description:', photo.description || photo.transcription || 'No description provided.'));
+    }
+  });
+  return children;
+}
+
+function services(ctx, options) {
+  const list = (ctx.aiReport && ctx.aiReport.recommendedServices) || [];
+  const children = [sectionHeader(options.title || 'Recommended Services:', options)];
+  if (list.length > 0) {
+    list.forEach(service => children.push(new Paragraph({ text: service, bullet: { level: 0 } })));
+  } else {
+    children.push(new Paragraph('No recommended services to be added.'));
+  }
+  return children;
+}
+
+function notes(ctx, options) {
+  const text = (ctx.aiReport && ctx.aiReport.notes) || 'No additional project notes at this time.';
+  return [
+    sectionHeader(options.title || 'Additional Notes:', options),
+    ...text.split('\n').map(line => new Paragraph(line))
+  ];
+}
+
+// Full-width photos with the inspector's notes
+function appendix(ctx, options) {
+  const perPage = options.perPage || 2;
+  // Roughly the height of an A4 page's content area, shared between photos
+  const maxHeight = Math.floor(880 / perPage) - 90;
+  const children = [sectionHeader(options.title || 'Appendix: Photos', options)];
+  ctx.report.photos.forEach((photo, idx) => {
+    children.push(new Paragraph({ children: [imageRun(ctx, photo, 'pdf', CONTENT_WIDTH, maxHeight)], keepNext: true }));
+    const caption = [new TextRun({ text: `Photo ${idx + 1}`, bold: true })];
+    const taken = captureLabel(ctx, options, photo);
+    if (taken) caption.push(new TextRun({ text: `  ${taken}`, size: 16, color: '666666' }));
+    children.push(new Paragraph({ children: caption, keepNext: Boolean(photo.description || photo.transcription) }));
+    const note = photo.description || photo.transcription;
+    if (note) children.push(new Paragraph({ text: note, spacing: { after: 200 } }));
+  });
+  return children;
+}
+
+module.exports = {
+  cover,
+  photoGrid,
+  findings,
+  services,
+  notes,
+  appendix
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('../html/layout');
+
+// Email templates are plain files with {{placeholder}} fields:
+//
+//   report.subject.txt  subject line
+//   report.html         HTML body
+//   report.txt          plain-text body, for clients that don't show HTML
+//
+// Built-in templates live next to this file; a file of the same name in
+// EMAIL_TEMPLATES_DIR replaces the built-in one. Files are re-read on every
+// send, so edits don't need a restart. Values are HTML-escaped in the HTML
+// body, and placeholders without a value are left empty.
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+
+const TEMPLATE_FILES = {
+  subject: 'subject.txt',
+  html: 'html',
+  text: 'txt'
+};
+
+function templatePath(name, extension) {
+  const fileName = `${name}.${extension}`;
+  const custom = process.env.EMAIL_TEMPLATES_DIR && path.join(process.env.EMAIL_TEMPLATES_DIR, fileName);
+  return custom && fs.existsSync(custom) ? custom : path.join(BUILT_IN_DIR, fileName);
+}
+
+function fill(template, values, { html = false } = {}) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+    const value = values[key] === undefined || values[key] === null ? '' : String(values[key]);
+    return html ? escapeHtml(value).replace(/\r?\n/g, '<br>') : value;
+  });
+}
+
+// The values templates can use for a report
+function reportEmailValues(report, { organization, sender, message, pdfFileName }) {
+  const findings = report.aiReport ? report.aiReport.findings : [];
+  return {
+    jobName: report.jobName,
+    clientName: report.clientName,
+    address: report.address,
+    date: report.date,
+    reportTitle: report.aiReport ? report.aiReport.title : report.jobName,
+    reportType: report.reportType,
+    revision: report.revision,
+    status: report.status,
+    findingCount: findings.length,
+    highPriorityCount: findings.filter(f => f.priority === 'High').length,
+    organizationName: organization ? organization.name : '',
+    organizationEmail: organization ? organization.email : '',
+    organizationPhone: organization ? organization.phone : '',
+    senderName: sender ? (sender.name || sender.email) : '',
+    senderEmail: sender ? sender.email : '',
+    message: message || '',
+    pdfFileName
+  };
+}
+
+// Renders { subject, html, text } from the named template
+function renderEmail(name, values) {
+  const read = kind => fs.readFileSync(templatePath(name, TEMPLATE_FILES[kind]), 'utf8');
+  return {
+    // Subjects are a single line, however the template file ends
+    subject: fill(read('subject'), values).replace(/\s+/g, ' ').trim(),
+    html: fill(read('html'), values, { html: true }),
+    // Empty placeholders would otherwise leave runs of blank lines
+    text: fill(read('text'), values).replace(/\n{3,}/g, '\n\n')
+  };
+}
+
+module.exports = {
+  reportEmailValues,
+  renderEmail
+};
@@ -0,0 +1,97 @@
+const ExcelJS = require('exceljs');
+const { alignFindings, formatCostRange } = require('./aiReport');
+const { matchesReport, matchesFinding } = require('./reportFilters');
+
+// Flattens the findings of many reports into spreadsheet rows, one per
+// finding, so findings can be sorted and triaged across jobs.
+const COLUMNS = [
+  { key: 'reportNumber', header: 'Report No', width: 16 },
+  { key: 'jobName', header: 'Job', width: 24 },
+  { key: 'clientName', header: 'Client', width: 24 },
+  { key: 'address', header: 'Address', width: 32 },
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'photoNumber', header: 'Photo', width: 8 },
+  { key: 'problem', header: 'Problem', width: 50 },
+  { key: 'solution', header: 'Solution', width: 50 },
+  { key: 'priority', header: 'Priority', width: 10 },
+  { key: 'costMin', header: 'Cost Min', width: 10 },
+  { key: 'costMax', header: 'Cost Max', width: 10 },
+  { key: 'costRange', header: 'Cost Range', width: 18 },
+  { key: 'safety', header: 'Safety Concerns', width: 40 },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'reportId', header: 'Report ID', width: 38 }
+];
+
+const PRIORITY_FILLS = { High: 'FFF4CCCC', Medium: 'FFFCE8C4', Low: 'FFD5F0DD' };
+
+// Rows for the findings of the reports that match the filters, in report
+// date order, then photo order
+function findingRows(reports, filters = {}) {
+  return reports
+    .filter(report => report.aiReport && matchesReport(report, filters))
+    .sort((a, b) => (a.date || '').localeCompare(b.date || '') || (a.reportNumber || '').localeCompare(b.reportNumber || ''))
+    .flatMap(report => alignFindings(report.aiReport, report.photos).findings
+      .filter(finding => matchesFinding(finding, filters))
+      .map(finding => ({
+        reportNumber: report.reportNumber || '',
+        jobName: report.jobName || '',
+        clientName: report.clientName || '',
+        address: report.address || '',
+        date: report.date || '',
+        photoNumber: finding.photoNumber,
+        problem: finding.problem,
+        solution: finding.solution,
+        priority: finding.priority,
+        costMin: finding.costMin,
+        costMax: finding.costMax,
+        costRange: formatCostRange(finding),
+        safety: finding.safety,
+        status: report.status,
+        reportId: report.id
+      })));
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.map(column => csvCell(column.header)).join(',')];
+  rows.forEach(row => lines.push(COLUMNS.map(column => csvCell(row[column.key])).join(',')));
+  // The byte order mark makes Excel read the file as UTF-8
+  return `﻿${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet('Findings', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+  rows.forEach(row => {
+    const added = sheet.addRow(row);
+    added.alignment = { vertical: 'top', wrapText: true };
+    const fill = PRIORITY_FILLS[row.priority];
+    if (fill) {
+      added.getCell('priority').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fill } };
+    }
+  });
+  ['costMin', 'costMax'].forEach(key => {
+    sheet.getColumn(key).numFmt = '"$"#,##0';
+  });
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  COLUMNS,
+  findingRows,
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,162 @@
+const sections = require('./sections');
+const { escapeHtml, dataUri } = require('./layout');
+const { templateForReport } = require('../pdf/templates');
+
+// Renders a report as a standalone HTML document, laying out the sections of
+// the same template as the PDF so both show the same content in the same
+// order. The page is responsive, so it reads well on a phone.
+//
+// options:
+//   template   template object (defaults to the report's template)
+//   branding   organization profile for the header and footer, or null
+//   imageUrl   (photo, size) => src of the image, where size is 'thumbnail'
+//              or 'pdf'; defaults to none, which shows a placeholder
+//   pdfUrl     link for a "Download PDF" button, if any
+//   watermark  text for a banner across the top, e.g. 'DRAFT'
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #f4f4f4; color: #222; font: 16px/1.5 Helvetica, Arial, sans-serif; }
+  .page { max-width: 960px; margin: 0 auto; background: #fff; padding: 16px 20px 32px; }
+  .letterhead { display: flex; align-items: center; justify-content: space-between; gap: 16px; border-bottom: 2px solid var(--primary); padding-bottom: 12px; margin-bottom: 16px; }
+  .letterhead img { max-width: 140px; max-height: 60px; }
+  .letterhead .company { text-align: right; font-size: 13px; color: var(--secondary); }
+  .letterhead .company strong { display: block; font-size: 17px; color: var(--primary); }
+  .watermark { background: #fdecea; color: #b00020; border: 1px solid #f5c2c0; border-radius: 4px; padding: 8px 12px; font-weight: bold; text-align: center; margin-bottom: 16px; }
+  .actions { text-align: center; margin-bottom: 16px; }
+  .button { display: inline-block; background: var(--primary); color: #fff; text-decoration: none; padding: 10px 20px; border-radius: 4px; font-weight: bold; }
+  h1 { text-align: center; font-size: 24px; margin: 8px 0 16px; }
+  .section-title { color: var(--primary); font-size: 19px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin: 32px 0 12px; }
+  .report-number { text-align: center; font-size: 14px; color: #333; }
+  .field { margin: 4px 0; }
+  .label { font-weight: bold; }
+  .issue { font-size: 17px; }
+  .muted { color: #666; font-size: 13px; }
+  .photo-grid { display: grid; grid-template-columns: repeat(var(--columns), 1fr); gap: 12px; }
+  figure { margin: 0; }
+  figure img, .finding-image img { width: 100%; border-radius: 4px; display: block; }
+  .photo-grid img { aspect-ratio: 1; object-fit: cover; }
+  figcaption { text-align: center; font-size: 14px; margin-top: 4px; }
+  .image-missing { background: #eee; color: #666; text-align: center; padding: 40px 8px; border-radius: 4px; font-size: 13px; }
+  .finding { border-top: 1px solid #eee; padding: 12px 0; }
+  .finding h3 { margin: 0 0 8px; font-size: 17px; }
+  .finding-body { display: flex; gap: 16px; align-items: flex-start; }
+  .finding-image { flex: 0 0 40%; }
+  .finding-fields { flex: 1; }
+  .priority { padding: 1px 8px; border-radius: 10px; font-size: 14px; color: #fff; background: #888; }
+  .priority-high { background: #c0392b; }
+  .priority-medium { background: #d68910; }
+  .priority-low { background: #27ae60; }
+  .appendix-photo { margin-bottom: 24px; }
+  .appendix-photo figcaption { text-align: left; }
+  footer { margin-top: 32px; border-top: 1px solid var(--primary); padding-top: 8px; text-align: center; font-size: 12px; color: var(--secondary); }
+  @media (max-width: 600px) {
+    .page { padding: 12px; }
+    .photo-grid { grid-template-columns: repeat(2, 1fr); }
+    .finding-body { flex-direction: column; }
+    .finding-image { flex-basis: auto; width: 100%; }
+    .letterhead { flex-direction: column; align-items: flex-start; }
+    .letterhead .company { text-align: left; }
+  }
+  @media print {
+    body { background: #fff; }
+    .actions { display: none; }
+    .finding, figure { break-inside: avoid; }
+  }
+`;
+
+function letterhead(org) {
+  if (!org) return '';
+  const logo = org.logoPath ? dataUri(org.logoPath) : null;
+  const reach = [org.phone, org.email, org.website].filter(Boolean).join(' | ');
+  return `<header class="letterhead">
+    ${logo ? `<img src="${logo}" alt="${escapeHtml(org.name)}">` : '<span></span>'}
+    <div class="company">
+      <strong>${escapeHtml(org.name)}</strong>
+      ${org.address ? `<div>${escapeHtml(org.address)}</div>` : ''}
+      ${reach ? `<div>${escapeHtml(reach)}</div>` : ''}
+    </div>
+  </header>`;
+}
+
+function footer(org, revision) {
+  const lines = [];
+  if (org) {
+    const registration = [
+      org.licenceNumber && `Licence No: ${org.licenceNumber}`,
+      org.insuranceNumber && `Insurance No: ${org.insuranceNumber}`
+    ].filter(Boolean).join(' | ');
+    if (registration) lines.push(`<strong>${escapeHtml(registration)}</strong>`);
+    if (org.footerDisclaimer) lines.push(escapeHtml(org.footerDisclaimer));
+  }
+  if (revision) lines.push(`Revision ${escapeHtml(revision)}`);
+  return lines.length > 0 ? `<footer>${lines.map(line => `<div>${line}</div>`).join('')}</footer>` : '';
+}
+
+function renderReportHTML(report, options = {}) {
+  const template = options.template || templateForReport(report);
+  const org = options.branding || null;
+  const aiReport = report.aiReport || null;
+  const ctx = {
+    report,
+    aiReport,
+    template,
+    // Use the AI title or fall back to the job name
+    title: (aiReport && aiReport.title) || report.jobName || 'Property Inspection Report',
+    imageUrl: options.imageUrl || (() => null)
+  };
+  const primary = org ? org.primaryColor : '#333333';
+  const secondary = org ? org.secondaryColor : '#666666';
+
+  const content = template.sections.map(section => sections[section.type](ctx, section)).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(ctx.title)}</title>
+  <style>
+    :root { --primary: ${escapeHtml(primary)}; --secondary: ${escapeHtml(secondary)}; }
+    ${STYLES}
+  </style>
+</head>
+<body>
+  <div class="page">
+    ${letterhead(org)}
+    ${options.watermark ? `<div class="watermark">${escapeHtml(options.watermark)}</div>` : ''}
+    ${options.pdfUrl ? `<div class="actions"><a class="button" href="${escapeHtml(options.pdfUrl)}">Download PDF</a></div>` : ''}
+    <h1>${escapeHtml(ctx.title)}</h1>
+    ${content}
+    ${footer(org, report.revision)}
+  </div>
+</body>
+</html>
+`;
+}
+
+// A bare page with a message, e.g. for a link that has expired
+function renderMessagePage(title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    :root { --primary: #333333; --secondary: #666666; }
+    ${STYLES}
+  </style>
+</head>
+<body>
+  <div class="page">
+    <h1>${escapeHtml(title)}</h1>
+    <p style="text-align: center;">${escapeHtml(message)}</p>
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReportHTML, renderMessagePage };
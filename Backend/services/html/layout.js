@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// Markup helpers shared by the HTML section renderers
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Escaped text with line breaks kept
+function multiline(value) {
+  return escapeHtml(value).replace(/\r?\n/g, '<br>');
+}
+
+function sectionHeader(text) {
+  return `<h2 class="section-title">${escapeHtml(text)}</h2>`;
+}
+
+function field(label, value) {
+  return `<p class="field"><span class="label">${escapeHtml(label)}</span> ${multiline(value)}</p>`;
+}
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+// A local image as a data: URI, or null if it can't be read
+function dataUri(filePath) {
+  const mimeType = IMAGE_TYPES[path.extname(filePath || '').toLowerCase()] || 'image/jpeg';
+  try {
+    return `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  escapeHtml,
+  multiline,
+  sectionHeader,
+  field,
+  dataUri
+};
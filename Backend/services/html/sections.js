@@ -0,0 +1,112 @@
+const { findingForPhoto, formatCostRange } = require('../aiReport');
+const { escapeHtml, multiline, sectionHeader, field } = require('./layout');
+
+// Section renderers for HTML output, one per PDF section type, taking the
+// same options from the template. Each returns a string of markup.
+// ctx.imageUrl(photo, size) gives the src of a photo, where size is
+// 'thumbnail' for grids and 'pdf' for large images.
+
+function captureLabel(ctx, options, photo) {
+  if (!photo.capturedAt || !(ctx.report.showPhotoTimestamps || options.timestamps)) return null;
+  return `Taken ${photo.capturedAt.replace('T', ' ').slice(0, 16)}`;
+}
+
+function image(ctx, photo, size, alt) {
+  const src = ctx.imageUrl(photo, size);
+  if (!src) return '<div class="image-missing">Image not available</div>';
+  return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy">`;
+}
+
+function cover(ctx, options) {
+  const { report } = ctx;
+  let html = '';
+  if (report.reportNumber) {
+    html += `<p class="report-number">Report No: ${escapeHtml(report.reportNumber)}</p>`;
+  }
+  if (options.details) {
+    html += '<div class="details">';
+    html += field('Job:', report.jobName || '');
+    html += field('Client:', report.clientName || '');
+    html += field('Address:', report.address || '');
+    html += field('Date:', report.date || '');
+    html += '</div>';
+  }
+  html += `<p class="issue">Issue: ${escapeHtml(ctx.title)}</p>`;
+  return `<section class="cover">${html}</section>`;
+}
+
+function photoGrid(ctx, options) {
+  const { report } = ctx;
+  const columns = options.columns || 3;
+  const cells = report.photos.map((photo, idx) => {
+    const taken = captureLabel(ctx, options, photo);
+    return `<figure id="grid-photo-${idx + 1}">
+      <a href="#photo-${idx + 1}">${image(ctx, photo, 'thumbnail', `Photo ${idx + 1}`)}</a>
+      <figcaption>Photo ${idx + 1}${taken ? `<br><span class="muted">${escapeHtml(taken)}</span>` : ''}</figcaption>
+    </figure>`;
+  }).join('\n');
+  return `<section>${sectionHeader(options.title || 'Reference Photos:')}
+    <div class="photo-grid" style="--columns: ${Number(columns) || 3}">${cells}</div>
+  </section>`;
+}
+
+function findings(ctx, options) {
+  const { report, aiReport } = ctx;
+  const items = report.photos.map((photo, idx) => {
+    const finding = findingForPhoto(aiReport, photo, idx);
+    let fields;
+    if (finding) {
+      fields = field('Problem Description:', finding.problem)
+        + field('Recommended Solution:', finding.solution)
+        + `<p class="field"><span class="label">Priority Level:</span> <span class="priority priority-${escapeHtml(String(finding.priority).toLowerCase())}">${escapeHtml(finding.priority)}</span></p>`
+        + field('Estimated Cost Range:', formatCostRange(finding))
+        + field('Safety Concerns:', finding.safety);
+    } else {
+      // Not analyzed yet: show the inspector's own description
+      fields = field('Description:', photo.description || photo.transcription || 'No description provided.');
+    }
+    return `<article class="finding" id="photo-${idx + 1}">
+      <h3>Photo ${idx + 1}:</h3>
+      <div class="finding-body">
+        <div class="finding-image">${image(ctx, photo, 'pdf', `Photo ${idx + 1}`)}</div>
+        <div class="finding-fields">${fields}</div>
+      </div>
+    </article>`;
+  }).join('\n');
+  return `<section>${sectionHeader(options.title || 'Reference Photo breakdown:')}${items}</section>`;
+}
+
+function services(ctx, options) {
+  const list = (ctx.aiReport && ctx.aiReport.recommendedServices) || [];
+  const content = list.length > 0
+    ? `<ul>${list.map(service => `<li>${escapeHtml(service)}</li>`).join('')}</ul>`
+    : '<p>No recommended services to be added.</p>';
+  return `<section>${sectionHeader(options.title || 'Recommended Services:')}${content}</section>`;
+}
+
+function notes(ctx, options) {
+  const text = (ctx.aiReport && ctx.aiReport.notes) || 'No additional project notes at this time.';
+  return `<section>${sectionHeader(options.title || 'Additional Notes:')}<p>${multiline(text)}</p></section>`;
+}
+
+// Full-size photos with the inspector's notes
+function appendix(ctx, options) {
+  const items = ctx.report.photos.map((photo, idx) => {
+    const taken = captureLabel(ctx, options, photo);
+    const note = photo.description || photo.transcription;
+    return `<figure class="appendix-photo">
+      ${image(ctx, photo, 'pdf', `Photo ${idx + 1}`)}
+      <figcaption><strong>Photo ${idx + 1}</strong>${taken ? ` <span class="muted">${escapeHtml(taken)}</span>` : ''}${note ? `<br>${multiline(note)}` : ''}</figcaption>
+    </figure>`;
+  }).join('\n');
+  return `<section>${sectionHeader(options.title || 'Appendix: Photos')}${items}</section>`;
+}
+
+module.exports = {
+  cover,
+  photoGrid,
+  findings,
+  services,
+  notes,
+  appendix
+};
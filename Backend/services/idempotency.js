@@ -0,0 +1,57 @@
+const idempotencyRepository = require('../repositories/idempotencyRepository');
+
+// Middleware for POST endpoints that create things. When the request carries an
+// Idempotency-Key header, a successful response is stored and replayed for any
+// retry with the same key, flagged with "Idempotent-Replayed: true". Errors are
+// not stored, so a request that failed can be fixed and retried with its key.
+//
+// Mount it after authentication and before multer, so a replayed upload is
+// answered without saving the files again.
+const IDEMPOTENCY_TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Keys of requests still being handled, so a retry sent while the first
+// attempt is uploading doesn't run alongside it
+const inFlight = new Set();
+
+function idempotent() {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+    }
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    let stored;
+    try {
+      stored = await idempotencyRepository.find(req.user.id, scope, key);
+    } catch (error) {
+      return next(error);
+    }
+    if (stored) {
+      console.log(`Replaying response for idempotency key ${key} (${scope})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+    const lockKey = `${req.user.id} ${scope} ${key}`;
+    if (inFlight.has(lockKey)) {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    inFlight.add(lockKey);
+    const release = () => inFlight.delete(lockKey);
+    res.on('finish', release);
+    res.on('close', release);
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        idempotencyRepository.save({ userId: req.user.id, scope, key, statusCode: res.statusCode, body }, IDEMPOTENCY_TTL_MS)
+          .catch(error => console.error('Failed to store idempotent response:', error));
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { idempotent };
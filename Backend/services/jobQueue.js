@@ -0,0 +1,148 @@
+const { EventEmitter } = require('events');
+const jobRepository = require('../repositories/jobRepository');
+
+// Single-worker background job queue backed by jobRepository.
+//
+// handlers maps a job type to { maxAttempts?, run(job, ctx), onFailed?(job, error) }.
+// run() receives ctx.progress(percent, message) for progress reporting and may
+// return a JSON-serializable result. A thrown error is retried with exponential
+// backoff until maxAttempts is reached, unless the error has retryable === false.
+// onFailed() runs once when a job gives up for good.
+//
+// Every job change is emitted as a 'job' event, which the SSE endpoints relay.
+const RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS) || 5000;
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+function createJobQueue({ handlers }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let timer = null;
+  let running = false;
+  let started = false;
+
+  function emit(job) {
+    if (job) events.emit('job', job);
+    return job;
+  }
+
+  async function enqueue(type, { reportId = null, payload = {}, dependsOn = [] } = {}) {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+    const job = emit(await jobRepository.create({
+      type,
+      reportId,
+      payload,
+      dependsOn,
+      maxAttempts: handler.maxAttempts || 3
+    }));
+    console.log(`Queued ${type} job ${job.id}`);
+    wake();
+    return job;
+  }
+
+  async function runJob(job) {
+    const handler = handlers[job.type];
+    const progress = async (percent, message) => {
+      emit(await jobRepository.update(job.id, { progress: percent, message }));
+    };
+    emit(job);
+    try {
+      if (!handler) {
+        throw permanentError(`No handler registered for job type "${job.type}"`);
+      }
+      const result = await handler.run(job, { progress });
+      emit(await jobRepository.update(job.id, {
+        status: 'completed',
+        progress: 100,
+        message: 'Completed',
+        result: result === undefined ? null : result,
+        error: null,
+        finishedAt: new Date().toISOString()
+      }));
+      console.log(`Job ${job.id} (${job.type}) completed`);
+    } catch (error) {
+      const giveUp = error.retryable === false || job.attempts >= job.maxAttempts;
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+      if (giveUp) {
+        emit(await jobRepository.update(job.id, {
+          status: 'failed',
+          message: 'Failed',
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        }));
+        if (handler && handler.onFailed) {
+          try {
+            await handler.onFailed(job, error);
+          } catch (hookError) {
+            console.error(`onFailed hook for job ${job.id} failed:`, hookError);
+          }
+        }
+      } else {
+        const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+        emit(await jobRepository.update(job.id, {
+          status: 'queued',
+          message: `Retrying in ${Math.round(delay / 1000)}s`,
+          error: error.message,
+          runAt: new Date(Date.now() + delay).toISOString()
+        }));
+      }
+    }
+  }
+
+  async function tick() {
+    timer = null;
+    if (running) return;
+    running = true;
+    try {
+      let job;
+      while ((job = await jobRepository.claimNext())) {
+        await runJob(job);
+      }
+    } catch (error) {
+      console.error('Job queue error:', error);
+    } finally {
+      running = false;
+      schedule(POLL_INTERVAL_MS);
+    }
+  }
+
+  function schedule(delay) {
+    if (!started || timer) return;
+    timer = setTimeout(tick, delay);
+  }
+
+  // Runs the queue as soon as possible instead of waiting for the next poll
+  function wake() {
+    if (!started || running) return;
+    clearTimeout(timer);
+    timer = null;
+    schedule(0);
+  }
+
+  async function start() {
+    if (started) return;
+    started = true;
+    const requeued = await jobRepository.requeueInterrupted();
+    if (requeued > 0) {
+      console.log(`Re-queued ${requeued} interrupted job(s)`);
+    }
+    schedule(0);
+  }
+
+  return {
+    enqueue,
+    start,
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener)
+  };
+}
+
+module.exports = { createJobQueue, permanentError };
@@ -0,0 +1,86 @@
+// Report lifecycle. Reports move through these states:
+//
+//   draft -> analyzed -> in-review -> approved -> sent
+//
+// and can be archived from any of them. "analyzed" is reached when the AI
+// findings are first saved and "sent" when an approved report is emailed;
+// the other moves are made by people through transitions. Approved, sent and
+// archived reports are locked: their content can't change until a reviewer
+// reopens them.
+const STATUSES = ['draft', 'analyzed', 'in-review', 'approved', 'sent', 'archived'];
+const LOCKED_STATUSES = ['approved', 'sent', 'archived'];
+
+// action -> { from, to, roles, owner }. owner: true lets the inspector who
+// owns the report make the move as well as the listed roles. to: null means
+// the status the report had before it was archived.
+const TRANSITIONS = {
+  submit: { from: ['analyzed'], to: 'in-review', roles: ['reviewer', 'admin'], owner: true },
+  approve: { from: ['in-review'], to: 'approved', roles: ['reviewer', 'admin'] },
+  'request-changes': { from: ['in-review'], to: 'analyzed', roles: ['reviewer', 'admin'] },
+  reopen: { from: ['approved', 'sent'], to: 'analyzed', roles: ['reviewer', 'admin'] },
+  archive: { from: ['draft', 'analyzed', 'in-review', 'approved', 'sent'], to: 'archived', roles: ['reviewer', 'admin'], owner: true },
+  unarchive: { from: ['archived'], to: null, roles: ['reviewer', 'admin'] }
+};
+
+function isLocked(report) {
+  return LOCKED_STATUSES.includes(report.status);
+}
+
+// Whether the report's current content has been approved, i.e. its PDF is final
+function isApproved(report) {
+  return report.status === 'approved'
+    || report.status === 'sent'
+    || (report.status === 'archived' && Boolean(report.approvedAt));
+}
+
+function mayPerform(user, report, transition) {
+  return transition.roles.includes(user.role) || (transition.owner && report.ownerId === user.id);
+}
+
+// Transition actions the user may take on the report right now
+function availableTransitions(user, report) {
+  return Object.keys(TRANSITIONS).filter(action => {
+    const transition = TRANSITIONS[action];
+    return transition.from.includes(report.status) && mayPerform(user, report, transition);
+  });
+}
+
+// Works out the report changes for a transition. Returns { changes } or
+// { status, error } with the HTTP status to answer with.
+function planTransition(user, report, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { status: 400, error: `Unknown action "${action}". Use one of: ${Object.keys(TRANSITIONS).join(', ')}` };
+  }
+  if (!mayPerform(user, report, transition)) {
+    return { status: 403, error: `You do not have permission to ${action.replace('-', ' ')} this report` };
+  }
+  if (!transition.from.includes(report.status)) {
+    return { status: 409, error: `Cannot ${action.replace('-', ' ')} a report that is ${report.status}` };
+  }
+  const now = new Date().toISOString();
+  const changes = { status: transition.to || report.statusBeforeArchive || 'draft' };
+  if (action === 'approve') {
+    Object.assign(changes, { approvedAt: now, approvedBy: user.id });
+  }
+  if (action === 'reopen') {
+    Object.assign(changes, { approvedAt: null, approvedBy: null });
+  }
+  if (action === 'archive') {
+    changes.statusBeforeArchive = report.status;
+  }
+  if (action === 'unarchive') {
+    changes.statusBeforeArchive = null;
+  }
+  return { changes };
+}
+
+module.exports = {
+  STATUSES,
+  LOCKED_STATUSES,
+  TRANSITIONS,
+  isLocked,
+  isApproved,
+  availableTransitions,
+  planTransition
+};
@@ -0,0 +1,40 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini via the official SDK
+function createGeminiProvider({
+  apiKey = process.env.GOOGLE_AI_KEY,
+  model = process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+  timeoutMs = Number(process.env.GEMINI_TIMEOUT_MS) || 60000
+} = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+    timeoutMs,
+    supportsImages: true,
+    async generate(prompt, { json = false, images = [] } = {}) {
+      if (!apiKey) {
+        throw new Error('GOOGLE_AI_KEY is not set');
+      }
+      const generativeModel = genAI.getGenerativeModel(
+        {
+          model,
+          generationConfig: json ? { responseMimeType: 'application/json' } : undefined
+        },
+        { timeout: timeoutMs }
+      );
+      // Each image follows a text part naming the photo it belongs to
+      const parts = [{ text: prompt }];
+      images.forEach(image => {
+        parts.push({ text: image.label });
+        parts.push({ inlineData: { mimeType: image.mimeType, data: image.data } });
+      });
+      const result = await generativeModel.generateContent(parts);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
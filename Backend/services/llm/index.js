@@ -0,0 +1,71 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createStubProvider } = require('./stub');
+
+// LLM provider layer. Every provider exposes
+//   { name, model, timeoutMs, supportsImages, generate(prompt, { json, images }) => Promise<string> }
+// where images is a list of { label, mimeType, data (base64) }. LLM_PROVIDERS (comma-separated, e.g. "gemini,openai,stub") picks which
+// ones are used and in which order. When a provider fails or times out, the
+// next one in the list is tried.
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  stub: createStubProvider
+};
+
+function withTimeout(promise, timeoutMs, name) {
+  if (!timeoutMs) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createLlmClient(providerNames = (process.env.LLM_PROVIDERS || 'gemini').split(',')) {
+  const providers = providerNames
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+      }
+      return factory();
+    });
+  if (providers.length === 0) {
+    throw new Error('No LLM providers configured');
+  }
+
+  // prompt may be a function of the images a provider will actually get, so
+  // text-only fallbacks aren't told about images they can't see
+  async function generate(prompt, options = {}) {
+    const failures = [];
+    for (const provider of providers) {
+      try {
+        const images = provider.supportsImages ? (options.images || []) : [];
+        if (options.images && options.images.length > 0 && images.length === 0) {
+          console.warn(`LLM provider ${provider.name} can't read images; sending text only`);
+        }
+        const providerPrompt = typeof prompt === 'function' ? prompt({ images }) : prompt;
+        const text = await withTimeout(
+          provider.generate(providerPrompt, { ...options, images }),
+          provider.timeoutMs,
+          provider.name
+        );
+        return { text, provider: provider.name, model: provider.model };
+      } catch (error) {
+        console.error(`LLM provider ${provider.name} failed:`, error.message);
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+    throw new Error(`All LLM providers failed (${failures.join('; ')})`);
+  }
+
+  return {
+    providers: providers.map(p => p.name),
+    generate
+  };
+}
+
+module.exports = { createLlmClient };
@@ -0,0 +1,54 @@
+const axios = require('axios');
+
+// Any server that speaks the OpenAI chat completions API: OpenAI itself, a
+// local Ollama (http://localhost:11434/v1) or a llama.cpp server. Set
+// OPENAI_VISION=true when the model accepts images (e.g. gpt-4o, llava).
+// Text followed by each image, labelled with the photo it belongs to
+function messageParts(prompt, images) {
+  const parts = [{ type: 'text', text: prompt }];
+  images.forEach(image => {
+    parts.push({ type: 'text', text: image.label });
+    parts.push({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } });
+  });
+  return parts;
+}
+
+function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || 'llama3.1',
+  timeoutMs = Number(process.env.OPENAI_TIMEOUT_MS) || 120000,
+  supportsImages = process.env.OPENAI_VISION === 'true'
+} = {}) {
+  return {
+    name: 'openai',
+    model,
+    timeoutMs,
+    supportsImages,
+    async generate(prompt, { json = false, images = [] } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      const body = {
+        model,
+        messages: [{ role: 'user', content: images.length > 0 ? messageParts(prompt, images) : prompt }],
+        temperature: 0.2
+      };
+      if (json) {
+        body.response_format = { type: 'json_object' };
+      }
+      const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, body, {
+        headers,
+        timeout: timeoutMs
+      });
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('Response did not contain a message');
+      }
+      return content;
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,57 @@
+// Deterministic offline provider for development and tests. It never calls the
+// network: the same prompt always yields the same response, built from the
+// inspector's notes embedded in the analysis prompt. Images are accepted but
+// not looked at.
+
+// The photos in an analysis prompt. Notes can span several lines, so each
+// photo runs up to the next "Photo N:" marker and its note ends at its last
+// "Image:" line.
+function promptPhotos(prompt) {
+  const photos = [];
+  let start = prompt.indexOf('\nPhoto 1:\n');
+  for (let number = 1; start !== -1; number++) {
+    const next = prompt.indexOf(`\nPhoto ${number + 1}:\n`, start + 1);
+    const block = prompt.slice(start, next === -1 ? prompt.length : next);
+    const noteStart = block.indexOf("Inspector's note: ");
+    const imageStart = block.lastIndexOf('\nImage: ');
+    if (noteStart === -1 || imageStart < noteStart) break;
+    photos.push({
+      description: block.slice(noteStart + "Inspector's note: ".length, imageStart).trim(),
+      hasImage: block.startsWith('attached', imageStart + '\nImage: '.length)
+    });
+    start = next;
+  }
+  return photos;
+}
+
+function createStubProvider() {
+  return {
+    name: 'stub',
+    model: 'stub',
+    timeoutMs: 0,
+    supportsImages: true,
+    async generate(prompt) {
+      const photos = promptPhotos(prompt);
+      const findings = photos.map((photo, idx) => ({
+        photoNumber: idx + 1,
+        observed: photo.hasImage ? 'Image received but not analyzed by the offline stub provider.' : 'No image available',
+        problem: photo.description || 'No description provided.',
+        solution: 'Have a qualified contractor inspect and repair the affected area.',
+        priority: 'Medium',
+        costMin: 100,
+        costMax: 500,
+        safety: 'None identified'
+      }));
+      return JSON.stringify({
+        title: photos.length === 1
+          ? 'Site Inspection: 1 Item Reviewed'
+          : `Site Inspection: ${photos.length} Items Reviewed`,
+        findings,
+        recommendedServices: ['General contractor assessment'],
+        notes: 'Generated by the offline stub provider.'
+      });
+    }
+  };
+}
+
+module.exports = { createStubProvider };
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { applyBranding } = require('../branding');
+const { heading } = require('./layout');
+const sections = require('./sections');
+const { templateForReport } = require('./templates');
+
+// Renders a report to a PDF file by laying out the sections of a template.
+// Pages are buffered so "Page X of Y" can be stamped once the total is known,
+// along with the revision the PDF was rendered from.
+//
+// options:
+//   template   template object (defaults to the report's template)
+//   branding   organization profile for the letterhead, or null
+//   imagePath  photo => path of the image to draw (defaults to photo.path)
+//   watermark  text printed diagonally across every page, e.g. 'DRAFT'
+function renderReportPDF(report, outputPath, options = {}) {
+  const template = options.template || templateForReport(report);
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        autoFirstPage: false,
+        bufferPages: true,
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        size: 'A4'
+      });
+      const writeStream = fs.createWriteStream(outputPath);
+      doc.pipe(writeStream);
+      applyBranding(doc, options.branding);
+
+      const aiReport = report.aiReport || null;
+      const ctx = {
+        doc,
+        report,
+        aiReport,
+        template,
+        // Use the AI title or fall back to the job name
+        title: (aiReport && aiReport.title) || report.jobName || 'Property Inspection Report',
+        headingColor: options.branding ? options.branding.primaryColor : '#333333',
+        imagePath: options.imagePath || (photo => photo.path)
+      };
+
+      doc.addPage();
+      template.sections.forEach((section, idx) => {
+        const freshPage = doc.y <= doc.page.margins.top;
+        if (section.newPage && !freshPage) {
+          doc.addPage();
+        }
+        if (idx > 0 && section.newPage && template.repeatTitle) {
+          heading(doc, ctx.title);
+        }
+        sections[section.type](ctx, section);
+      });
+
+      if (options.watermark) {
+        addWatermark(doc, options.watermark);
+      }
+      addPageNumbers(doc, report.revision);
+      doc.end();
+
+      writeStream.on('finish', () => {
+        console.log(`PDF created successfully at: ${outputPath} (template: ${template.name})`);
+        resolve(outputPath);
+      });
+      writeStream.on('error', (err) => {
+        console.error('Error writing PDF:', err);
+        reject(err);
+      });
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      reject(error);
+    }
+  });
+}
+
+// Drawn over the finished pages, faint enough to read the content through
+function addWatermark(doc, text) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { width, height } = doc.page;
+    doc.save()
+       .rotate(-45, { origin: [width / 2, height / 2] })
+       .fontSize(120)
+       .font('Helvetica-Bold')
+       .fillColor('#cc0000')
+       .fillOpacity(0.12)
+       .text(text, 0, height / 2 - 60, { width, align: 'center', lineBreak: false })
+       .restore();
+  }
+}
+
+function addPageNumbers(doc, revision) {
+  const range = doc.bufferedPageRange();
+  const prefix = revision ? `Revision ${revision} · ` : '';
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { left, right } = doc.page.margins;
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#333333')
+       .text(`${prefix}Page ${i - range.start + 1} of ${range.count}`, left, 20, {
+         width: doc.page.width - left - right,
+         align: 'right',
+         lineBreak: false
+       });
+  }
+}
+
+module.exports = { renderReportPDF };
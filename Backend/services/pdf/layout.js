@@ -0,0 +1,87 @@
+const fs = require('fs');
+
+// Drawing helpers shared by the PDF section renderers
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+// Starts a new page when fewer than `height` points are left on this one.
+// Returns true if a page was added.
+function ensureSpace(doc, height) {
+  if (doc.y + height <= doc.page.maxY()) return false;
+  doc.addPage();
+  return true;
+}
+
+function heading(doc, text, { color = '#000000', size = 16, align = 'center' } = {}) {
+  doc.x = doc.page.margins.left;
+  doc.fontSize(size)
+     .font('Helvetica-Bold')
+     .fillColor(color)
+     .text(text, doc.page.margins.left, doc.y, { width: contentWidth(doc), align })
+     .moveDown(1);
+}
+
+function sectionHeader(doc, text, color) {
+  // Keep a header together with at least a couple of lines of its section
+  ensureSpace(doc, 60);
+  doc.x = doc.page.margins.left;
+  doc.fontSize(14)
+     .font('Helvetica-Bold')
+     .fillColor(color)
+     .text(text, doc.page.margins.left, doc.y, { width: contentWidth(doc), align: 'left' })
+     .moveDown(0.5);
+}
+
+// A bold label followed by its value
+function field(doc, label, value) {
+  doc.x = doc.page.margins.left;
+  doc.fontSize(11)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text(`${label} `, { continued: true })
+     .font('Helvetica')
+     .text(value, doc.page.margins.left, doc.y, { width: contentWidth(doc), align: 'left' })
+     .moveDown(0.3);
+}
+
+function body(doc, text) {
+  doc.x = doc.page.margins.left;
+  doc.fontSize(11)
+     .font('Helvetica')
+     .fillColor('#000000')
+     .text(text, doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+}
+
+function placeholder(doc, message, x, y, width, height) {
+  doc.rect(x, y, width, height).stroke('#cccccc');
+  doc.fontSize(9)
+     .fillColor('#cc0000')
+     .text(message, x + 10, y + height / 2, { width: width - 20, align: 'center' });
+}
+
+// Draws an image fitted into a bordered box, or a placeholder if it can't be read
+function imageBox(doc, imagePath, x, y, width, height) {
+  try {
+    if (!imagePath || !fs.existsSync(imagePath)) {
+      placeholder(doc, 'Photo not available', x, y, width, height);
+      return;
+    }
+    doc.image(imagePath, x, y, { fit: [width, height], align: 'center', valign: 'center' });
+    doc.rect(x, y, width, height).stroke('#cccccc');
+  } catch (e) {
+    console.error('Error adding photo:', imagePath, e);
+    placeholder(doc, 'Error loading photo', x, y, width, height);
+  }
+}
+
+module.exports = {
+  contentWidth,
+  ensureSpace,
+  heading,
+  sectionHeader,
+  field,
+  body,
+  imageBox
+};
@@ -0,0 +1,176 @@
+const { findingForPhoto, formatCostRange } = require('../aiReport');
+const { contentWidth, ensureSpace, heading, sectionHeader, field, body, imageBox } = require('./layout');
+
+// Section renderers available to PDF templates. Each receives the render
+// context and the section's options from the template and draws from the
+// current position, adding pages as it needs them.
+
+const CAPTION_HEIGHT = 30;
+const GRID_GAP = 20;
+
+// Capture time under a photo, when the report or section asks for it
+function captureLabel(ctx, options, photo) {
+  if (!photo.capturedAt || !(ctx.report.showPhotoTimestamps || options.timestamps)) return null;
+  return `Taken ${photo.capturedAt.replace('T', ' ').slice(0, 16)}`;
+}
+
+// Starts a continuation page for a section that overflowed
+function continuePage(ctx, title) {
+  if (ctx.template.repeatTitle) heading(ctx.doc, ctx.title);
+  sectionHeader(ctx.doc, `${title} (continued)`, ctx.headingColor);
+}
+
+function cover(ctx, options) {
+  const { doc, report } = ctx;
+  const width = contentWidth(doc);
+  heading(doc, ctx.title);
+  if (report.reportNumber) {
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#333333')
+       .text(`Report No: ${report.reportNumber}`, doc.page.margins.left, doc.y, { width, align: 'center' })
+       .moveDown(1);
+  }
+  if (options.details) {
+    field(doc, 'Job:', report.jobName || '');
+    field(doc, 'Client:', report.clientName || '');
+    field(doc, 'Address:', report.address || '');
+    field(doc, 'Date:', report.date || '');
+    doc.moveDown(0.7);
+  }
+  doc.fontSize(12)
+     .font('Helvetica')
+     .fillColor('#000000')
+     .text(`Issue: ${ctx.title}`, doc.page.margins.left, doc.y, { width, align: 'left' })
+     .moveDown(1);
+}
+
+function photoGrid(ctx, options) {
+  const { doc, report } = ctx;
+  const title = options.title || 'Reference Photos:';
+  const columns = options.columns || 3;
+  const photoSize = (contentWidth(doc) - GRID_GAP * (columns - 1)) / columns;
+  const withTimestamps = report.photos.some(photo => captureLabel(ctx, options, photo));
+  const captionHeight = withTimestamps ? CAPTION_HEIGHT + 12 : CAPTION_HEIGHT;
+  sectionHeader(doc, title, ctx.headingColor);
+
+  for (let start = 0; start < report.photos.length; start += columns) {
+    if (start > 0 && ensureSpace(doc, photoSize + captionHeight)) {
+      continuePage(ctx, title);
+    }
+    const y = doc.y;
+    report.photos.slice(start, start + columns).forEach((photo, col) => {
+      const x = doc.page.margins.left + col * (photoSize + GRID_GAP);
+      imageBox(doc, ctx.imagePath(photo), x, y, photoSize, photoSize);
+      doc.fontSize(10)
+         .fillColor('#000000')
+         .font('Helvetica')
+         .text(`Photo ${start + col + 1}`, x, y + photoSize + 5, { width: photoSize, align: 'center' });
+      const taken = captureLabel(ctx, options, photo);
+      if (taken) {
+        doc.fontSize(8)
+           .fillColor('#666666')
+           .text(taken, x, doc.y, { width: photoSize, align: 'center' });
+      }
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + photoSize + captionHeight;
+  }
+  doc.moveDown(1);
+}
+
+function findings(ctx, options) {
+  const { doc, report, aiReport } = ctx;
+  const title = options.title || 'Reference Photo breakdown:';
+  sectionHeader(doc, title, ctx.headingColor);
+
+  report.photos.forEach((photo, idx) => {
+    // Keep at least the first lines of a finding with its heading
+    if (idx > 0 && ensureSpace(doc, 100)) {
+      continuePage(ctx, title);
+    }
+    doc.x = doc.page.margins.left;
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#000000')
+       .text(`Photo ${idx + 1}:`, doc.page.margins.left, doc.y, { width: contentWidth(doc), align: 'left' })
+       .moveDown(0.3);
+
+    const finding = findingForPhoto(aiReport, photo, idx);
+    if (finding) {
+      field(doc, 'Problem Description:', finding.problem);
+      field(doc, 'Recommended Solution:', finding.solution);
+      field(doc, 'Priority Level:', finding.priority);
+      field(doc, 'Estimated Cost Range:', formatCostRange(finding));
+      field(doc, 'Safety Concerns:', finding.safety);
+    } else {
+      // Not analyzed yet: show the inspector's own description
+      field(doc, 'Description:', photo.description || photo.transcription || 'No description provided.');
+    }
+    doc.moveDown(1);
+  });
+}
+
+function services(ctx, options) {
+  const { doc, aiReport } = ctx;
+  sectionHeader(doc, options.title || 'Recommended Services:', ctx.headingColor);
+  const list = (aiReport && aiReport.recommendedServices) || [];
+  doc.fontSize(11).font('Helvetica').fillColor('#000000');
+  if (list.length > 0) {
+    list.forEach(service => {
+      doc.text(`• ${service}`, doc.page.margins.left, doc.y, { width: contentWidth(doc), indent: 20 });
+    });
+  } else {
+    body(doc, 'No recommended services to be added.');
+  }
+  doc.moveDown(1);
+}
+
+function notes(ctx, options) {
+  const { doc, aiReport } = ctx;
+  sectionHeader(doc, options.title || 'Additional Notes:', ctx.headingColor);
+  body(doc, (aiReport && aiReport.notes) || 'No additional project notes at this time.');
+  doc.moveDown(1);
+}
+
+// Full-size photos with the inspector's notes, `perPage` to a page
+function appendix(ctx, options) {
+  const { doc, report } = ctx;
+  const title = options.title || 'Appendix: Photos';
+  const perPage = options.perPage || 2;
+  sectionHeader(doc, title, ctx.headingColor);
+  const pageSpace = doc.page.maxY() - doc.page.margins.top - 60;
+  const imageHeight = pageSpace / perPage - 80;
+
+  report.photos.forEach((photo, idx) => {
+    if (ensureSpace(doc, imageHeight + 80)) {
+      continuePage(ctx, title);
+    }
+    const y = doc.y;
+    imageBox(doc, ctx.imagePath(photo), doc.page.margins.left, y, contentWidth(doc), imageHeight);
+    doc.y = y + imageHeight + 5;
+    doc.fontSize(10)
+       .font('Helvetica-Bold')
+       .fillColor('#000000')
+       .text(`Photo ${idx + 1}`, doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+    const taken = captureLabel(ctx, options, photo);
+    if (taken) {
+      doc.fontSize(8).font('Helvetica').fillColor('#666666').text(taken);
+      doc.fontSize(10).fillColor('#000000');
+    }
+    const note = photo.description || photo.transcription;
+    if (note) {
+      doc.font('Helvetica').text(note, { width: contentWidth(doc), height: 40, ellipsis: true });
+    }
+    doc.moveDown(1);
+  });
+}
+
+module.exports = {
+  cover,
+  photoGrid,
+  findings,
+  services,
+  notes,
+  appendix
+};
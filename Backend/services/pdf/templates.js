@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const sections = require('./sections');
+
+// PDF templates are JSON files declaring an ordered list of sections:
+//
+// {
+//   "name": "standard",
+//   "label": "Standard inspection",
+//   "reportTypes": ["general"],       // report types that use it by default
+//   "repeatTitle": true,              // report title on section / overflow pages
+//   "sections": [{ "type": "cover" }, { "type": "photoGrid", "columns": 3 }, ...]
+// }
+//
+// Section types are the renderers in sections.js; any other keys on a section
+// are its options (title, newPage, columns, perPage, details, timestamps). Built-in
+// templates live next to this file; PDF_TEMPLATES_DIR adds more, replacing
+// built-ins with the same name. Files are re-read on every render, so new
+// templates don't need a restart.
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+const DEFAULT_TEMPLATE = 'standard';
+
+function validateTemplate(template) {
+  const errors = [];
+  if (!template || typeof template.name !== 'string' || !template.name) {
+    errors.push('"name" is required');
+  }
+  if (!Array.isArray(template && template.sections) || template.sections.length === 0) {
+    errors.push('"sections" must be a non-empty array');
+  } else {
+    template.sections.forEach((section, idx) => {
+      if (!section || !sections[section.type]) {
+        errors.push(`Section ${idx + 1}: unknown type "${section && section.type}"`);
+      }
+    });
+  }
+  return errors;
+}
+
+function readTemplates(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const filePath = path.join(dir, file);
+      try {
+        const template = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const errors = validateTemplate(template);
+        if (errors.length > 0) {
+          console.error(`Ignoring PDF template ${filePath}:`, errors.join('; '));
+          return null;
+        }
+        return { reportTypes: [], repeatTitle: false, label: template.name, ...template };
+      } catch (error) {
+        console.error(`Ignoring PDF template ${filePath}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function listTemplates() {
+  const byName = new Map();
+  [BUILT_IN_DIR, process.env.PDF_TEMPLATES_DIR].forEach(dir => {
+    readTemplates(dir).forEach(template => byName.set(template.name, template));
+  });
+  return [...byName.values()];
+}
+
+function findTemplate(name) {
+  return listTemplates().find(t => t.name === name) || null;
+}
+
+// The report's chosen template, else the one registered for its report type,
+// else the default
+function templateForReport(report) {
+  const templates = listTemplates();
+  return templates.find(t => t.name === report.template)
+    || templates.find(t => report.reportType && t.reportTypes.includes(report.reportType))
+    || templates.find(t => t.name === DEFAULT_TEMPLATE);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  findTemplate,
+  templateForReport
+};
@@ -0,0 +1,16 @@
+// Who may do what with a report.
+//
+//   inspector: create reports; read, edit and delete the reports they own
+//   reviewer:  read and edit every report
+//   admin:     everything
+function canAccessReport(user, report, action = 'read') {
+  if (!user || !report) return false;
+  if (user.role === 'admin') return true;
+  if (user.role === 'reviewer') return action === 'read' || action === 'write';
+  if (user.role === 'inspector') {
+    return report.ownerId === user.id && ['read', 'write', 'delete'].includes(action);
+  }
+  return false;
+}
+
+module.exports = { canAccessReport };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const store = require('../db/store');
+
+// Upload-time image pipeline. The uploaded original is kept untouched as
+// evidence; alongside it we store an auto-rotated thumbnail for the app and a
+// compressed, auto-rotated rendition for PDFs, and record what EXIF says about
+// the shot.
+const RENDITIONS_DIR = path.join(store.DATA_DIR, 'renditions');
+const THUMBNAIL_SIZE = Number(process.env.PHOTO_THUMBNAIL_SIZE) || 320;
+const RENDITION_SIZE = Number(process.env.PHOTO_RENDITION_SIZE) || 1600;
+const RENDITION_QUALITY = Number(process.env.PHOTO_RENDITION_QUALITY) || 80;
+const AI_IMAGE_SIZE = Number(process.env.AI_IMAGE_SIZE) || 1024;
+
+// EXIF dates have no time zone, so keep the camera's local wall-clock time
+// rather than pretending it is UTC
+function formatExifDate(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19);
+}
+
+function readExif(buffer) {
+  if (!buffer) return {};
+  try {
+    const exif = exifReader(buffer);
+    const image = exif.Image || {};
+    const photo = exif.Photo || {};
+    return {
+      capturedAt: formatExifDate(photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime),
+      cameraMake: typeof image.Make === 'string' ? image.Make.trim() : null,
+      cameraModel: typeof image.Model === 'string' ? image.Model.trim() : null
+    };
+  } catch (error) {
+    console.error('Error reading EXIF data:', error.message);
+    return {};
+  }
+}
+
+// Returns the fields to store on the photo. Throws if the file isn't an image
+// sharp can read.
+async function processPhoto(filePath, photoId) {
+  const metadata = await sharp(filePath).metadata();
+  // Orientations 5-8 are rotated a quarter turn, so width and height swap
+  const quarterTurn = metadata.orientation >= 5;
+  fs.mkdirSync(RENDITIONS_DIR, { recursive: true });
+  const stamp = Date.now();
+  const thumbnailPath = path.join(RENDITIONS_DIR, `${photoId}-${stamp}-thumb.jpg`);
+  const renditionPath = path.join(RENDITIONS_DIR, `${photoId}-${stamp}-pdf.jpg`);
+
+  await sharp(filePath)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toFile(thumbnailPath);
+  await sharp(filePath)
+    .rotate()
+    .resize(RENDITION_SIZE, RENDITION_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: RENDITION_QUALITY, mozjpeg: true })
+    .toFile(renditionPath);
+
+  const exif = readExif(metadata.exif);
+  return {
+    width: quarterTurn ? metadata.height : metadata.width,
+    height: quarterTurn ? metadata.width : metadata.height,
+    capturedAt: exif.capturedAt || null,
+    cameraMake: exif.cameraMake || null,
+    cameraModel: exif.cameraModel || null,
+    thumbnailPath,
+    renditionPath,
+    processingError: null
+  };
+}
+
+// Processes a photo, falling back to the original image if that fails so an
+// odd file never blocks an upload
+async function ingestPhoto(photo) {
+  try {
+    return await processPhoto(photo.path, photo.id);
+  } catch (error) {
+    console.error('Error processing photo:', photo.path, error.message);
+    return { thumbnailPath: null, renditionPath: null, processingError: error.message };
+  }
+}
+
+// Downscaled base64 JPEG for sending to a multimodal model
+async function analysisImage(imagePath) {
+  const buffer = await sharp(imagePath)
+    .rotate()
+    .resize(AI_IMAGE_SIZE, AI_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+  return { mimeType: 'image/jpeg', data: buffer.toString('base64') };
+}
+
+function removeRenditions(photo) {
+  [photo.thumbnailPath, photo.renditionPath].forEach(filePath => {
+    if (filePath && path.dirname(path.resolve(filePath)) === path.resolve(RENDITIONS_DIR)) {
+      fs.rm(filePath, { force: true }, (err) => {
+        if (err) console.error('Error deleting rendition:', filePath, err);
+      });
+    }
+  });
+}
+
+module.exports = {
+  RENDITIONS_DIR,
+  processPhoto,
+  ingestPhoto,
+  analysisImage,
+  removeRenditions
+};
@@ -0,0 +1,120 @@
+const { STATUSES } = require('./lifecycle');
+const { PRIORITIES } = require('./aiReport');
+
+// Query-string filters shared by the report list and the findings export:
+//
+//   q           search words; every word must appear somewhere in the job
+//               name, client, address, report number, photo descriptions,
+//               transcriptions or AI report, in any case
+//   client      part of the client name, any case
+//   clientId, siteId  reports linked to a client or site
+//   status      one or more statuses, comma separated
+//   priority    one or more finding priorities; reports need at least one
+//               finding with one of them, and exports keep only those findings
+//   from, to    report date range, YYYY-MM-DD, both ends included
+//   reportType  exact report type
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function listParam(value) {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Returns { filters, errors }
+function parseReportFilters(query) {
+  const errors = [];
+  const filters = {};
+
+  if (typeof query.q === 'string' && query.q.trim()) {
+    filters.terms = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+  }
+  if (typeof query.client === 'string' && query.client.trim()) {
+    filters.client = query.client.trim().toLowerCase();
+  }
+  ['clientId', 'siteId'].forEach(param => {
+    if (typeof query[param] === 'string' && query[param].trim()) {
+      filters[param] = query[param].trim();
+    }
+  });
+  if (typeof query.reportType === 'string' && query.reportType.trim()) {
+    filters.reportType = query.reportType.trim();
+  }
+
+  const statuses = listParam(query.status);
+  const unknownStatuses = statuses.filter(status => !STATUSES.includes(status));
+  if (unknownStatuses.length > 0) {
+    errors.push(`status must be one of ${STATUSES.join(', ')}`);
+  } else if (statuses.length > 0) {
+    filters.status = statuses;
+  }
+
+  // Priorities are matched in any case, like the AI output
+  const priorities = listParam(query.priority)
+    .map(priority => PRIORITIES.find(p => p.toLowerCase() === priority.toLowerCase()) || priority);
+  if (priorities.some(priority => !PRIORITIES.includes(priority))) {
+    errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+  } else if (priorities.length > 0) {
+    filters.priority = priorities;
+  }
+
+  ['from', 'to'].forEach(param => {
+    if (query[param] === undefined || query[param] === '') return;
+    if (typeof query[param] !== 'string' || !DATE_PATTERN.test(query[param])) {
+      errors.push(`${param} must be a date in YYYY-MM-DD format`);
+    } else {
+      filters[param] = query[param];
+    }
+  });
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must not be after to');
+  }
+
+  return { filters, errors };
+}
+
+// Everything a search looks through, in lower case
+function searchableText(report) {
+  const parts = [report.jobName, report.clientName, report.address, report.reportNumber];
+  (report.photos || []).forEach(photo => parts.push(photo.description, photo.transcription));
+  const aiReport = report.aiReport;
+  if (aiReport) {
+    parts.push(aiReport.title, aiReport.notes, ...aiReport.recommendedServices);
+    aiReport.findings.forEach(finding => {
+      parts.push(finding.observed, finding.problem, finding.solution, finding.safety);
+    });
+  }
+  return parts.filter(Boolean).join('\n').toLowerCase();
+}
+
+function matchesFinding(finding, filters) {
+  return !filters.priority || filters.priority.includes(finding.priority);
+}
+
+function matchesReport(report, filters) {
+  if (filters.client && !(report.clientName || '').toLowerCase().includes(filters.client)) return false;
+  if (filters.clientId && report.clientId !== filters.clientId) return false;
+  if (filters.siteId && report.siteId !== filters.siteId) return false;
+  if (filters.reportType && report.reportType !== filters.reportType) return false;
+  if (filters.status && !filters.status.includes(report.status)) return false;
+  // Dates are stored as YYYY-MM-DD, so they compare as strings
+  if (filters.from && !(report.date >= filters.from)) return false;
+  if (filters.to && !(report.date <= filters.to)) return false;
+  if (filters.priority) {
+    const findings = report.aiReport ? report.aiReport.findings : [];
+    if (!findings.some(finding => matchesFinding(finding, filters))) return false;
+  }
+  if (filters.terms) {
+    const text = searchableText(report);
+    if (!filters.terms.every(term => text.includes(term))) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  parseReportFilters,
+  matchesReport,
+  matchesFinding
+};
@@ -0,0 +1,53 @@
+const clientRepository = require('../repositories/clientRepository');
+const siteRepository = require('../repositories/siteRepository');
+
+// Links between reports and the client and site directory. Reports keep
+// their own clientName and address text, as printed, so renaming a client
+// later doesn't change reports that were already sent.
+
+// Works out a report's clientId and siteId. Given ids must exist and agree
+// with each other; the client name and address default to the linked
+// client's and site's. Without ids, a client and site whose name and
+// address match the text are linked. Returns { error } or
+// { clientId, siteId, clientName, address }.
+async function linkReport({ clientId = null, siteId = null, clientName, address }) {
+  let site = null;
+  let client = null;
+  if (siteId) {
+    site = await siteRepository.findById(siteId);
+    if (!site) return { error: 'Site not found' };
+    if (clientId && clientId !== site.clientId) {
+      return { error: 'The site belongs to a different client' };
+    }
+    clientId = site.clientId;
+  }
+  if (clientId) {
+    client = await clientRepository.findById(clientId);
+    if (!client) return { error: 'Client not found' };
+  } else {
+    client = await clientRepository.findByName(clientName);
+  }
+  if (!site && client) {
+    site = await siteRepository.findByAddress(client.id, address);
+  }
+  return {
+    clientId: client ? client.id : null,
+    siteId: site ? site.id : null,
+    clientName: clientName || (client ? client.name : clientName),
+    address: address || (site ? site.address : address)
+  };
+}
+
+// Where a report email goes when the sender names nobody: the site's
+// default recipients, else the client's
+async function defaultRecipients(report) {
+  const site = report.siteId ? await siteRepository.findById(report.siteId) : null;
+  if (site && site.emailRecipients.length > 0) return site.emailRecipients;
+  const client = report.clientId ? await clientRepository.findById(report.clientId) : null;
+  return client ? client.emailRecipients : [];
+}
+
+module.exports = {
+  linkReport,
+  defaultRecipients
+};
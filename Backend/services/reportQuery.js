@@ -0,0 +1,148 @@
+const { parseReportFilters } = require('./reportFilters');
+const { PRIORITIES } = require('./aiReport');
+
+// Sorting, cursor pagination and projections for the report list, on top of
+// the shared filters.
+//
+//   sort    one of SORT_FIELDS, prefixed with "-" for descending
+//           (default -createdAt, newest first)
+//   limit   page size, 1 to MAX_LIMIT (default DEFAULT_LIMIT)
+//   cursor  nextCursor from the previous page
+//   view    'full' (default) or 'summary', a small projection for list screens
+//
+// Cursors hold the sort value and id of the last report on a page, so pages
+// stay consistent while reports are added or removed.
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'date', 'jobName', 'clientName', 'status', 'reportNumber'];
+const DEFAULT_SORT = '-createdAt';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const VIEWS = ['full', 'summary'];
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && typeof cursor.id === 'string' && typeof cursor.sort === 'string' ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns { options, errors }
+function parseListQuery(query) {
+  const { filters, errors } = parseReportFilters(query);
+
+  const sort = typeof query.sort === 'string' && query.sort ? query.sort : DEFAULT_SORT;
+  const field = sort.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    errors.push(`sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with "-"`);
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) {
+      errors.push('cursor is not valid');
+    } else if (cursor.sort !== sort) {
+      errors.push('cursor belongs to a different sort order');
+    }
+  }
+
+  const view = query.view || 'full';
+  if (!VIEWS.includes(view)) {
+    errors.push(`view must be one of ${VIEWS.join(', ')}`);
+  }
+
+  return {
+    options: { filters, sort, field, descending: sort.startsWith('-'), limit, cursor, view },
+    errors
+  };
+}
+
+function sortValue(report, field) {
+  const value = report[field];
+  return value === undefined || value === null ? '' : String(value).toLowerCase();
+}
+
+// Orders by the sort field, then by id so reports with equal values still
+// have a stable order to page through
+function compare(a, b, { field, descending }) {
+  const order = sortValue(a, field).localeCompare(sortValue(b, field)) || a.id.localeCompare(b.id);
+  return descending ? -order : order;
+}
+
+// The lightweight version of a report for list views
+function summarizeReport(report) {
+  const findings = report.aiReport ? report.aiReport.findings : [];
+  const priorityCounts = {};
+  PRIORITIES.forEach(priority => {
+    priorityCounts[priority] = findings.filter(f => f.priority === priority).length;
+  });
+  const photos = report.photos || [];
+  return {
+    id: report.id,
+    reportNumber: report.reportNumber,
+    jobName: report.jobName,
+    clientName: report.clientName,
+    address: report.address,
+    clientId: report.clientId || null,
+    siteId: report.siteId || null,
+    date: report.date,
+    status: report.status,
+    reportType: report.reportType,
+    ownerId: report.ownerId,
+    organizationId: report.organizationId,
+    revision: report.revision,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt,
+    approvedAt: report.approvedAt,
+    sentAt: report.sentAt,
+    title: report.aiReport ? report.aiReport.title : null,
+    photoCount: photos.length,
+    coverPhotoId: photos.length > 0 ? photos[0].id : null,
+    findingCount: findings.length,
+    priorityCounts
+  };
+}
+
+// reports: the reports the user may read that match the filters. Returns
+// { items, nextCursor, total } where total counts every match.
+function pageReports(reports, options) {
+  const sorted = [...reports].sort((a, b) => compare(a, b, options));
+  let start = 0;
+  if (options.cursor) {
+    const after = { id: options.cursor.id, [options.field]: options.cursor.value };
+    start = sorted.findIndex(report => compare(report, after, options) > 0);
+    if (start === -1) start = sorted.length;
+  }
+  const page = sorted.slice(start, start + options.limit);
+  const last = page[page.length - 1];
+  const nextCursor = start + options.limit < sorted.length && last
+    ? encodeCursor({ sort: options.sort, value: last[options.field] === undefined ? null : last[options.field], id: last.id })
+    : null;
+  return {
+    items: options.view === 'summary' ? page.map(summarizeReport) : page,
+    nextCursor,
+    total: sorted.length
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  pageReports,
+  summarizeReport
+};
@@ -0,0 +1,140 @@
+const { alignFindings } = require('./aiReport');
+
+// Report revisions: which parts of a report are versioned, field-level diffs
+// between two versions, and the changes that put an old version back.
+//
+// A snapshot holds the report fields people edit plus each photo's notes and
+// markup. Processing results (renditions, image analysis, job state) are left
+// out, since they are derived from the files rather than written by anyone.
+const REVISION_FIELDS = [
+  'jobName',
+  'clientName',
+  'address',
+  'date',
+  'reportType',
+  'template',
+  'organizationId',
+  'showPhotoTimestamps',
+  'status',
+  'aiReport',
+  'clientId',
+  'siteId'
+];
+// Status is not restored, so restoring can't be used to skip review steps
+const RESTORABLE_FIELDS = REVISION_FIELDS.filter(field => field !== 'status');
+const PHOTO_FIELDS = ['description', 'transcription', 'annotations'];
+
+function revisionSnapshot(report) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = report[field] === undefined ? null : structuredClone(report[field]);
+  });
+  snapshot.photos = (report.photos || []).map(photo => {
+    const saved = { id: photo.id, type: photo.type };
+    PHOTO_FIELDS.forEach(field => {
+      saved[field] = photo[field] === undefined ? null : structuredClone(photo[field]);
+    });
+    return saved;
+  });
+  return snapshot;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON with sorted keys, so equal objects compare equal whatever their key order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function isEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+// Arrays of photos or findings are compared item by item using their id, so
+// reordering or removing one item doesn't show every later item as changed
+function itemKey(before, after) {
+  if (!Array.isArray(before) || !Array.isArray(after)) return null;
+  const items = [...before, ...after];
+  if (items.length === 0) return null;
+  return ['id', 'photoId'].find(key => items.every(item => isPlainObject(item) && typeof item[key] === 'string')) || null;
+}
+
+function diffValues(path, before, after, changes) {
+  if (isEqual(before, after)) return;
+  if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      diffValues(path ? `${path}.${key}` : key, before[key], after[key], changes);
+    });
+    return;
+  }
+  const key = itemKey(before, after);
+  if (key) {
+    const beforeItems = new Map(before.map(item => [item[key], item]));
+    const afterItems = new Map(after.map(item => [item[key], item]));
+    new Set([...afterItems.keys(), ...beforeItems.keys()]).forEach(id => {
+      diffValues(`${path}[${id}]`, beforeItems.get(id) || null, afterItems.get(id) || null, changes);
+    });
+    const beforeOrder = before.map(item => item[key]).filter(id => afterItems.has(id));
+    const afterOrder = after.map(item => item[key]).filter(id => beforeItems.has(id));
+    if (!isEqual(beforeOrder, afterOrder)) {
+      changes.push({ path: `${path} (order)`, before: beforeOrder, after: afterOrder });
+    }
+    return;
+  }
+  changes.push({
+    path,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after
+  });
+}
+
+// Field-level changes between two snapshots: [{ path, before, after }], where
+// path looks like "aiReport.findings[<photoId>].problem"
+function diffSnapshots(before, after) {
+  const changes = [];
+  diffValues('', before, after, changes);
+  return changes;
+}
+
+// Top-level snapshot fields that differ
+function changedFields(before, after) {
+  return Object.keys(after).filter(field => !before || !isEqual(before[field], after[field]));
+}
+
+// Changes that restore a snapshot onto the report as it is now. Photos are
+// not brought back or removed; photos still in the report get their old notes
+// and markup, and findings for photos that are gone are dropped.
+function restoreChanges(report, snapshot) {
+  const changes = {};
+  RESTORABLE_FIELDS.forEach(field => {
+    changes[field] = structuredClone(snapshot[field]);
+  });
+  changes.aiReport = alignFindings(changes.aiReport, report.photos);
+  const savedPhotos = new Map(snapshot.photos.map(photo => [photo.id, photo]));
+  changes.photos = report.photos.map(photo => {
+    const saved = savedPhotos.get(photo.id);
+    if (!saved || saved.type !== photo.type) return photo;
+    const restored = { ...photo };
+    PHOTO_FIELDS.forEach(field => {
+      restored[field] = structuredClone(saved[field]);
+    });
+    return restored;
+  });
+  return changes;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  RESTORABLE_FIELDS,
+  revisionSnapshot,
+  isEqual,
+  diffSnapshots,
+  changedFields,
+  restoreChanges
+};
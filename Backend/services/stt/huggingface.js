@@ -0,0 +1,37 @@
+const axios = require('axios');
+const fs = require('fs');
+
+// Hosted Whisper through the Hugging Face inference API
+function createHuggingFaceProvider({
+  apiKey = process.env.HUGGINGFACE_API_KEY,
+  model = process.env.HUGGINGFACE_STT_MODEL || 'openai/whisper-large-v3',
+  timeoutMs = Number(process.env.HUGGINGFACE_STT_TIMEOUT_MS) || 120000
+} = {}) {
+  return {
+    name: 'huggingface',
+    inputFormat: 'wav',
+    async transcribe(audioPath) {
+      if (!apiKey) {
+        throw new Error('HUGGINGFACE_API_KEY is not set');
+      }
+      const response = await axios.post(
+        `https://api-inference.huggingface.co/models/${model}`,
+        fs.readFileSync(audioPath),
+        {
+          headers: {
+            'Content-Type': 'audio/wav',
+            'Authorization': `Bearer ${apiKey}`,
+            'Accept': 'application/json'
+          },
+          timeout: timeoutMs
+        }
+      );
+      if (typeof response.data?.text !== 'string') {
+        throw new Error('Response did not contain a transcription');
+      }
+      return response.data.text;
+    }
+  };
+}
+
+module.exports = { createHuggingFaceProvider };
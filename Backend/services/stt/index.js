@@ -0,0 +1,47 @@
+const fs = require('fs');
+const { transcodeAudio } = require('./transcode');
+const { createHuggingFaceProvider } = require('./huggingface');
+const { createWhisperCppProvider } = require('./whisperCpp');
+const { createMockProvider } = require('./mock');
+
+// Speech-to-text provider layer. Every provider exposes
+//   { name, inputFormat, transcribe(audioPath) => Promise<string> }
+// where inputFormat is the audio format the provider expects ('wav', 'flac',
+// ...) or null to receive the uploaded file untouched. STT_PROVIDER selects the
+// provider.
+const PROVIDER_FACTORIES = {
+  huggingface: createHuggingFaceProvider,
+  'whisper-cpp': createWhisperCppProvider,
+  mock: createMockProvider
+};
+
+function createSttClient(providerName = process.env.STT_PROVIDER || 'huggingface') {
+  const name = providerName.trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown STT provider "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  const provider = factory();
+
+  async function transcribe(audioPath) {
+    let inputPath = audioPath;
+    try {
+      if (provider.inputFormat) {
+        inputPath = await transcodeAudio(audioPath, provider.inputFormat);
+      }
+      const text = await provider.transcribe(inputPath);
+      return { text: text.trim(), provider: provider.name };
+    } finally {
+      if (inputPath !== audioPath) {
+        fs.rm(inputPath, { force: true }, () => {});
+      }
+    }
+  }
+
+  return {
+    provider: provider.name,
+    transcribe
+  };
+}
+
+module.exports = { createSttClient };
@@ -0,0 +1,14 @@
+const path = require('path');
+
+// Offline mock for development: no transcoding, no network
+function createMockProvider() {
+  return {
+    name: 'mock',
+    inputFormat: null,
+    async transcribe(audioPath) {
+      return `Mock transcription of ${path.basename(audioPath)}.`;
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,42 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Audio normalization with ffmpeg. Recordings arrive as m4a from the app, but
+// they may also be mp3 or wav; each STT provider declares the format it wants
+// and the audio is converted to that before upload.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const FORMATS = {
+  // 16 kHz mono 16-bit PCM, what Whisper models are trained on
+  wav: { extension: '.wav', args: ['-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le', '-f', 'wav'] },
+  flac: { extension: '.flac', args: ['-ac', '1', '-ar', '16000', '-f', 'flac'] },
+  mp3: { extension: '.mp3', args: ['-ac', '1', '-ar', '16000', '-f', 'mp3'] }
+};
+
+// Converts inputPath to the given format and returns the path of a temporary
+// file. The caller is responsible for deleting it.
+function transcodeAudio(inputPath, format) {
+  const target = FORMATS[format];
+  if (!target) {
+    return Promise.reject(new Error(`Unsupported audio format: ${format}`));
+  }
+  const outputPath = path.join(os.tmpdir(), `stt-${crypto.randomUUID()}${target.extension}`);
+  const args = ['-y', '-loglevel', 'error', '-i', inputPath, ...target.args, outputPath];
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, args, { timeout: 120000 }, (error, stdout, stderr) => {
+      if (error) {
+        fs.rm(outputPath, { force: true }, () => {});
+        const reason = error.code === 'ENOENT'
+          ? `ffmpeg not found at "${FFMPEG_PATH}" (set FFMPEG_PATH)`
+          : (stderr || error.message).trim();
+        return reject(new Error(`Audio transcoding failed: ${reason}`));
+      }
+      resolve(outputPath);
+    });
+  });
+}
+
+module.exports = { transcodeAudio, FORMATS };
@@ -0,0 +1,32 @@
+const { execFile } = require('child_process');
+
+// Local whisper.cpp binary, for sites where audio must not leave the machine
+function createWhisperCppProvider({
+  binary = process.env.WHISPER_CPP_BIN || 'whisper-cli',
+  modelPath = process.env.WHISPER_CPP_MODEL,
+  timeoutMs = Number(process.env.WHISPER_CPP_TIMEOUT_MS) || 300000
+} = {}) {
+  return {
+    name: 'whisper-cpp',
+    inputFormat: 'wav',
+    transcribe(audioPath) {
+      if (!modelPath) {
+        return Promise.reject(new Error('WHISPER_CPP_MODEL is not set'));
+      }
+      const args = ['-m', modelPath, '-f', audioPath, '--no-timestamps', '--no-prints'];
+      return new Promise((resolve, reject) => {
+        execFile(binary, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+          if (error) {
+            const reason = error.code === 'ENOENT'
+              ? `whisper.cpp binary not found at "${binary}" (set WHISPER_CPP_BIN)`
+              : (stderr || error.message).trim();
+            return reject(new Error(reason));
+          }
+          resolve(stdout.replace(/\s+/g, ' ').trim());
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createWhisperCppProvider };
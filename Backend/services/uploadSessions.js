@@ -0,0 +1,119 @@
+const fs = require('fs');
+const uploadSessionRepository = require('../repositories/uploadSessionRepository');
+const { ALLOWED_TYPES, MAX_FILE_SIZE, removeUploadedFile } = require('./uploads');
+
+// Chunked, resumable uploads for report files. The client opens a session
+// listing its files, appends each file in chunks at explicit offsets, can ask
+// how much of every file arrived, and finalizes the session into a report.
+// The bytes received so far are simply the size of the file on disk, so an
+// interrupted chunk never leaves the session out of step with its files.
+const CHUNK_SIZE = Number(process.env.UPLOAD_CHUNK_SIZE) || 1024 * 1024;
+const MAX_CHUNK_SIZE = Math.max(CHUNK_SIZE, 8 * 1024 * 1024);
+const SESSION_TTL_MS = (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_PHOTOS = 20;
+
+const FIELD_TYPES = {
+  photos: 'image/',
+  voices: 'audio/'
+};
+
+// Files with a chunk being written, so two uploads of the same chunk can't
+// append side by side
+const writing = new Set();
+
+// files: [{ field, name, mimeType, size }] as sent by the client
+function validateFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    return ['files must be a non-empty array'];
+  }
+  const errors = [];
+  files.forEach((file, idx) => {
+    const label = `File ${idx + 1}`;
+    if (!file || typeof file !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!FIELD_TYPES[file.field]) {
+      errors.push(`${label}: field must be one of ${Object.keys(FIELD_TYPES).join(', ')}`);
+    } else if (!ALLOWED_TYPES.includes(file.mimeType) || !file.mimeType.startsWith(FIELD_TYPES[file.field])) {
+      errors.push(`${label}: ${file.mimeType} is not an allowed type for ${file.field}`);
+    }
+    if (typeof file.name !== 'string' || !file.name.trim()) {
+      errors.push(`${label}: name is required`);
+    }
+    if (!Number.isInteger(file.size) || file.size < 1 || file.size > MAX_FILE_SIZE) {
+      errors.push(`${label}: size must be a whole number of bytes between 1 and ${MAX_FILE_SIZE}`);
+    }
+  });
+  const photoCount = files.filter(f => f && f.field === 'photos').length;
+  if (photoCount < 1 || photoCount > MAX_PHOTOS) {
+    errors.push(`A report needs between 1 and ${MAX_PHOTOS} photos`);
+  }
+  if (files.filter(f => f && f.field === 'voices').length > MAX_PHOTOS) {
+    errors.push(`A report can have at most ${MAX_PHOTOS} voice notes`);
+  }
+  return errors;
+}
+
+async function receivedBytes(file) {
+  try {
+    return (await fs.promises.stat(file.path)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+// The session as returned to clients: no server paths, plus progress per file
+async function describeSession(session) {
+  const files = await Promise.all(session.files.map(async ({ path: filePath, ...file }) => {
+    const received = await receivedBytes({ path: filePath });
+    return { ...file, received, complete: received === file.size };
+  }));
+  return {
+    id: session.id,
+    status: session.status,
+    reportId: session.reportId,
+    chunkSize: CHUNK_SIZE,
+    expiresAt: session.expiresAt,
+    files
+  };
+}
+
+// Appends a chunk at offset. Returns the bytes received afterwards, or null
+// when the offset doesn't match what was received or another chunk of the
+// file is still being written.
+async function appendChunk(file, offset, chunk) {
+  if (writing.has(file.path)) return null;
+  writing.add(file.path);
+  try {
+    if (await receivedBytes(file) !== offset) return null;
+    await fs.promises.appendFile(file.path, chunk);
+    return offset + chunk.length;
+  } finally {
+    writing.delete(file.path);
+  }
+}
+
+// Deletes the files of sessions that expired before being finalized; files of
+// finalized sessions belong to their report
+async function removeExpiredSessions() {
+  const expired = await uploadSessionRepository.removeExpired();
+  expired
+    .filter(session => session.status !== 'finalized')
+    .forEach(session => session.files.forEach(file => removeUploadedFile(file.path)));
+  if (expired.length > 0) {
+    console.log(`Removed ${expired.length} expired upload session(s)`);
+  }
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  SESSION_TTL_MS,
+  validateFiles,
+  receivedBytes,
+  describeSession,
+  appendChunk,
+  removeExpiredSessions
+};
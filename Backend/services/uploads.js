@@ -0,0 +1,70 @@
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+
+// Uploaded photos, voice notes and logos all live in Backend/uploads
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Ensure uploads directory exists
+if (!fs.existsSync(UPLOADS_DIR)) {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+}
+
+// Accept images and audio files
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/m4a', 'audio/x-m4a', 'audio/mp4'];
+const MAX_FILE_SIZE = 5000 * 1024 * 1024;
+
+// A unique name in the uploads folder that keeps the original extension
+function uploadPath(originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return path.join(UPLOADS_DIR, uniqueSuffix + path.extname(originalName));
+}
+
+// Update the storage configuration
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    console.log('File received:', file);
+    cb(null, UPLOADS_DIR);
+  },
+  filename: function (req, file, cb) {
+    // Add original index to filename for uniqueness
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const idx = req.body && req.body.photoDescriptions ? JSON.parse(req.body.photoDescriptions).findIndex(desc => desc && desc.filename === file.originalname) : '';
+    const filename = uniqueSuffix + (idx !== '' ? `-${idx}` : '') + path.extname(file.originalname);
+    console.log('Generated filename:', filename);
+    cb(null, filename);
+  }
+});
+
+const upload = multer({ 
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    console.log('Checking file type:', file.mimetype);
+    if (ALLOWED_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      console.error('Invalid file type:', file.mimetype);
+      cb(new Error('Invalid file type. Only images and audio files are allowed.'));
+    }
+  }
+});
+
+// Deletes a file we stored in the uploads folder (never anything outside it)
+function removeUploadedFile(filePath) {
+  if (!filePath || path.dirname(path.resolve(filePath)) !== UPLOADS_DIR) return;
+  fs.rm(filePath, { force: true }, (err) => {
+    if (err) console.error('Error deleting uploaded file:', filePath, err);
+  });
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  ALLOWED_TYPES,
+  MAX_FILE_SIZE,
+  uploadPath,
+  upload,
+  removeUploadedFile
+};
@@ -0,0 +1,37 @@
+const vision = require('@google-cloud/vision');
+
+// Google Cloud Vision label and text detection. Credentials come from
+// GOOGLE_APPLICATION_CREDENTIALS (or VISION_KEY_FILE) as usual for Google
+// client libraries.
+function createGoogleVisionProvider({
+  keyFilename = process.env.VISION_KEY_FILE,
+  timeoutMs = Number(process.env.VISION_TIMEOUT_MS) || 30000
+} = {}) {
+  let client = null;
+
+  return {
+    name: 'google',
+    async analyze(image) {
+      // Created on first use so a missing key doesn't stop the server starting
+      if (!client) {
+        client = new vision.ImageAnnotatorClient(keyFilename ? { keyFilename } : {});
+      }
+      const [result] = await client.annotateImage({
+        image: { content: image },
+        features: [
+          { type: 'LABEL_DETECTION', maxResults: 10 },
+          { type: 'TEXT_DETECTION' }
+        ]
+      }, { timeout: timeoutMs });
+      if (result.error && result.error.message) {
+        throw new Error(result.error.message);
+      }
+      return {
+        labels: (result.labelAnnotations || []).map(label => ({ description: label.description, score: label.score })),
+        text: result.fullTextAnnotation ? result.fullTextAnnotation.text : ''
+      };
+    }
+  };
+}
+
+module.exports = { createGoogleVisionProvider };
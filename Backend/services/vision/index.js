@@ -0,0 +1,44 @@
+const sharp = require('sharp');
+const { createGoogleVisionProvider } = require('./google');
+const { createLocalVisionProvider } = require('./local');
+
+// Image analysis (labels and OCR text) for site photos. Every provider exposes
+//   { name, analyze(imageBuffer) => Promise<{ labels: [{ description, score }], text }> }
+// and VISION_PROVIDER selects the provider. Images are auto-rotated before
+// they are analyzed so text on nameplates reads the right way up.
+const PROVIDER_FACTORIES = {
+  google: createGoogleVisionProvider,
+  local: createLocalVisionProvider
+};
+
+const MAX_LABELS = 10;
+
+function createVisionClient(providerName = process.env.VISION_PROVIDER || 'google') {
+  const name = providerName.trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown vision provider "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  const provider = factory();
+
+  async function analyze(imagePath) {
+    const image = await sharp(imagePath).rotate().jpeg({ quality: 90 }).toBuffer();
+    const { labels, text } = await provider.analyze(image);
+    return {
+      provider: provider.name,
+      labels: labels
+        .filter(label => label.description)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_LABELS)
+        .map(label => ({ description: label.description, score: Math.round(label.score * 100) / 100 })),
+      text: (text || '').trim()
+    };
+  }
+
+  return {
+    provider: provider.name,
+    analyze
+  };
+}
+
+module.exports = { createVisionClient };
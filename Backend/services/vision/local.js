@@ -0,0 +1,81 @@
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+// Local stand-in that needs no Google credentials. Labels are rough
+// descriptions derived from the image itself (orientation, lighting, dominant
+// colour); OCR uses a local Tesseract binary when one is installed and is
+// skipped otherwise.
+const COLOR_NAMES = [
+  ['red', [200, 40, 40]],
+  ['orange', [230, 130, 30]],
+  ['yellow', [220, 210, 60]],
+  ['green', [60, 150, 60]],
+  ['blue', [50, 90, 200]],
+  ['brown', [130, 90, 50]],
+  ['grey', [128, 128, 128]],
+  ['white', [235, 235, 235]],
+  ['black', [25, 25, 25]]
+];
+
+function nearestColor([r, g, b]) {
+  let best = COLOR_NAMES[0];
+  let bestDistance = Infinity;
+  COLOR_NAMES.forEach(entry => {
+    const [cr, cg, cb] = entry[1];
+    const distance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  });
+  return best[0];
+}
+
+async function describeImage(image) {
+  const [{ width, height }, stats] = await Promise.all([sharp(image).metadata(), sharp(image).stats()]);
+  const brightness = stats.channels.slice(0, 3).reduce((sum, c) => sum + c.mean, 0) / 3;
+  const { r, g, b } = stats.dominant;
+  const labels = [
+    { description: width >= height ? 'Landscape photo' : 'Portrait photo', score: 1 },
+    { description: `Mostly ${nearestColor([r, g, b])}`, score: 0.6 }
+  ];
+  if (brightness < 60) labels.push({ description: 'Low light', score: 0.8 });
+  if (brightness > 200) labels.push({ description: 'Overexposed', score: 0.7 });
+  return labels;
+}
+
+function runTesseract(binary, image, timeoutMs) {
+  return new Promise((resolve) => {
+    const child = execFile(binary, ['stdin', 'stdout'], { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024, encoding: 'utf8' }, (error, stdout) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          console.warn(`Tesseract not found at "${binary}" (set TESSERACT_BIN); skipping OCR`);
+        } else {
+          console.error('Tesseract OCR failed:', error.message);
+        }
+        return resolve('');
+      }
+      resolve(stdout);
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(image);
+  });
+}
+
+function createLocalVisionProvider({
+  tesseractBinary = process.env.TESSERACT_BIN || 'tesseract',
+  timeoutMs = Number(process.env.VISION_TIMEOUT_MS) || 30000
+} = {}) {
+  return {
+    name: 'local',
+    async analyze(image) {
+      const [labels, text] = await Promise.all([
+        describeImage(image),
+        runTesseract(tesseractBinary, image, timeoutMs)
+      ]);
+      return { labels, text };
+    }
+  };
+}
+
+module.exports = { createLocalVisionProvider };
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStubProvider } = require('../services/llm/stub');
+const { buildAnalysisPrompt, extractJson, validateAiReport } = require('../services/aiReport');
+
+test('stub provider returns one finding per photo', async () => {
+  const prompt = buildAnalysisPrompt([
+    { description: 'Cracked tile in the hallway', hasImage: true },
+    { description: '', hasImage: false }
+  ]);
+  const report = extractJson(await createStubProvider().generate(prompt));
+  assert.deepStrictEqual(report.findings.map(f => f.problem), ['Cracked tile in the hallway', 'No description provided.']);
+  assert.deepStrictEqual(validateAiReport(report, 2, { generated: true }).errors, []);
+});
+
+test('stub provider keeps notes that span several lines', async () => {
+  const prompt = buildAnalysisPrompt([
+    { description: 'Water stain on ceiling\nSoft to the touch\nImage: see the second photo', hasImage: true },
+    {
+      description: 'Breaker panel',
+      hasImage: false,
+      imageAnalysis: { status: 'completed', labels: [{ description: 'Panel' }], text: 'MODEL 200A' }
+    },
+    { description: 'Loose railing\n\nPhoto 4: not taken', hasImage: true }
+  ]);
+  const report = extractJson(await createStubProvider().generate(prompt));
+  assert.deepStrictEqual(report.findings.map(f => f.problem), [
+    'Water stain on ceiling\nSoft to the touch\nImage: see the second photo',
+    'Breaker panel',
+    'Loose railing\n\nPhoto 4: not taken'
+  ]);
+  assert.deepStrictEqual(report.findings.map(f => f.observed.startsWith('Image received')), [true, false, true]);
+  assert.deepStrictEqual(validateAiReport(report, 3, { generated: true }).errors, []);
+});
@@ -1,13 +1,19 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { View } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { Provider as PaperProvider, DefaultTheme } from 'react-native-paper';
+import { Provider as PaperProvider, DefaultTheme, ActivityIndicator, Button } from 'react-native-paper';
+import { AuthContext } from './auth/AuthContext';
+import { login, logout, restoreSession, setUnauthorizedHandler } from './api/client';
+import { startDraftSync } from './drafts/sync';
 
 // Screens
+import LoginScreen from './screens/LoginScreen';
 import NewReportScreen from './screens/NewReportScreen';
 import AddItemScreen from './screens/AddItemScreen';
 import PreviewReportScreen from './screens/PreviewReportScreen';
 import ReportActionsScreen from './screens/ReportActionsScreen';
+import SiteHistoryScreen from './screens/SiteHistoryScreen';
 
 const theme = {
   ...DefaultTheme,
@@ -21,43 +27,102 @@ const theme = {
 const Stack = createNativeStackNavigator();
 
 export default function App() {
+  const [user, setUser] = useState(null);
+  const [restoring, setRestoring] = useState(true);
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    restoreSession()
+      .then(setUser)
+      .finally(() => setRestoring(false));
+  }, []);
+
+  // Upload reports saved on the device while offline
+  useEffect(() => {
+    if (!user) return undefined;
+    return startDraftSync(user.id);
+  }, [user?.id]);
+
+  const auth = useMemo(() => ({
+    user,
+    signIn: async (email, password) => setUser(await login(email, password)),
+    signOut: async () => {
+      try {
+        await logout();
+      } finally {
+        setUser(null);
+      }
+    },
+  }), [user]);
+
+  if (restoring) {
+    return (
+      <PaperProvider theme={theme}>
+        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
+          <ActivityIndicator size="large" />
+        </View>
+      </PaperProvider>
+    );
+  }
+
   return (
-    <PaperProvider theme={theme}>
-      <NavigationContainer>
-        <Stack.Navigator 
-          initialRouteName="ReportActions"
-          screenOptions={{
-            headerStyle: {
-              backgroundColor: theme.colors.primary,
-            },
-            headerTintColor: '#fff',
-            headerTitleStyle: {
-              fontWeight: 'bold',
-            },
-          }}
-        >
-          <Stack.Screen 
-            name="ReportActions" 
-            component={ReportActionsScreen} 
-            options={{ title: "Report Actions" }} 
-          />
-          <Stack.Screen 
-            name="NewReport" 
-            component={NewReportScreen} 
-            options={{ title: "New Report" }} 
-          />
-          <Stack.Screen 
-            name="AddItem" 
-            component={AddItemScreen} 
-            options={{ title: "Add Voice Note" }} 
-          />
-          <Stack.Screen 
-            name="PreviewReport" 
-            component={PreviewReportScreen} 
-            options={{ title: "Preview Report" }} 
-          />
-        </Stack.Navigator>
-      </NavigationContainer>
-    </PaperProvider>
+    <AuthContext.Provider value={auth}>
+      <PaperProvider theme={theme}>
+        <NavigationContainer>
+          <Stack.Navigator 
+            screenOptions={{
+              headerStyle: {
+                backgroundColor: theme.colors.primary,
+              },
+              headerTintColor: '#fff',
+              headerTitleStyle: {
+                fontWeight: 'bold',
+              },
+            }}
+          >
+            {user ? (
+              <>
+                <Stack.Screen 
+                  name="ReportActions" 
+                  component={ReportActionsScreen} 
+                  options={{
+                    title: "Report Actions",
+                    headerRight: () => (
+                      <Button textColor="#fff" onPress={auth.signOut}>Log Out</Button>
+                    ),
+                  }} 
+                />
+                <Stack.Screen 
+                  name="NewReport" 
+                  component={NewReportScreen} 
+                  options={{ title: "New Report" }} 
+                />
+                <Stack.Screen 
+                  name="AddItem" 
+                  component={AddItemScreen} 
+                  options={{ title: "Report Items" }} 
+                />
+                <Stack.Screen 
+                  name="PreviewReport" 
+                  component={PreviewReportScreen} 
+                  options={{ title: "Preview Report" }} 
+                />
+                <Stack.Screen 
+                  name="SiteHistory" 
+                  component={SiteHistoryScreen} 
+                  options={{ title: "Site History" }} 
+                />
+              </>
+            ) : (
+              <Stack.Screen 
+                name="Login" 
+                component={LoginScreen} 
+                options={{ title: "Log In" }} 
+              />
+            )}
+          </Stack.Navigator>
+        </NavigationContainer>
+      </PaperProvider>
+    </AuthContext.Provider>
   );
 }
@@ -2,6 +2,7 @@ import axios from 'axios';
 import { Platform } from 'react-native';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
+import * as SecureStore from 'expo-secure-store';
 
 // Get the current IP address
 const getLocalIP = () => {
@@ -23,14 +24,42 @@ const apiClient = axios.create({
   timeout: 30000, // 30 seconds timeout
 });
 
+// Session token, kept in the device's secure storage between launches, with
+// the signed-in user so the app can start without a connection
+const TOKEN_KEY = 'authToken';
+const USER_KEY = 'authUser';
+let authToken = null;
+let unauthorizedHandler = null;
+
+// Called when the server rejects our token, so the app can return to login
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+export const getAuthHeaders = () => (authToken ? { Authorization: `Bearer ${authToken}` } : {});
+
+const clearSession = async () => {
+  authToken = null;
+  await SecureStore.deleteItemAsync(TOKEN_KEY);
+  await SecureStore.deleteItemAsync(USER_KEY);
+};
+
+const saveUser = async (user) => {
+  await SecureStore.setItemAsync(USER_KEY, JSON.stringify(user));
+  return user;
+};
+
 // Add request interceptor for better error handling
 apiClient.interceptors.request.use(
   config => {
+    if (authToken) {
+      config.headers.Authorization = `Bearer ${authToken}`;
+    }
     console.log('Making request to:', config.url);
     console.log('Full URL:', API_BASE_URL + config.url);
     console.log('Request config:', {
       method: config.method,
-      headers: config.headers,
+      headers: { ...config.headers, Authorization: config.headers.Authorization ? '[redacted]' : undefined },
       data: config.data instanceof FormData ? 'FormData' : config.data
     });
     return config;
@@ -45,6 +74,14 @@ apiClient.interceptors.request.use(
   }
 );
 
+// A friendlier message for the user that still carries the response, so
+// callers can check the status and show the server's own reason
+const withMessage = (error, message) => Object.assign(new Error(message), {
+  code: error.code,
+  status: error.response?.status,
+  response: error.response,
+});
+
 // Add response interceptor for better error handling
 apiClient.interceptors.response.use(
   response => {
@@ -82,104 +119,327 @@ apiClient.interceptors.response.use(
       }
       return Promise.reject(new Error('Network error. Please check your internet connection and ensure the server is running.'));
     }
+    if (error.response.status === 401 && error.config.url !== '/auth/login') {
+      clearSession();
+      if (unauthorizedHandler) unauthorizedHandler();
+      return Promise.reject(withMessage(error, 'Your session has expired. Please log in again.'));
+    }
+    if (error.response.status === 403) {
+      return Promise.reject(withMessage(error, 'You do not have permission to do this.'));
+    }
     if (error.response.status === 404) {
-      return Promise.reject(new Error('Resource not found. Please try again.'));
+      return Promise.reject(withMessage(error, 'Resource not found. Please try again.'));
     }
     if (error.response.status === 500) {
-      return Promise.reject(new Error('Server error. Please try again later.'));
+      return Promise.reject(withMessage(error, 'Server error. Please try again later.'));
     }
     return Promise.reject(error);
   }
 );
 
-export const createReport = async (formData) => {
+export const login = async (email, password) => {
+  const response = await apiClient.post('/auth/login', { email, password });
+  authToken = response.data.token;
+  await SecureStore.setItemAsync(TOKEN_KEY, authToken);
+  return saveUser(response.data.user);
+};
+
+export const logout = async () => {
   try {
-    const response = await apiClient.post('/reports', formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-        'Accept': 'application/json',
-      },
-      transformRequest: (data, headers) => data,
+    if (authToken) {
+      await apiClient.post('/auth/logout');
+    }
+  } finally {
+    await clearSession();
+  }
+};
+
+export const getCurrentUser = async () => {
+  const response = await apiClient.get('/auth/me');
+  return response.data;
+};
+
+// Restores a saved session on app start; resolves with the user or null.
+// Only a rejected token ends the session: without a connection the saved
+// user is used, so drafts can still be captured and synced later.
+export const restoreSession = async () => {
+  authToken = await SecureStore.getItemAsync(TOKEN_KEY);
+  if (!authToken) return null;
+  try {
+    return await saveUser(await getCurrentUser());
+  } catch (error) {
+    if (error.status === 401) {
+      await clearSession();
+      return null;
+    }
+    const saved = await SecureStore.getItemAsync(USER_KEY);
+    return saved ? JSON.parse(saved) : null;
+  }
+};
+
+// Resumable report upload. The files go up in chunks through an upload
+// session, so a dropped connection only costs the chunk in flight.
+//
+// files: [{ field: 'photos' | 'voices', uri, name, mimeType }], photos in
+// report order. fields are the report fields as for POST /reports, with
+// photoDescriptions as an array. Pass the sessionId from an earlier attempt
+// to resume it; onSession(id) is called once a new session is opened so the
+// caller can keep it. onProgress receives [{ name, received, size }], one
+// entry per file, after every chunk.
+const FINALIZE_TIMEOUT_MS = 120000;
+
+export const getUploadSession = async (sessionId) => {
+  const response = await apiClient.get(`/upload-sessions/${sessionId}`);
+  return response.data;
+};
+
+const openUploadSession = async (files) => {
+  const described = await Promise.all(files.map(async ({ field, uri, name, mimeType }) => {
+    const info = await FileSystem.getInfoAsync(uri);
+    if (!info.exists) throw new Error(`${name} is missing from this device`);
+    return { field, name, mimeType, size: info.size };
+  }));
+  const response = await apiClient.post('/upload-sessions', { files: described });
+  return response.data;
+};
+
+const readChunk = async (uri, position, length) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+    position,
+    length,
+  });
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+};
+
+// Sends one chunk and returns how many bytes of the file the server now has.
+// If the server has a different count (say, a chunk whose response was
+// lost did arrive), carry on from its count instead.
+const uploadChunk = async (sessionId, fileId, offset, bytes) => {
+  try {
+    const response = await apiClient.put(`/upload-sessions/${sessionId}/files/${fileId}`, bytes, {
+      params: { offset },
+      headers: { 'Content-Type': 'application/octet-stream' },
+      transformRequest: (data) => data,
     });
-    return response.data;
+    return response.data.received;
   } catch (error) {
-    console.error('Error in createReport:', error);
+    const received = error.response?.status === 409 ? error.response.data?.received : undefined;
+    if (typeof received === 'number') return received;
     throw error;
   }
 };
 
-export const addVoiceNote = async (reportId, formData) => {
+export const uploadReport = async (fields, files, { sessionId, onSession, onProgress } = {}) => {
+  let session = null;
+  if (sessionId) {
+    try {
+      session = await getUploadSession(sessionId);
+    } catch (error) {
+      // Expired sessions are gone; start again with a new one
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+  if (!session) {
+    session = await openUploadSession(files);
+    if (onSession) await onSession(session.id);
+  }
+  if (session.status !== 'finalized') {
+    const progress = session.files.map(f => ({ name: f.name, received: f.received, size: f.size }));
+    const report = () => onProgress && onProgress(progress.map(p => ({ ...p })));
+    report();
+    for (let i = 0; i < session.files.length; i++) {
+      const file = session.files[i];
+      let offset = file.received;
+      while (offset < file.size) {
+        const bytes = await readChunk(files[i].uri, offset, Math.min(session.chunkSize, file.size - offset));
+        offset = await uploadChunk(session.id, file.id, offset, bytes);
+        progress[i].received = offset;
+        report();
+      }
+    }
+  }
+  const response = await apiClient.post(`/upload-sessions/${session.id}/finalize`, fields, {
+    timeout: FINALIZE_TIMEOUT_MS,
+  });
+  return response.data;
+};
+
+// Report items (photo + text or voice note)
+const multipartConfig = {
+  headers: {
+    'Content-Type': 'multipart/form-data',
+  },
+  transformRequest: (data, headers) => {
+    // Don't transform the FormData
+    return data;
+  }
+};
+
+// Pass the same idempotencyKey when retrying, so an item that reached the
+// server before the connection dropped isn't added twice
+export const addReportItem = async (reportId, formData, { idempotencyKey } = {}) => {
   try {
-    console.log('Sending voice note to server...');
-    const response = await apiClient.post(`/reports/${reportId}/voice`, formData, {
+    console.log('Adding item to report...');
+    const response = await apiClient.post(`/reports/${reportId}/photos`, formData, {
+      ...multipartConfig,
       headers: {
-        'Content-Type': 'multipart/form-data',
+        ...multipartConfig.headers,
+        ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
       },
-      transformRequest: (data, headers) => {
-        // Don't transform the FormData
-        return data;
-      }
     });
-    console.log('Voice note sent successfully');
+    console.log('Item added successfully');
     return response.data;
   } catch (error) {
-    console.error('Error sending voice note:', error);
+    console.error('Error adding report item:', error);
     throw error;
   }
 };
 
-export const generatePDF = async (reportId) => {
-  try {
-    console.log('Generating PDF for report:', reportId);
-    const response = await apiClient.get(`/reports/${reportId}/pdf`, {
-      responseType: 'blob',
-      headers: {
-        'Accept': 'application/pdf'
-      }
-    });
-    
-    // Convert blob to base64
-    const base64 = await new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result.split(',')[1]);
-      reader.onerror = reject;
-      reader.readAsDataURL(response.data);
-    });
+export const replaceItemPhoto = async (reportId, photoId, formData) => {
+  const response = await apiClient.put(`/reports/${reportId}/photos/${photoId}/image`, formData, multipartConfig);
+  return response.data;
+};
 
-    // Save the PDF file
-    const fileUri = `${FileSystem.cacheDirectory}report-${reportId}.pdf`;
-    await FileSystem.writeAsStringAsync(fileUri, base64, {
-      encoding: FileSystem.EncodingType.Base64,
-    });
+export const updateItemNote = async (reportId, photoId, description) => {
+  const response = await apiClient.patch(`/reports/${reportId}/photos/${photoId}`, { description });
+  return response.data;
+};
+
+export const updateItemVoiceNote = async (reportId, photoId, formData) => {
+  const response = await apiClient.patch(`/reports/${reportId}/photos/${photoId}`, formData, multipartConfig);
+  return response.data;
+};
+
+export const reorderItems = async (reportId, photoIds) => {
+  const response = await apiClient.put(`/reports/${reportId}/photos/order`, { photoIds });
+  return response.data;
+};
+
+export const deleteItem = async (reportId, photoId) => {
+  const response = await apiClient.delete(`/reports/${reportId}/photos/${photoId}`);
+  return response.data;
+};
+
+// Image source for a report photo with its markup drawn on top. `size` is
+// 'original', 'thumbnail' or 'pdf'; `version` (e.g. the report's updatedAt)
+// makes the image reload after edits.
+export const getPhotoImageSource = (reportId, photoId, { size = 'original', version = '' } = {}) => ({
+  uri: `${API_BASE_URL}/reports/${reportId}/photos/${photoId}/image?size=${size}&v=${encodeURIComponent(version)}`,
+  headers: getAuthHeaders(),
+});
 
-    // Share the PDF file
-    if (Platform.OS === 'android') {
-      await Sharing.shareAsync(fileUri, {
-        mimeType: 'application/pdf',
-        dialogTitle: 'Share PDF Report',
-      });
-    } else {
-      // For iOS, we can use the share dialog
-      await Sharing.shareAsync(fileUri);
+// Downloads a rendered report into the cache folder and opens the share sheet
+const downloadAndShare = async (path, fileName, mimeType, dialogTitle) => {
+  const response = await apiClient.get(path, {
+    responseType: 'blob',
+    headers: {
+      'Accept': mimeType
     }
+  });
+
+  // Convert blob to base64
+  const base64 = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(response.data);
+  });
+
+  // Save the file
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, base64, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
 
-    return fileUri;
+  // Share the file
+  if (Platform.OS === 'android') {
+    await Sharing.shareAsync(fileUri, {
+      mimeType,
+      dialogTitle,
+    });
+  } else {
+    // For iOS, we can use the share dialog
+    await Sharing.shareAsync(fileUri);
+  }
+
+  return fileUri;
+};
+
+export const generatePDF = async (reportId) => {
+  try {
+    console.log('Generating PDF for report:', reportId);
+    return await downloadAndShare(`/reports/${reportId}/pdf`, `report-${reportId}.pdf`, 'application/pdf', 'Share PDF Report');
   } catch (error) {
     console.error('Error generating PDF:', error);
     throw error;
   }
 };
 
-export const emailReport = async (reportId, email) => {
-  const response = await apiClient.post(`/reports/${reportId}/email`, { email });
+// Word version of the report, for recipients who want to edit it
+export const generateDOCX = async (reportId) => {
+  try {
+    console.log('Generating Word document for report:', reportId);
+    return await downloadAndShare(
+      `/reports/${reportId}/docx`,
+      `report-${reportId}.docx`,
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'Share Word Report'
+    );
+  } catch (error) {
+    console.error('Error generating Word document:', error);
+    throw error;
+  }
+};
+
+// recipients: { to, cc, bcc, replyTo, message }; each address field takes a
+// comma separated list
+export const emailReport = async (reportId, recipients) => {
+  const response = await apiClient.post(`/reports/${reportId}/email`, recipients);
+  return response.data;
+};
+
+// Share links: the response to createShareLink is the only one with the url
+export const createShareLink = async (reportId, expiresInDays) => {
+  const response = await apiClient.post(`/reports/${reportId}/share-links`, { expiresInDays });
+  return response.data;
+};
+
+export const getShareLinks = async (reportId) => {
+  const response = await apiClient.get(`/reports/${reportId}/share-links`);
+  return response.data;
+};
+
+export const revokeShareLink = async (reportId, linkId) => {
+  const response = await apiClient.delete(`/reports/${reportId}/share-links/${linkId}`);
   return response.data;
 };
 
-export const getReports = async () => {
-  const response = await apiClient.get('/reports');
+// Sends the report again to the recipients of an earlier email, the latest
+// one unless deliveryId is given
+export const resendReportEmail = async (reportId, deliveryId) => {
+  const response = await apiClient.post(`/reports/${reportId}/email/resend`, deliveryId ? { deliveryId } : {});
   return response.data;
 };
 
+// Emails sent for a report, newest first
+export const getEmailDeliveries = async (reportId) => {
+  const response = await apiClient.get(`/reports/${reportId}/emails`);
+  return response.data;
+};
+
+// One page of reports. params: { q, client, status, priority, from, to,
+// sort, limit, cursor, view }. Pass the returned nextCursor as cursor to get
+// the next page; it is null on the last page.
+export const getReports = async (params = {}) => {
+  const response = await apiClient.get('/reports', { params });
+  return {
+    reports: response.data,
+    nextCursor: response.headers['x-next-cursor'] || null,
+    total: Number(response.headers['x-total-count']) || response.data.length,
+  };
+};
+
 export const getReport = async (reportId) => {
   const response = await apiClient.get(`/reports/${reportId}`);
   return response.data;
@@ -188,4 +448,109 @@ export const getReport = async (reportId) => {
 export const updateReport = async (reportId, data) => {
   const response = await apiClient.patch(`/reports/${reportId}`, data);
   return response.data;
-}; 
\ No newline at end of file
+}; 
+
+// Copies a report into a new draft and returns it
+export const duplicateReport = async (reportId) => {
+  const response = await apiClient.post(`/reports/${reportId}/duplicate`);
+  return response.data;
+};
+
+export const deleteReport = async (reportId) => {
+  await apiClient.delete(`/reports/${reportId}`);
+};
+
+// Lifecycle: action is one of the report's "transitions", e.g. 'submit' or 'approve'
+export const transitionReport = async (reportId, action, comment) => {
+  const response = await apiClient.post(`/reports/${reportId}/transitions`, { action, comment });
+  return response.data;
+};
+
+// Revision history
+export const getRevisions = async (reportId) => {
+  const response = await apiClient.get(`/reports/${reportId}/revisions`);
+  return response.data;
+};
+
+export const getRevisionDiff = async (reportId, from, to) => {
+  const response = await apiClient.get(`/reports/${reportId}/revisions/diff`, { params: { from, to } });
+  return response.data;
+};
+
+export const restoreRevision = async (reportId, number) => {
+  const response = await apiClient.post(`/reports/${reportId}/revisions/${number}/restore`);
+  return response.data;
+};
+
+export const retryTranscription = async (reportId, photoId) => {
+  const response = await apiClient.post(`/reports/${reportId}/photos/${photoId}/transcribe`);
+  return response.data;
+};
+
+// Re-runs label and text detection on a photo
+export const retryImageAnalysis = async (reportId, photoId) => {
+  const response = await apiClient.post(`/reports/${reportId}/photos/${photoId}/image-analysis`);
+  return response.data;
+};
+
+// Queues AI analysis; resolves with { job } (or { aiReport } if already analyzed)
+export const analyzeReport = async (reportId, force = false) => {
+  const response = await apiClient.post(`/reports/${reportId}/analyze`, { force });
+  return response.data;
+};
+
+export const getReportJobs = async (reportId) => {
+  const response = await apiClient.get(`/reports/${reportId}/jobs`);
+  return response.data;
+};
+
+export const getJob = async (jobId) => {
+  const response = await apiClient.get(`/jobs/${jobId}`);
+  return response.data;
+};
+
+// Client and site directory. Creating a client or site that already exists
+// fails with 409 and the existing record as response.data.client or .site.
+export const getClients = async (q) => {
+  const response = await apiClient.get('/clients', { params: q ? { q } : {} });
+  return response.data;
+};
+
+export const getClient = async (clientId) => {
+  const response = await apiClient.get(`/clients/${clientId}`);
+  return response.data;
+};
+
+// fields: { name, contacts, emailRecipients, notes }
+export const createClient = async (fields) => {
+  const response = await apiClient.post('/clients', fields);
+  return response.data;
+};
+
+export const updateClient = async (clientId, fields) => {
+  const response = await apiClient.patch(`/clients/${clientId}`, fields);
+  return response.data;
+};
+
+// params: { q, clientId }
+export const getSites = async (params = {}) => {
+  const response = await apiClient.get('/sites', { params });
+  return response.data;
+};
+
+// fields: { clientId, name, address, contacts, emailRecipients, notes }
+export const createSite = async (fields) => {
+  const response = await apiClient.post('/sites', fields);
+  return response.data;
+};
+
+export const updateSite = async (siteId, fields) => {
+  const response = await apiClient.patch(`/sites/${siteId}`, fields);
+  return response.data;
+};
+
+// { site, client, reports (summaries, newest first), openFindings }
+export const getSiteHistory = async (siteId) => {
+  const response = await apiClient.get(`/sites/${siteId}/history`);
+  return response.data;
+};
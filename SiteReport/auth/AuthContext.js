@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+// Logged-in user and the sign-in / sign-out actions, provided by App
+export const AuthContext = createContext({
+  user: null,
+  signIn: async () => {},
+  signOut: async () => {},
+});
+
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { TextInput, List, Surface } from 'react-native-paper';
+
+const SEARCH_DELAY_MS = 300;
+
+// A text input that suggests existing records as the user types. Typing is
+// never blocked: without a match, or without a connection, the text is used
+// as it is. getSuggestions(text) resolves with the records to offer;
+// onSelect(record) is called when one is picked. Pass onCreate(text) to
+// offer adding the typed text as a new record.
+export default function AutocompleteInput({
+  label,
+  value,
+  onChangeText,
+  getSuggestions,
+  titleOf,
+  descriptionOf,
+  onSelect,
+  onCreate,
+  createLabel = text => `Add "${text}"`,
+  linked = false,
+  style,
+  ...inputProps
+}) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [focused, setFocused] = useState(false);
+  const blurTimer = useRef(null);
+  // Only the latest lookup may set the suggestions
+  const lookup = useRef(0);
+
+  useEffect(() => {
+    if (!focused) return undefined;
+    const id = ++lookup.current;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await getSuggestions(value.trim());
+        if (id === lookup.current) setSuggestions(results);
+      } catch (err) {
+        if (id === lookup.current) setSuggestions([]);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [value, focused]);
+
+  useEffect(() => () => clearTimeout(blurTimer.current), []);
+
+  const close = () => {
+    setFocused(false);
+    setSuggestions([]);
+  };
+
+  const select = (record) => {
+    close();
+    onSelect(record);
+  };
+
+  const create = async () => {
+    close();
+    await onCreate(value.trim());
+  };
+
+  const text = value.trim();
+  const exactMatch = suggestions.some(s => titleOf(s).trim().toLowerCase() === text.toLowerCase());
+  const showCreate = Boolean(onCreate) && text.length > 0 && !linked && !exactMatch;
+  const open = focused && (suggestions.length > 0 || showCreate);
+
+  return (
+    <View style={style}>
+      <TextInput
+        {...inputProps}
+        label={label}
+        value={value}
+        onChangeText={onChangeText}
+        onFocus={() => {
+          clearTimeout(blurTimer.current);
+          setFocused(true);
+        }}
+        // Wait before closing, so a tap on a suggestion still lands
+        onBlur={() => { blurTimer.current = setTimeout(close, 200); }}
+        right={linked ? <TextInput.Icon icon="check-circle" color="#27AE60" /> : undefined}
+      />
+      {open && (
+        <Surface style={styles.suggestions} elevation={2}>
+          {suggestions.slice(0, 6).map(record => (
+            <List.Item
+              key={record.id}
+              title={titleOf(record)}
+              description={descriptionOf ? descriptionOf(record) : undefined}
+              onPress={() => select(record)}
+            />
+          ))}
+          {showCreate && (
+            <List.Item
+              title={createLabel(text)}
+              left={props => <List.Icon {...props} icon="plus" />}
+              onPress={create}
+            />
+          )}
+        </Surface>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  suggestions: {
+    marginTop: 2,
+    borderRadius: 4,
+    backgroundColor: '#fff',
+  },
+});
@@ -0,0 +1,229 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Modal, View, Image, StyleSheet, PanResponder } from 'react-native';
+import { Button, Text, TextInput, SegmentedButtons } from 'react-native-paper';
+import Svg, { Line, Polygon, Ellipse, Rect, Text as SvgText } from 'react-native-svg';
+
+// Annotations use fractions of the image width / height, matching what the
+// backend composites onto photos (see Backend/services/annotations.js)
+const TOOLS = [
+  { value: 'arrow', label: 'Arrow' },
+  { value: 'circle', label: 'Circle' },
+  { value: 'highlight', label: 'Highlight' },
+  { value: 'text', label: 'Text' },
+];
+const COLORS = ['#FF0000', '#FFFF00', '#00C853', '#2979FF', '#FFFFFF'];
+const STROKE_WIDTH = 0.008;
+const FONT_SIZE = 0.05;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Builds an annotation from a drag between two normalized points
+const shapeFromDrag = (tool, color, start, end) => {
+  switch (tool) {
+    case 'arrow':
+      return { type: 'arrow', color, strokeWidth: STROKE_WIDTH, x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+    case 'circle':
+      return {
+        type: 'circle',
+        color,
+        strokeWidth: STROKE_WIDTH,
+        cx: (start.x + end.x) / 2,
+        cy: (start.y + end.y) / 2,
+        rx: Math.abs(end.x - start.x) / 2,
+        ry: Math.abs(end.y - start.y) / 2,
+      };
+    case 'highlight':
+      return {
+        type: 'highlight',
+        color,
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        width: Math.abs(end.x - start.x),
+        height: Math.abs(end.y - start.y),
+      };
+    default:
+      return null;
+  }
+};
+
+const AnnotationShape = ({ annotation: a, width, height }) => {
+  switch (a.type) {
+    case 'arrow': {
+      const x1 = a.x1 * width;
+      const y1 = a.y1 * height;
+      const x2 = a.x2 * width;
+      const y2 = a.y2 * height;
+      const stroke = Math.max(1, a.strokeWidth * width);
+      const head = stroke * 4;
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const point = offset => `${x2 - head * Math.cos(angle + offset)},${y2 - head * Math.sin(angle + offset)}`;
+      return (
+        <>
+          <Line x1={x1} y1={y1} x2={x2} y2={y2} stroke={a.color} strokeWidth={stroke} strokeLinecap="round" />
+          <Polygon points={`${x2},${y2} ${point(Math.PI / 7)} ${point(-Math.PI / 7)}`} fill={a.color} />
+        </>
+      );
+    }
+    case 'circle':
+      return (
+        <Ellipse
+          cx={a.cx * width}
+          cy={a.cy * height}
+          rx={a.rx * width}
+          ry={a.ry * height}
+          fill="none"
+          stroke={a.color}
+          strokeWidth={Math.max(1, a.strokeWidth * width)}
+        />
+      );
+    case 'highlight':
+      return <Rect x={a.x * width} y={a.y * height} width={a.width * width} height={a.height * height} fill={a.color} fillOpacity={0.35} />;
+    case 'text': {
+      const size = Math.max(8, a.fontSize * height);
+      return (
+        <SvgText
+          x={a.x * width}
+          y={a.y * height + size}
+          fontSize={size}
+          fontWeight="bold"
+          fill={a.color}
+          stroke="#000000"
+          strokeWidth={size / 20}
+        >
+          {a.text}
+        </SvgText>
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+// Draws annotations over an image of the given size
+export const AnnotationOverlay = ({ annotations, width, height }) => (
+  <Svg width={width} height={height} style={StyleSheet.absoluteFill} pointerEvents="none">
+    {annotations.map((annotation, idx) => (
+      <AnnotationShape key={annotation.id || idx} annotation={annotation} width={width} height={height} />
+    ))}
+  </Svg>
+);
+
+// Full-screen editor for drawing arrows, circles, highlights and text labels
+// on a photo. The photo itself is never modified; onSave receives the list of
+// annotations. Mount it only while editing so it starts from `annotations`.
+export default function PhotoMarkupEditor({ visible, photo, annotations = [], onSave, onCancel }) {
+  const [shapes, setShapes] = useState(annotations);
+  const [draft, setDraft] = useState(null);
+  const [tool, setTool] = useState('arrow');
+  const [color, setColor] = useState(COLORS[0]);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [labelPosition, setLabelPosition] = useState(null);
+  const [labelText, setLabelText] = useState('');
+  const start = useRef(null);
+
+  const toPoint = (event) => ({
+    x: clamp(event.nativeEvent.locationX / size.width),
+    y: clamp(event.nativeEvent.locationY / size.height),
+  });
+
+  const panResponder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: (event) => {
+      start.current = toPoint(event);
+      if (tool === 'text') {
+        setLabelPosition(start.current);
+      }
+    },
+    onPanResponderMove: (event) => {
+      if (tool !== 'text') {
+        setDraft(shapeFromDrag(tool, color, start.current, toPoint(event)));
+      }
+    },
+    onPanResponderRelease: (event) => {
+      if (tool !== 'text') {
+        const end = toPoint(event);
+        setDraft(null);
+        // Ignore taps that didn't drag out a shape
+        if (Math.abs(end.x - start.current.x) > 0.01 || Math.abs(end.y - start.current.y) > 0.01) {
+          setShapes(prev => [...prev, shapeFromDrag(tool, color, start.current, end)]);
+        }
+      }
+    },
+  }), [tool, color, size]);
+
+  const addLabel = () => {
+    if (!labelText.trim()) return;
+    setShapes(prev => [...prev, { type: 'text', color, fontSize: FONT_SIZE, x: labelPosition.x, y: labelPosition.y, text: labelText.trim() }]);
+    setLabelPosition(null);
+    setLabelText('');
+  };
+
+  const aspectRatio = photo?.width && photo?.height ? photo.width / photo.height : 4 / 3;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.container}>
+        <Text style={styles.title}>Mark Up Photo</Text>
+        <View
+          style={[styles.canvas, { aspectRatio }]}
+          onLayout={event => setSize(event.nativeEvent.layout)}
+          {...panResponder.panHandlers}
+        >
+          {photo && <Image source={{ uri: photo.uri }} style={StyleSheet.absoluteFill} resizeMode="stretch" />}
+          {size.width > 0 && (
+            <AnnotationOverlay annotations={draft ? [...shapes, draft] : shapes} width={size.width} height={size.height} />
+          )}
+        </View>
+
+        <SegmentedButtons value={tool} onValueChange={setTool} buttons={TOOLS} style={styles.tools} />
+        <View style={styles.colors}>
+          {COLORS.map(c => (
+            <Button
+              key={c}
+              mode={c === color ? 'contained' : 'outlined'}
+              onPress={() => setColor(c)}
+              compact
+              style={styles.colorButton}
+              buttonColor={c === color ? c : undefined}
+              textColor={c === color ? '#000000' : c === '#FFFFFF' ? '#666666' : c}
+            >
+              ●
+            </Button>
+          ))}
+        </View>
+
+        {labelPosition ? (
+          <View style={styles.labelRow}>
+            <TextInput label="Label text" value={labelText} onChangeText={setLabelText} style={{ flex: 1 }} dense />
+            <Button onPress={addLabel} disabled={!labelText.trim()}>Add</Button>
+            <Button onPress={() => setLabelPosition(null)}>Cancel</Button>
+          </View>
+        ) : tool === 'text' ? (
+          <Text style={styles.hint}>Tap the photo where the label should go</Text>
+        ) : (
+          <Text style={styles.hint}>Drag on the photo to draw</Text>
+        )}
+
+        <View style={styles.actions}>
+          <Button onPress={() => setShapes(prev => prev.slice(0, -1))} disabled={shapes.length === 0}>Undo</Button>
+          <Button onPress={() => setShapes([])} disabled={shapes.length === 0}>Clear</Button>
+          <Button onPress={onCancel}>Cancel</Button>
+          <Button mode="contained" onPress={() => onSave(shapes)}>Done</Button>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, padding: 20, backgroundColor: '#fff' },
+  title: { fontSize: 20, fontWeight: 'bold', textAlign: 'center', marginBottom: 15 },
+  canvas: { width: '100%', backgroundColor: '#000', overflow: 'hidden', borderRadius: 8 },
+  tools: { marginTop: 15 },
+  colors: { flexDirection: 'row', justifyContent: 'center', marginTop: 10 },
+  colorButton: { marginHorizontal: 4 },
+  labelRow: { flexDirection: 'row', alignItems: 'center', marginTop: 10 },
+  hint: { textAlign: 'center', color: '#666', marginTop: 10 },
+  actions: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 20 },
+});
@@ -0,0 +1,32 @@
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import { Chip } from 'react-native-paper';
+
+// Report lifecycle states, as shown in the app
+export const STATUS_STYLES = {
+  draft: { label: 'Draft', color: '#666666' },
+  analyzed: { label: 'Analyzed', color: '#0A79DF' },
+  'in-review': { label: 'In Review', color: '#B8860B' },
+  approved: { label: 'Approved', color: '#27AE60' },
+  sent: { label: 'Sent', color: '#8E44AD' },
+  archived: { label: 'Archived', color: '#95A5A6' },
+};
+
+// Approved, sent and archived reports can't be edited until they are reopened
+export const LOCKED_STATUSES = ['approved', 'sent', 'archived'];
+
+export default function StatusBadge({ status, style }) {
+  const { label, color } = STATUS_STYLES[status] || { label: status, color: '#666666' };
+  return (
+    <Chip compact style={[styles.badge, { borderColor: color }, style]} textStyle={{ color }} mode="outlined">
+      {label}
+    </Chip>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#fff',
+  },
+});
@@ -0,0 +1,115 @@
+import * as FileSystem from 'expo-file-system';
+
+// Reports being written on this device. Each draft lives in its own folder
+// under the app's document directory, as draft.json next to copies of its
+// photos and voice notes, so nothing is lost if the app is closed or a
+// submission fails. The cache URIs from the camera and recorder can be
+// cleared by the OS at any time, which is why the files are copied.
+//
+// Draft shape:
+// {
+//   id, ownerId, createdAt, updatedAt,
+//   syncStatus: 'draft' | 'queued' | 'syncing' | 'failed',
+//   syncError, lastAttemptAt,
+//   uploadSessionId,  // upload session to resume, see uploadReport()
+//   reportId,  // set once the server has created the report
+//   formData: { jobName, clientName, address, date, clientId, siteId },
+//   items: [{ photo: { uri, width, height, mimeType, fileName }, noteType, note, annotations }]
+// }
+//
+// 'draft' is still being edited, 'queued' is waiting to upload, 'failed' was
+// rejected by the server and needs changes before it is sent again.
+const DRAFTS_DIR = `${FileSystem.documentDirectory}drafts/`;
+
+const listeners = new Set();
+
+// Calls listener() whenever a draft is saved or deleted; returns an unsubscribe function
+export const subscribeToDrafts = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+const draftDir = (id) => `${DRAFTS_DIR}${id}/`;
+const draftFile = (id) => `${draftDir(id)}draft.json`;
+
+// Random enough to be unique per device
+export const newDraftId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}${Math.random().toString(36).slice(2, 10)}`;
+
+export const createDraft = (ownerId) => {
+  const now = new Date().toISOString();
+  return {
+    id: newDraftId(),
+    ownerId,
+    createdAt: now,
+    updatedAt: now,
+    syncStatus: 'draft',
+    syncError: null,
+    lastAttemptAt: null,
+    uploadSessionId: null,
+    reportId: null,
+    formData: {
+      jobName: '',
+      clientName: '',
+      address: '',
+      date: now.split('T')[0],
+      clientId: null,
+      siteId: null,
+    },
+    items: [],
+  };
+};
+
+export const loadDraft = async (id) => {
+  try {
+    return JSON.parse(await FileSystem.readAsStringAsync(draftFile(id)));
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveDraft = async (draft) => {
+  const saved = { ...draft, updatedAt: new Date().toISOString() };
+  await FileSystem.makeDirectoryAsync(draftDir(draft.id), { intermediates: true });
+  await FileSystem.writeAsStringAsync(draftFile(draft.id), JSON.stringify(saved));
+  notify();
+  return saved;
+};
+
+// Applies changes to the stored copy of a draft
+export const updateDraft = async (id, changes) => {
+  const draft = await loadDraft(id);
+  if (!draft) throw new Error('Draft not found');
+  return saveDraft({ ...draft, ...changes });
+};
+
+export const deleteDraft = async (id) => {
+  await FileSystem.deleteAsync(draftDir(id), { idempotent: true });
+  notify();
+};
+
+// Drafts belonging to a user, newest first
+export const listDrafts = async (ownerId) => {
+  const info = await FileSystem.getInfoAsync(DRAFTS_DIR);
+  if (!info.exists) return [];
+  const ids = await FileSystem.readDirectoryAsync(DRAFTS_DIR);
+  const drafts = await Promise.all(ids.map(loadDraft));
+  return drafts
+    .filter(draft => draft && draft.ownerId === ownerId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Copies a photo or recording into the draft's folder and returns the new URI
+export const importDraftFile = async (draftId, uri, extension) => {
+  await FileSystem.makeDirectoryAsync(draftDir(draftId), { intermediates: true });
+  const to = `${draftDir(draftId)}${newDraftId()}.${extension}`;
+  await FileSystem.copyAsync({ from: uri, to });
+  return to;
+};
+
+export const removeDraftFile = async (uri) => {
+  if (uri && uri.startsWith(DRAFTS_DIR)) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+  }
+};
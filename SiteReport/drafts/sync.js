@@ -0,0 +1,134 @@
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import { uploadReport, analyzeReport } from '../api/client';
+import { listDrafts, loadDraft, updateDraft, deleteDraft } from './store';
+
+// Uploads queued drafts. Files go up in chunks through an upload session
+// whose id is kept on the draft, so a retry resumes where the last attempt
+// stopped, and finalizing a session twice returns the report it already
+// created. Once the report exists and analysis is queued, the local draft and
+// its files are deleted.
+//
+// Network errors and server errors leave the draft queued for the next
+// attempt; other client errors mark it 'failed' until the inspector edits
+// and resubmits it. An upload session that expired (404) is forgotten, so
+// the next attempt starts a new one.
+const RETRYABLE_STATUSES = [401, 408, 409, 429];
+
+// Syncs in progress, by draft id, so the screen and the background sync
+// never upload the same draft side by side
+const inProgress = new Map();
+
+const progressListeners = new Set();
+
+// Calls listener(draftId, files) as a draft uploads, with files as
+// [{ name, received, size }]; returns an unsubscribe function
+export const subscribeToUploadProgress = (listener) => {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+};
+
+const isRejection = (err) => {
+  const status = err.response?.status;
+  return Boolean(status) && status < 500 && !RETRYABLE_STATUSES.includes(status);
+};
+
+// The report fields and files to upload for a draft
+export const buildUpload = (draft) => {
+  const files = [];
+  const photoDescriptions = [];
+  draft.items.forEach((item, idx) => {
+    files.push({
+      field: 'photos',
+      uri: item.photo.uri,
+      name: item.photo.fileName || `photo${idx + 1}.jpg`,
+      mimeType: item.photo.mimeType || 'image/jpeg',
+    });
+    let voiceFile = '';
+    if (item.noteType === 'voice') {
+      voiceFile = `voice${idx + 1}.m4a`;
+      files.push({ field: 'voices', uri: item.note, name: voiceFile, mimeType: 'audio/m4a' });
+    }
+    photoDescriptions.push({
+      type: item.noteType,
+      description: item.noteType === 'text' ? item.note : '',
+      transcription: '',
+      voiceFile,
+      annotations: item.annotations
+    });
+  });
+  return { fields: { ...draft.formData, photoDescriptions }, files };
+};
+
+const uploadDraft = async (id) => {
+  let draft = await loadDraft(id);
+  if (!draft) throw new Error('Draft not found');
+  draft = await updateDraft(id, { syncStatus: 'syncing', syncError: null, lastAttemptAt: new Date().toISOString() });
+  let reportId = draft.reportId;
+  try {
+    if (!reportId) {
+      const { fields, files } = buildUpload(draft);
+      const report = await uploadReport(fields, files, {
+        sessionId: draft.uploadSessionId,
+        onSession: uploadSessionId => updateDraft(id, { uploadSessionId }),
+        onProgress: progress => progressListeners.forEach(listener => listener(id, progress)),
+      });
+      reportId = report.id;
+      await updateDraft(id, { reportId });
+    }
+    // Queue AI analysis; progress is shown on the preview screen
+    await analyzeReport(reportId);
+    await deleteDraft(id);
+    return reportId;
+  } catch (err) {
+    const sessionExpired = !reportId && err.response?.status === 404;
+    await updateDraft(id, {
+      syncStatus: isRejection(err) && !sessionExpired ? 'failed' : 'queued',
+      syncError: err.response?.data?.error || err.message || 'Upload failed',
+      ...(sessionExpired ? { uploadSessionId: null } : {}),
+    });
+    throw err;
+  }
+};
+
+// Uploads one draft now and resolves with the new report's id
+export const syncDraft = (id) => {
+  if (!inProgress.has(id)) {
+    inProgress.set(id, uploadDraft(id).finally(() => inProgress.delete(id)));
+  }
+  return inProgress.get(id);
+};
+
+// Uploads every queued draft of the user, one at a time. Drafts left
+// 'syncing' by an app that was closed mid-upload are retried too.
+export const syncDrafts = async (ownerId) => {
+  const state = await NetInfo.fetch();
+  if (!state.isConnected) return;
+  const drafts = await listDrafts(ownerId);
+  for (const draft of drafts.filter(d => d.syncStatus === 'queued' || d.syncStatus === 'syncing')) {
+    try {
+      await syncDraft(draft.id);
+    } catch (err) {
+      console.log(`Draft ${draft.id} not synced:`, err.message);
+    }
+  }
+};
+
+// Syncs now, whenever the connection comes back and whenever the app returns
+// to the foreground. Returns a function that stops listening.
+export const startDraftSync = (ownerId) => {
+  const sync = () => syncDrafts(ownerId).catch(err => console.error('Draft sync failed:', err));
+  let wasConnected = null;
+  const unsubscribeNetInfo = NetInfo.addEventListener(state => {
+    if (state.isConnected && wasConnected === false) sync();
+    wasConnected = state.isConnected;
+  });
+  const appStateSubscription = AppState.addEventListener('change', status => {
+    if (status === 'active') sync();
+  });
+  sync();
+  return () => {
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+  };
+};
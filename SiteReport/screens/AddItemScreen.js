@@ -3,22 +3,38 @@ import { ScrollView, View, Image, StyleSheet, ActivityIndicator } from 'react-na
 import { Button, TextInput, Text, Snackbar, Card } from 'react-native-paper';
 import * as ImagePicker from 'expo-image-picker';
 import { Audio } from 'expo-av';
-import { addVoiceNote } from '../api/client';
+import {
+  getReport,
+  addReportItem,
+  replaceItemPhoto,
+  updateItemNote,
+  reorderItems,
+  deleteItem,
+  getPhotoImageSource,
+} from '../api/client';
+import { newDraftId } from '../drafts/store';
+
+const MAX_ITEMS = 20;
 
 const AddItemScreen = ({ route, navigation }) => {
   const { reportId } = route.params;
 
+  const [report, setReport] = useState(null);
   const [image, setImage] = useState(null);
+  // Idempotency key for the item being added, kept across retries until it
+  // is saved or discarded
+  const [itemKey, setItemKey] = useState(null);
+  const [text, setText] = useState('');
   const [isRecording, setIsRecording] = useState(false);
   const [recording, setRecording] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [problemDescription, setProblemDescription] = useState('');
-  const [recommendedSolution, setRecommendedSolution] = useState('');
-  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbar, setSnackbar] = useState('');
   const [error, setError] = useState('');
-  const [report, setReport] = useState(null);
+  // Text notes being edited on existing items, keyed by photo id
+  const [noteEdits, setNoteEdits] = useState({});
 
   useEffect(() => {
+    loadReport();
     (async () => {
       const { status } = await Audio.requestPermissionsAsync();
       if (status !== 'granted') {
@@ -35,19 +51,51 @@ const AddItemScreen = ({ route, navigation }) => {
     };
   }, [recording]);
 
-  const pickImage = async () => {
-    const result = await ImagePicker.launchImageLibraryAsync({
+  const loadReport = async () => {
+    try {
+      const data = await getReport(reportId);
+      setReport(data);
+      setNoteEdits({});
+    } catch (err) {
+      setError('Failed to load report');
+    }
+  };
+
+  // Runs an item action with shared loading / error handling
+  const runAction = async (action, successMessage) => {
+    try {
+      setLoading(true);
+      setError('');
+      await action();
+      await loadReport();
+      setSnackbar(successMessage);
+    } catch (err) {
+      console.error('Error updating report item:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to update report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pickFrom = async (source) => {
+    const options = {
       mediaTypes: ImagePicker.MediaTypeOptions.Images,
       allowsEditing: true,
       aspect: [4, 3],
       quality: 1,
-    });
-
-    if (!result.canceled) {
-      setImage(result.assets[0]);
-    }
+    };
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
+    return result.canceled ? null : result.assets[0];
   };
 
+  const photoPart = (asset) => ({
+    uri: asset.uri,
+    type: asset.mimeType || 'image/jpeg',
+    name: asset.fileName || 'photo.jpg',
+  });
+
   const startRecording = async () => {
     try {
       setError('');
@@ -67,6 +115,12 @@ const AddItemScreen = ({ route, navigation }) => {
     }
   };
 
+  const choosePhoto = async (source) => {
+    const asset = await pickFrom(source);
+    setImage(asset);
+    setItemKey(asset ? newDraftId() : null);
+  };
+
   const stopRecording = async () => {
     try {
       setIsRecording(false);
@@ -80,90 +134,136 @@ const AddItemScreen = ({ route, navigation }) => {
     }
   };
 
-  const handleSubmit = async () => {
-    try {
-      setLoading(true);
-      setError('');
-
+  const submitItem = async (noteType) => {
+    if (!image) return;
+    const formData = new FormData();
+    formData.append('photo', photoPart(image));
+    formData.append('type', noteType);
+    if (noteType === 'voice') {
       const uri = await stopRecording();
       if (!uri) {
-        throw new Error('No recording found');
+        setError('No recording found');
+        return;
+      }
+      formData.append('voice', { uri, type: 'audio/m4a', name: 'voice-note.m4a' });
+    } else {
+      if (!text) {
+        setError('Please enter a description');
+        return;
       }
+      formData.append('description', text);
+    }
+    await runAction(async () => {
+      await addReportItem(reportId, formData, { idempotencyKey: itemKey });
+      setImage(null);
+      setItemKey(null);
+      setText('');
+    }, 'Report item saved successfully!');
+  };
 
-      // Create a FormData object
-      const formData = new FormData();
-      formData.append('audio', {
-        uri: uri,
-        type: 'audio/m4a',
-        name: 'voice-note.m4a'
-      });
+  const moveItem = (idx, direction) => {
+    const ids = report.photos.map(p => p.id);
+    const target = idx + direction;
+    [ids[idx], ids[target]] = [ids[target], ids[idx]];
+    runAction(() => reorderItems(reportId, ids), 'Items reordered');
+  };
 
-      // Add other form data
-      formData.append('problemDescription', problemDescription);
-      formData.append('recommendedSolution', recommendedSolution);
+  const replacePhoto = async (photoId) => {
+    const asset = await pickFrom('library');
+    if (!asset) return;
+    const formData = new FormData();
+    formData.append('photo', photoPart(asset));
+    runAction(() => replaceItemPhoto(reportId, photoId, formData), 'Photo replaced');
+  };
 
-      const response = await addVoiceNote(reportId, formData);
-      setReport(response);
-      setSnackbarVisible(true);
-      
-      // Clear the recording state
-      setRecording(null);
-      setIsRecording(false);
-    } catch (err) {
-      console.error('Error submitting voice note:', err);
-      setError(err.message || 'Failed to process voice note');
-    } finally {
-      setLoading(false);
-    }
+  const saveNote = (photoId) => {
+    runAction(() => updateItemNote(reportId, photoId, noteEdits[photoId]), 'Note updated');
   };
 
+  const removeItem = (photoId) => {
+    runAction(() => deleteItem(reportId, photoId), 'Item removed');
+  };
+
+  const photos = report?.photos || [];
+
   return (
     <ScrollView contentContainerStyle={styles.scrollContainer}>
       <View style={styles.container}>
-        <Text variant="titleLarge" style={styles.title}>Describe The Problem</Text>
+        <Text variant="titleLarge" style={styles.title}>Report Items</Text>
 
-        <Card style={styles.card}>
-          <Card.Content>
-
-            <Button
-              mode={isRecording ? "contained" : "outlined"}
-              onPress={isRecording ? stopRecording : startRecording}
-              style={styles.button}
-              icon={isRecording ? "stop" : "microphone"}
-            >
-              {isRecording ? "Stop Recording" : "Start Voice Note"}
-            </Button>
-
-            {error && <Text style={styles.error}>{error}</Text>}
-          </Card.Content>
-        </Card>
-
-        {recording && (
-          <Button
-            mode="contained"
-            onPress={handleSubmit}
-            style={styles.button}
-            disabled={loading}
-          >
-            {loading ? <ActivityIndicator color="#fff" /> : 'Submit Voice Note'}
-          </Button>
-        )}
-
-        {report?.voiceNote && (
-          <Card style={styles.card}>
+        {photos.map((photo, idx) => (
+          <Card key={photo.id} style={styles.card}>
             <Card.Content>
-              <Text style={styles.sectionTitle}>Your Voice Note</Text>
-              <Text style={styles.transcription}>{report.voiceNote.transcription}</Text>
-              
-              {report.voiceNote.elaboratedText && (
+              <View style={styles.itemRow}>
+                <Image source={getPhotoImageSource(reportId, photo.id, { size: 'thumbnail', version: report.updatedAt })} style={styles.thumbnail} />
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.sectionTitle}>Photo {idx + 1}</Text>
+                  {photo.type === 'voice' ? (
+                    <Text style={styles.transcription}>
+                      {photo.transcription || (photo.transcriptionStatus === 'failed' ? 'Transcription failed' : 'Transcribing voice note...')}
+                    </Text>
+                  ) : null}
+                </View>
+              </View>
+              {photo.type === 'text' && (
                 <>
-                  <Text style={styles.sectionTitle}>AI Analysis</Text>
-                  <Text style={styles.analysis}>{report.voiceNote.elaboratedText}</Text>
+                  <TextInput
+                    label="Text Description"
+                    value={noteEdits[photo.id] ?? photo.description}
+                    onChangeText={value => setNoteEdits(prev => ({ ...prev, [photo.id]: value }))}
+                    multiline
+                    style={styles.input}
+                  />
+                  {noteEdits[photo.id] !== undefined && noteEdits[photo.id] !== photo.description && (
+                    <Button mode="contained" onPress={() => saveNote(photo.id)} disabled={loading} compact>Save Note</Button>
+                  )}
                 </>
               )}
             </Card.Content>
+            <Card.Actions>
+              <Button onPress={() => moveItem(idx, -1)} disabled={loading || idx === 0} compact>Up</Button>
+              <Button onPress={() => moveItem(idx, 1)} disabled={loading || idx === photos.length - 1} compact>Down</Button>
+              <Button onPress={() => replacePhoto(photo.id)} disabled={loading} compact>Replace</Button>
+              <Button onPress={() => removeItem(photo.id)} disabled={loading || photos.length === 1} compact>Remove</Button>
+            </Card.Actions>
           </Card>
-        )}
+        ))}
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>Add Item</Text>
+            {!image ? (
+              <>
+                <Button mode="outlined" onPress={() => choosePhoto('library')} style={styles.button} disabled={photos.length >= MAX_ITEMS}>
+                  Add Photo from Gallery
+                </Button>
+                <Button mode="outlined" onPress={() => choosePhoto('camera')} style={styles.button} disabled={photos.length >= MAX_ITEMS}>
+                  Take Photo with Camera
+                </Button>
+              </>
+            ) : (
+              <>
+                <Image source={{ uri: image.uri }} style={styles.image} />
+                <Button
+                  mode={isRecording ? "contained" : "outlined"}
+                  onPress={isRecording ? () => submitItem('voice') : startRecording}
+                  style={styles.button}
+                  icon={isRecording ? "stop" : "microphone"}
+                  disabled={loading}
+                >
+                  {isRecording ? "Stop & Save Voice Note" : "Record Voice Note"}
+                </Button>
+                <Text style={{ textAlign: 'center' }}>OR</Text>
+                <TextInput label="Text Description" value={text} onChangeText={setText} style={styles.input} multiline />
+                <Button mode="contained" onPress={() => submitItem('text')} style={styles.button} disabled={loading}>
+                  {loading ? <ActivityIndicator color="#fff" /> : 'Save Text Note'}
+                </Button>
+                <Button onPress={() => { setImage(null); setItemKey(null); setText(''); setError(''); }} style={styles.button}>Cancel</Button>
+              </>
+            )}
+            {error ? <Text style={styles.error}>{error}</Text> : null}
+          </Card.Content>
+        </Card>
 
         <Button
           mode="contained"
@@ -174,11 +274,11 @@ const AddItemScreen = ({ route, navigation }) => {
         </Button>
 
         <Snackbar
-          visible={snackbarVisible}
-          onDismiss={() => setSnackbarVisible(false)}
+          visible={Boolean(snackbar)}
+          onDismiss={() => setSnackbar('')}
           duration={2000}
         >
-          Report item saved successfully!
+          {snackbar}
         </Snackbar>
       </View>
     </ScrollView>
@@ -191,6 +291,8 @@ const styles = StyleSheet.create({
   input: { marginBottom: 10 },
   button: { marginVertical: 10 },
   image: { width: '100%', height: 200, marginTop: 10, borderRadius: 10 },
+  thumbnail: { width: 80, height: 80, borderRadius: 8, marginRight: 12 },
+  itemRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 10 },
   error: { color: 'red', textAlign: 'center', marginBottom: 10 },
   card: { paddingBottom: 10, marginBottom: 20 },
   scrollContainer: {
@@ -207,10 +309,6 @@ const styles = StyleSheet.create({
     marginBottom: 15,
     color: '#666',
   },
-  analysis: {
-    fontSize: 16,
-    lineHeight: 24,
-  },
 });
 
-export default AddItemScreen;
\ No newline at end of file
+export default AddItemScreen;
@@ -1,32 +1,172 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, StyleSheet, ScrollView } from 'react-native';
-import { TextInput, Button, Text, ActivityIndicator } from 'react-native-paper';
+import { TextInput, Button, Text, ActivityIndicator, ProgressBar } from 'react-native-paper';
 import * as ImagePicker from 'expo-image-picker';
-import { createReport } from '../api/client';
 import { Image } from 'react-native';
 import { Audio } from 'expo-av';
+import PhotoMarkupEditor, { AnnotationOverlay } from '../components/PhotoMarkupEditor';
+import AutocompleteInput from '../components/AutocompleteInput';
+import { getClients, createClient, getSites, createSite } from '../api/client';
+import { useAuth } from '../auth/AuthContext';
+import { createDraft, loadDraft, saveDraft, importDraftFile, removeDraftFile } from '../drafts/store';
+import { syncDraft, subscribeToUploadProgress } from '../drafts/sync';
 
-export default function NewReportScreen({ navigation }) {
+// Height that keeps a photo's aspect ratio, so markup lines up with the image
+const heightFor = (photo, width) => (photo.width && photo.height ? width * photo.height / photo.width : width * 3 / 4);
+
+const extensionOf = (uri, fallback) => {
+  const match = /\.(\w+)$/.exec(uri || '');
+  return match ? match[1].toLowerCase() : fallback;
+};
+
+const DRAFT_SAVE_DELAY_MS = 500;
+
+// Creates a report, or continues the draft passed as route.params.draftId.
+// Everything entered is saved to the device as a draft while the inspector
+// works, and submitting queues the draft for upload, so nothing is lost when
+// there is no signal.
+export default function NewReportScreen({ navigation, route }) {
+  const { user } = useAuth();
+  const draftId = route.params?.draftId;
+  // The draft being edited; formData and items below hold its working copy
+  const [draft, setDraft] = useState(null);
   const [formData, setFormData] = useState({
     jobName: '',
     clientName: '',
     address: '',
     date: new Date().toISOString().split('T')[0],
+    clientId: null,
+    siteId: null,
   });
-  // Each item: { photo, noteType: 'text'|'voice', note: string (text or audio uri), transcription: string }
+  // Each item: { photo, noteType: 'text'|'voice', note: string (text or audio uri), transcription: string, annotations: [] }
+  // Photo and audio URIs point at copies kept in the draft's folder
   const [items, setItems] = useState([]);
+  const [draftSaved, setDraftSaved] = useState(false);
+  // Per-file upload progress while submitting: [{ name, received, size }]
+  const [uploadProgress, setUploadProgress] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [isRecording, setIsRecording] = useState(false);
   const [recording, setRecording] = useState(null);
   const [currentPhoto, setCurrentPhoto] = useState(null);
   const [currentText, setCurrentText] = useState('');
-  const [aiReport, setAiReport] = useState(null);
+  const [currentAnnotations, setCurrentAnnotations] = useState([]);
+  // Photo being marked up: 'current' for the photo being added, or an item index
+  const [markupTarget, setMarkupTarget] = useState(null);
+  // Set by edits, so opening a draft without changing it leaves it as it was
+  const dirty = useRef(false);
+  const submitted = useRef(false);
+  const pendingSave = useRef(null);
+  const saveTimer = useRef(null);
+  const saveChain = useRef(Promise.resolve());
+
+  useEffect(() => {
+    (async () => {
+      const existing = draftId ? await loadDraft(draftId) : null;
+      const current = existing || createDraft(user.id);
+      setDraft(current);
+      setFormData(current.formData);
+      setItems(current.items);
+      setDraftSaved(Boolean(existing));
+      if (existing?.syncStatus === 'failed') {
+        setError(existing.syncError || 'The server rejected this report');
+      }
+    })();
+  }, [draftId]);
+
+  // Writes the latest pending changes to the device
+  const flushDraft = () => {
+    clearTimeout(saveTimer.current);
+    const next = pendingSave.current;
+    pendingSave.current = null;
+    if (next) {
+      saveChain.current = saveChain.current
+        .then(() => saveDraft(next))
+        .then(() => setDraftSaved(true))
+        .catch(err => console.error('Failed to save draft:', err));
+    }
+    return saveChain.current;
+  };
+
+  useEffect(() => {
+    if (!draft || !dirty.current || submitted.current) return;
+    // Edited drafts wait for the inspector to submit them again, in a new
+    // upload session since the files may have changed
+    pendingSave.current = { ...draft, formData, items, syncStatus: 'draft', syncError: null, uploadSessionId: null };
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY_MS);
+  }, [draft, formData, items]);
+
+  useEffect(() => {
+    if (!draft) return undefined;
+    return subscribeToUploadProgress((id, files) => {
+      if (id === draft.id) setUploadProgress(files);
+    });
+  }, [draft?.id]);
+
+  // Save anything still pending when leaving the screen
+  useEffect(() => () => { flushDraft(); }, []);
 
   const handleInputChange = (name, value) => {
+    dirty.current = true;
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  // Editing the client name or address by hand unlinks the picked client or
+  // site; the server links the report again if the text matches one
+  const changeClientName = (clientName) => {
+    dirty.current = true;
+    setFormData(prev => ({ ...prev, clientName, clientId: null, siteId: null }));
+  };
+
+  const changeAddress = (address) => {
+    dirty.current = true;
+    setFormData(prev => ({ ...prev, address, siteId: null }));
+  };
+
+  const selectClient = (client) => {
+    dirty.current = true;
+    setFormData(prev => ({
+      ...prev,
+      clientName: client.name,
+      clientId: client.id,
+      siteId: prev.clientId === client.id ? prev.siteId : null,
+    }));
+  };
+
+  const selectSite = (site) => {
+    dirty.current = true;
+    setFormData(prev => ({
+      ...prev,
+      address: site.address,
+      siteId: site.id,
+      clientId: site.clientId,
+      clientName: site.clientName || prev.clientName,
+    }));
+  };
+
+  // A record that already exists comes back with the 409, so it is picked instead
+  const addToDirectory = async (create, existingKey, select) => {
+    try {
+      select(await create());
+    } catch (err) {
+      const existing = err.response?.data?.[existingKey];
+      if (existing) {
+        select(existing);
+      } else {
+        setError(err.response?.data?.error || `Failed to add ${existingKey}`);
+      }
+    }
+  };
+
+  const addClient = (name) => addToDirectory(() => createClient({ name }), 'client', selectClient);
+
+  const addSite = (address) => addToDirectory(
+    () => createSite({ clientId: formData.clientId, address }),
+    'site',
+    site => selectSite({ ...site, clientName: formData.clientName })
+  );
+
   const pickImage = async () => {
     const result = await ImagePicker.launchImageLibraryAsync({
       mediaTypes: ImagePicker.MediaTypeOptions.Images,
@@ -77,7 +217,7 @@ export default function NewReportScreen({ navigation }) {
   };
 
   const addItem = async (noteType) => {
-    if (!currentPhoto) return;
+    if (!currentPhoto || !draft) return;
     let note = '';
     let transcription = '';
     if (noteType === 'voice') {
@@ -93,108 +233,184 @@ export default function NewReportScreen({ navigation }) {
         return;
       }
     }
-    setItems(prev => [...prev, { photo: currentPhoto, noteType, note, transcription }]);
+    let photo;
+    try {
+      // Keep copies with the draft; the picker's and recorder's files are temporary
+      photo = { ...currentPhoto, uri: await importDraftFile(draft.id, currentPhoto.uri, extensionOf(currentPhoto.uri, 'jpg')) };
+      if (noteType === 'voice') {
+        note = await importDraftFile(draft.id, note, 'm4a');
+      }
+    } catch (err) {
+      setError('Failed to save the photo on this device');
+      return;
+    }
+    dirty.current = true;
+    setItems(prev => [...prev, { photo, noteType, note, transcription, annotations: currentAnnotations }]);
+    setCurrentPhoto(null);
+    setCurrentText('');
+    setCurrentAnnotations([]);
+    setError('');
+  };
+
+  const cancelCurrentPhoto = () => {
     setCurrentPhoto(null);
     setCurrentText('');
+    setCurrentAnnotations([]);
     setError('');
   };
 
+  const saveMarkup = (annotations) => {
+    if (markupTarget === 'current') {
+      setCurrentAnnotations(annotations);
+    } else {
+      dirty.current = true;
+      setItems(prev => prev.map((item, i) => (i === markupTarget ? { ...item, annotations } : item)));
+    }
+    setMarkupTarget(null);
+  };
+
+  const markupPhoto = markupTarget === 'current' ? currentPhoto : items[markupTarget]?.photo;
+  const markupAnnotations = markupTarget === 'current' ? currentAnnotations : items[markupTarget]?.annotations;
+
   const removeItem = (idx) => {
+    const item = items[idx];
+    removeDraftFile(item.photo.uri);
+    if (item.noteType === 'voice') removeDraftFile(item.note);
+    dirty.current = true;
     setItems(prev => prev.filter((_, i) => i !== idx));
   };
 
+  // Queues the draft for upload and tries to send it straight away. Without a
+  // connection the draft stays queued and is uploaded in the background.
   const handleSubmit = async () => {
     try {
       setLoading(true);
       setError('');
-      setAiReport(null);
+      setUploadProgress([]);
       if (!formData.jobName || !formData.clientName || !formData.address) {
         throw new Error('Please fill in all required fields');
       }
       if (items.length < 1) {
         throw new Error('Add at least one photo and note');
       }
-      // Build FormData with all fields and files
-      const form = new FormData();
-      const photoDescriptions = [];
-      items.forEach((item, idx) => {
-        // Always upload the image
-        form.append('photos', {
-          uri: item.photo.uri,
-          type: item.photo.mimeType || 'image/jpeg',
-          name: item.photo.fileName || `photo${idx + 1}.jpg`
-        });
-        // If voice, also upload the audio
-        let voiceFile = '';
-        if (item.noteType === 'voice') {
-          const audioFileName = `voice${idx + 1}.m4a`;
-          form.append('voices', {
-            uri: item.note,
-            type: 'audio/m4a',
-            name: audioFileName
-          });
-          voiceFile = audioFileName;
-        }
-        photoDescriptions.push({
-          type: item.noteType,
-          description: item.noteType === 'text' ? item.note : '',
-          transcription: '',
-          voiceFile
-        });
-      });
-      Object.keys(formData).forEach(key => {
-        form.append(key, formData[key]);
-      });
-      form.append('photoDescriptions', JSON.stringify(photoDescriptions));
-      // Send FormData directly
-      const report = await createReport(form);
-      // Call AI analysis endpoint
-      await fetch(`${process.env.API_URL || 'http://192.168.137.1:3000/api'}/reports/${report.id}/analyze`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({})
-      });
-      navigation.replace('PreviewReport', { reportId: report.id });
+      submitted.current = true;
+      pendingSave.current = null;
+      await flushDraft();
+      await saveDraft({ ...draft, formData, items, syncStatus: 'queued', syncError: null });
     } catch (err) {
-      setError(err.message || 'Failed to create report');
-    } finally {
+      submitted.current = false;
+      setError(err.message || 'Failed to save report');
       setLoading(false);
+      return;
+    }
+    try {
+      const reportId = await syncDraft(draft.id);
+      navigation.replace('PreviewReport', { reportId });
+    } catch (err) {
+      const saved = await loadDraft(draft.id);
+      if (saved?.syncStatus === 'failed') {
+        // Rejected by the server; let the inspector fix it and submit again
+        submitted.current = false;
+        setError(saved.syncError);
+        setLoading(false);
+      } else {
+        navigation.navigate('ReportActions', {
+          notice: 'No connection. The report is saved on this device and will upload automatically.',
+        });
+      }
     }
   };
 
   return (
-    <ScrollView style={styles.container}>
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
       <Text style={styles.title}>New Report</Text>
       <TextInput label="Job Name" value={formData.jobName} onChangeText={text => handleInputChange('jobName', text)} style={styles.input} />
-      <TextInput label="Client Name" value={formData.clientName} onChangeText={text => handleInputChange('clientName', text)} style={styles.input} />
-      <TextInput label="Address" value={formData.address} onChangeText={text => handleInputChange('address', text)} style={styles.input} multiline />
+      <AutocompleteInput
+        label="Client Name"
+        value={formData.clientName}
+        onChangeText={changeClientName}
+        getSuggestions={getClients}
+        titleOf={client => client.name}
+        descriptionOf={client => (client.contacts.length > 0 ? client.contacts.map(c => c.name || c.email).join(', ') : undefined)}
+        onSelect={selectClient}
+        onCreate={addClient}
+        createLabel={name => `Add "${name}" as a new client`}
+        linked={Boolean(formData.clientId)}
+        style={styles.input}
+      />
+      <AutocompleteInput
+        label="Address"
+        value={formData.address}
+        onChangeText={changeAddress}
+        getSuggestions={q => getSites(formData.clientId ? { q, clientId: formData.clientId } : { q })}
+        titleOf={site => site.address}
+        descriptionOf={site => [site.name !== site.address ? site.name : null, formData.clientId ? null : site.clientName].filter(Boolean).join(' · ') || undefined}
+        onSelect={selectSite}
+        // Sites belong to a client, so one has to be picked first
+        onCreate={formData.clientId ? addSite : undefined}
+        createLabel={address => `Add "${address}" as a new site`}
+        linked={Boolean(formData.siteId)}
+        style={styles.input}
+        multiline
+      />
+      {formData.siteId && (
+        <Button icon="history" onPress={() => navigation.navigate('SiteHistory', { siteId: formData.siteId })} style={styles.historyButton}>
+          Site History
+        </Button>
+      )}
       <TextInput label="Date" value={formData.date} onChangeText={text => handleInputChange('date', text)} style={styles.input} />
       <Button mode="outlined" onPress={pickImage} style={styles.button} disabled={items.length >= 20 || currentPhoto !== null}>Add Photo from Gallery</Button>
       <Button mode="outlined" onPress={takePhoto} style={styles.button} disabled={items.length >= 20 || currentPhoto !== null}>Take Photo with Camera</Button>
       {currentPhoto && (
         <View style={{ backgroundColor: '#fff', padding: 20, borderRadius: 10, marginVertical: 20 }}>
           <Text style={{ fontWeight: 'bold', marginBottom: 10 }}>Add Note for Photo</Text>
-          <Image source={{ uri: currentPhoto.uri }} style={{ width: 120, height: 120, borderRadius: 8, marginBottom: 10 }} />
+          <View style={[styles.preview, { height: heightFor(currentPhoto, 120) }]}>
+            <Image source={{ uri: currentPhoto.uri }} style={StyleSheet.absoluteFill} />
+            <AnnotationOverlay annotations={currentAnnotations} width={120} height={heightFor(currentPhoto, 120)} />
+          </View>
+          <Button mode="outlined" onPress={() => setMarkupTarget('current')} style={styles.button} icon="draw">
+            {currentAnnotations.length > 0 ? `Edit Markup (${currentAnnotations.length})` : 'Mark Up Photo'}
+          </Button>
           <Button mode={isRecording ? 'contained' : 'outlined'} onPress={isRecording ? () => addItem('voice') : startRecording} style={styles.button} icon={isRecording ? 'stop' : 'microphone'}>{isRecording ? 'Stop & Save Voice' : 'Record Voice Note'}</Button>
           <Text style={{ textAlign: 'center', marginVertical: 8 }}>OR</Text>
           <TextInput label="Text Description" value={currentText} onChangeText={setCurrentText} style={styles.input} multiline />
           <Button mode="contained" onPress={() => addItem('text')} style={styles.button}>Save Text Note</Button>
-          <Button onPress={() => { setCurrentPhoto(null); setCurrentText(''); setError(''); }} style={styles.button}>Cancel</Button>
+          <Button onPress={cancelCurrentPhoto} style={styles.button}>Cancel</Button>
         </View>
       )}
       {items.length > 0 && (
         <ScrollView horizontal style={{ marginBottom: 10 }}>
           {items.map((item, idx) => (
             <View key={idx} style={{ marginRight: 8, alignItems: 'center' }}>
-              <Image source={{ uri: item.photo.uri }} style={{ width: 80, height: 80, borderRadius: 8 }} />
+              <View style={[styles.thumbnail, { height: heightFor(item.photo, 80) }]}>
+                <Image source={{ uri: item.photo.uri }} style={StyleSheet.absoluteFill} />
+                <AnnotationOverlay annotations={item.annotations} width={80} height={heightFor(item.photo, 80)} />
+              </View>
               <Text style={{ fontSize: 12 }}>{item.noteType === 'voice' ? 'Voice' : 'Text'}</Text>
+              <Button onPress={() => setMarkupTarget(idx)} compact>Mark Up</Button>
               <Button onPress={() => removeItem(idx)} compact>Remove</Button>
             </View>
           ))}
         </ScrollView>
       )}
       {error ? <Text style={styles.error}>{error}</Text> : null}
-      <Button mode="contained" onPress={handleSubmit} style={styles.button} disabled={loading}>{loading ? <ActivityIndicator color="#fff" /> : 'Submit Report'}</Button>
+      {draftSaved ? <Text style={styles.savedNote}>Draft saved on this device</Text> : null}
+      {loading && uploadProgress.map((file, idx) => (
+        <View key={idx} style={styles.progressRow}>
+          <Text style={styles.progressLabel}>{file.name} ({Math.round(100 * file.received / file.size)}%)</Text>
+          <ProgressBar progress={file.received / file.size} />
+        </View>
+      ))}
+      <Button mode="contained" onPress={handleSubmit} style={styles.button} disabled={loading || !draft}>{loading ? <ActivityIndicator color="#fff" /> : 'Submit Report'}</Button>
+      {markupPhoto && (
+        <PhotoMarkupEditor
+          visible
+          photo={markupPhoto}
+          annotations={markupAnnotations || []}
+          onSave={saveMarkup}
+          onCancel={() => setMarkupTarget(null)}
+        />
+      )}
     </ScrollView>
   );
 }
@@ -218,9 +434,37 @@ const styles = StyleSheet.create({
     marginTop: 10,
     marginBottom: 20,
   },
+  historyButton: {
+    alignSelf: 'flex-start',
+    marginTop: -10,
+    marginBottom: 10,
+  },
   error: {
     color: 'red',
     textAlign: 'center',
     marginBottom: 10,
   },
+  savedNote: {
+    color: '#666',
+    textAlign: 'center',
+  },
+  progressRow: {
+    marginTop: 8,
+  },
+  progressLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  preview: {
+    width: 120,
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 10,
+  },
+  thumbnail: {
+    width: 80,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
 });
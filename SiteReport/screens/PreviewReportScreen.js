@@ -1,27 +1,114 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, StyleSheet, ScrollView, Share } from 'react-native';
-import { Text, Button, TextInput, ActivityIndicator } from 'react-native-paper';
-import { generatePDF, emailReport, getReport, updateReport } from '../api/client';
+import { Text, Button, TextInput, ActivityIndicator, SegmentedButtons, ProgressBar, Switch, Chip } from 'react-native-paper';
+import { generatePDF, generateDOCX, emailReport, getReport, updateReport, retryTranscription, retryImageAnalysis, getReportJobs, getRevisions, getRevisionDiff, restoreRevision, transitionReport, getEmailDeliveries, createShareLink, getShareLinks, revokeShareLink } from '../api/client';
+import StatusBadge, { LOCKED_STATUSES } from '../components/StatusBadge';
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const SHARE_LINK_DAYS = 7;
+const JOB_POLL_INTERVAL = 2000;
+
+// Human-readable label for a background job step
+const jobLabel = (job, photos) => {
+  if (job.type === 'transcribe') {
+    const idx = photos.findIndex(p => p.id === job.payload.photoId);
+    return `Transcribe voice note (Photo ${idx + 1})`;
+  }
+  if (job.type === 'analyze-image') {
+    const idx = photos.findIndex(p => p.id === job.payload.photoId);
+    return `Read labels and text (Photo ${idx + 1})`;
+  }
+  if (job.type === 'analyze') return 'AI analysis';
+  if (job.type === 'render-pdf') return 'Render PDF';
+  return job.type;
+};
+
+// Readable name for a changed field, e.g. "aiReport.findings[<photoId>].problem"
+// becomes "aiReport.findings[Photo 2].problem"
+const describeChange = (path, photos) => path.replace(/\[([^\]]+)\]/g, (match, id) => {
+  const idx = photos.findIndex(photo => photo.id === id);
+  return idx === -1 ? '[removed photo]' : `[Photo ${idx + 1}]`;
+});
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 80)}...` : text;
+};
+
+// Button labels for lifecycle transitions
+const TRANSITION_LABELS = {
+  submit: 'Submit for Review',
+  approve: 'Approve',
+  'request-changes': 'Request Changes',
+  reopen: 'Reopen for Editing',
+  archive: 'Archive',
+  unarchive: 'Unarchive',
+};
 
 export default function PreviewReportScreen({ route, navigation }) {
   const { reportId } = route.params;
   const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [email, setEmail] = useState('');
-  const [aiReportEdit, setAiReportEdit] = useState('');
+  const [emailForm, setEmailForm] = useState({ to: '', cc: '', bcc: '', replyTo: '', message: '' });
+  // Emails sent for this report, newest first
+  const [deliveries, setDeliveries] = useState([]);
+  // Browser links to the report, newest first
+  const [shareLinks, setShareLinks] = useState([]);
+  // Structured AI report being edited: { title, findings, recommendedServices, notes }
+  const [aiReportEdit, setAiReportEdit] = useState(null);
   const [editSaved, setEditSaved] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  // Revision history, loaded on request; diff holds the changes of one revision
+  const [revisions, setRevisions] = useState(null);
+  const [diff, setDiff] = useState(null);
+  // Optional comment sent with a status change, e.g. why changes are requested
+  const [transitionComment, setTransitionComment] = useState('');
+  const pollTimer = useRef(null);
 
+  // Reload whenever the screen is shown again, e.g. after editing items
   useEffect(() => {
-    loadReport();
-  }, []);
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadReport();
+      clearTimeout(pollTimer.current);
+      pollJobs();
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(pollTimer.current);
+    };
+  }, [navigation]);
+
+  // Poll background jobs while any are still queued or running, then reload
+  // the report so new transcriptions and findings show up
+  const pollJobs = async () => {
+    try {
+      const data = await getReportJobs(reportId);
+      setJobs(data);
+      const active = data.some(job => job.status === 'queued' || job.status === 'running');
+      if (active) {
+        pollTimer.current = setTimeout(pollJobs, JOB_POLL_INTERVAL);
+      } else if (data.length > 0) {
+        await loadReport();
+      }
+    } catch (err) {
+      console.error('Failed to load job status:', err);
+    }
+  };
 
   const loadReport = async () => {
     try {
       setLoading(true);
-      const data = await getReport(reportId);
+      const [data, sent, links] = await Promise.all([
+        getReport(reportId),
+        getEmailDeliveries(reportId),
+        getShareLinks(reportId),
+      ]);
       setReport(data);
-      setAiReportEdit(data.aiReport || '');
+      setDeliveries(sent);
+      setShareLinks(links);
+      setAiReportEdit(data.aiReport || null);
       setEditSaved(false);
     } catch (err) {
       setError('Failed to load report');
@@ -30,12 +117,28 @@ export default function PreviewReportScreen({ route, navigation }) {
     }
   };
 
+  const updateEdit = (changes) => {
+    setAiReportEdit(prev => ({ ...prev, ...changes }));
+    setEditSaved(false);
+  };
+
+  const updateFinding = (target, changes) => {
+    setAiReportEdit(prev => ({
+      ...prev,
+      findings: prev.findings.map(finding => (finding === target ? { ...finding, ...changes } : finding)),
+    }));
+    setEditSaved(false);
+  };
+
   const handleSaveEdit = async () => {
     try {
       setLoading(true);
-      await updateReport(reportId, { aiReport: aiReportEdit });
+      const updated = await updateReport(reportId, { aiReport: aiReportEdit });
+      setAiReportEdit(updated.aiReport);
+      setReport(prev => ({ ...prev, revision: updated.revision }));
       setEditSaved(true);
       setError('');
+      if (revisions) await loadRevisions();
     } catch (err) {
       setError('Failed to save edits');
     } finally {
@@ -43,6 +146,96 @@ export default function PreviewReportScreen({ route, navigation }) {
     }
   };
 
+  const handleToggleTimestamps = async (showPhotoTimestamps) => {
+    try {
+      setError('');
+      setReport(prev => ({ ...prev, showPhotoTimestamps }));
+      const updated = await updateReport(reportId, { showPhotoTimestamps });
+      setReport(updated);
+    } catch (err) {
+      setReport(prev => ({ ...prev, showPhotoTimestamps: !showPhotoTimestamps }));
+      setError('Failed to update report');
+    }
+  };
+
+  const handleRetryImageAnalysis = async (photoId) => {
+    try {
+      setLoading(true);
+      setError('');
+      await retryImageAnalysis(reportId, photoId);
+      await loadReport();
+      clearTimeout(pollTimer.current);
+      pollJobs();
+    } catch (err) {
+      setError('Image analysis failed again. Please try later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRetryTranscription = async (photoId) => {
+    try {
+      setLoading(true);
+      setError('');
+      await retryTranscription(reportId, photoId);
+      await loadReport();
+      clearTimeout(pollTimer.current);
+      pollJobs();
+    } catch (err) {
+      setError('Transcription failed again. Please try later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRevisions = async () => {
+    try {
+      setError('');
+      setRevisions(await getRevisions(reportId));
+    } catch (err) {
+      setError('Failed to load revision history');
+    }
+  };
+
+  const handleShowChanges = async (number) => {
+    try {
+      setError('');
+      setDiff({ number, ...(await getRevisionDiff(reportId, number - 1, number)) });
+    } catch (err) {
+      setError('Failed to load changes');
+    }
+  };
+
+  const handleRestore = async (number) => {
+    try {
+      setLoading(true);
+      setError('');
+      await restoreRevision(reportId, number);
+      setDiff(null);
+      await loadReport();
+      await loadRevisions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore revision');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTransition = async (action) => {
+    try {
+      setLoading(true);
+      setError('');
+      await transitionReport(reportId, action, transitionComment || undefined);
+      setTransitionComment('');
+      await loadReport();
+      if (revisions) await loadRevisions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to change report status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleGeneratePDF = async () => {
     try {
       setLoading(true);
@@ -55,19 +248,68 @@ export default function PreviewReportScreen({ route, navigation }) {
     }
   };
 
+  const handleGenerateDOCX = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await generateDOCX(reportId);
+    } catch (err) {
+      setError('Failed to generate Word document');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleShareLink = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const link = await createShareLink(reportId, SHARE_LINK_DAYS);
+      setShareLinks(prev => [link, ...prev]);
+      const expires = new Date(link.expiresAt).toLocaleDateString();
+      await Share.share({
+        message: `Property report for ${report.jobName}: ${link.url} (available until ${expires})`,
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create share link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevokeLink = async (linkId) => {
+    try {
+      setLoading(true);
+      setError('');
+      const revoked = await revokeShareLink(reportId, linkId);
+      setShareLinks(prev => prev.map(link => (link.id === linkId ? revoked : link)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke share link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleEmail = async () => {
     try {
       setLoading(true);
       setError('');
       
-      if (!email) {
+      // Linked reports can go to their site's or client's default recipients
+      if (!emailForm.to.trim() && !report.siteId && !report.clientId) {
         throw new Error('Please enter an email address');
       }
 
-      await emailReport(reportId, email);
+      await emailReport(reportId, emailForm);
+      setEmailForm(prev => ({ ...prev, message: '' }));
       setError('Email sent successfully');
+      // Emailing an approved report marks it as sent
+      await loadReport();
     } catch (err) {
-      setError(err.message || 'Failed to send email');
+      const details = err.response?.data?.details;
+      setError(Array.isArray(details) ? details.join('\n') : err.response?.data?.error || err.message || 'Failed to send email');
+      // Failed sends are logged too
+      getEmailDeliveries(reportId).then(setDeliveries).catch(() => {});
     } finally {
       setLoading(false);
     }
@@ -89,64 +331,333 @@ export default function PreviewReportScreen({ route, navigation }) {
     );
   }
 
-  // Parse AI report into sections for preview
-  const aiSections = (aiReportEdit || '').split(/Photo \d+:/);
-  const heading = aiSections[0]?.trim();
-  const photoSections = aiSections.slice(1);
+  const findings = aiReportEdit?.findings || [];
+  const locked = LOCKED_STATUSES.includes(report.status);
+  const transitions = report.transitions || [];
 
   return (
     <ScrollView style={styles.container}>
       <Text style={styles.title}>Preview Report</Text>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Status</Text>
+        <StatusBadge status={report.status} />
+        {locked && (
+          <Text style={styles.lockNote}>
+            {report.status === 'archived' ? 'Archived reports' : 'Approved reports'} are locked. A reviewer can reopen this report to make changes.
+          </Text>
+        )}
+        {transitions.length > 0 && (
+          <>
+            <TextInput
+              label="Comment (optional)"
+              value={transitionComment}
+              onChangeText={setTransitionComment}
+              style={[styles.input, { marginTop: 10 }]}
+            />
+            <View style={styles.chipRow}>
+              {transitions.map(action => (
+                <Button
+                  key={action}
+                  mode={action === 'approve' || action === 'submit' ? 'contained' : 'outlined'}
+                  onPress={() => handleTransition(action)}
+                  disabled={loading}
+                  style={styles.chip}
+                  compact
+                >
+                  {TRANSITION_LABELS[action] || action}
+                </Button>
+              ))}
+            </View>
+          </>
+        )}
+      </View>
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Job Details</Text>
+        <Text>Report No: {report.reportNumber}</Text>
         <Text>Job Name: {report.jobName}</Text>
         <Text>Client: {report.clientName}</Text>
         <Text>Address: {report.address}</Text>
         <Text>Date: {report.date}</Text>
+        {report.siteId && (
+          <Button compact icon="history" onPress={() => navigation.navigate('SiteHistory', { siteId: report.siteId })} style={{ alignSelf: 'flex-start' }}>
+            Site History
+          </Button>
+        )}
+        <View style={styles.switchRow}>
+          <Text style={{ flex: 1 }}>Print capture time under photos</Text>
+          <Switch value={Boolean(report.showPhotoTimestamps)} onValueChange={handleToggleTimestamps} disabled={locked} />
+        </View>
       </View>
+      {jobs.some(job => job.status !== 'completed') && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Processing</Text>
+          {jobs.map(job => (
+            <View key={job.id} style={{ marginBottom: 10 }}>
+              <Text>{jobLabel(job, report.photos || [])}: {job.status === 'failed' ? `Failed (${job.error})` : job.message}</Text>
+              <ProgressBar progress={job.progress / 100} color={job.status === 'failed' ? 'red' : undefined} />
+            </View>
+          ))}
+        </View>
+      )}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Report Heading</Text>
-        <TextInput
-          value={aiReportEdit}
-          onChangeText={setAiReportEdit}
-          multiline
-          style={{ minHeight: 120, backgroundColor: '#fff', borderRadius: 8, padding: 8 }}
-        />
-        <Button mode="contained" onPress={handleSaveEdit} style={styles.button} disabled={loading || editSaved}>
-          {editSaved ? 'Saved' : 'Save Edits'}
-        </Button>
+        {aiReportEdit ? (
+          <TextInput
+            value={aiReportEdit.title}
+            onChangeText={title => updateEdit({ title })}
+            multiline
+            style={styles.input}
+          />
+        ) : (
+          <Text>AI analysis has not been generated yet.</Text>
+        )}
       </View>
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Photos & Analysis</Text>
-        {report.photos && report.photos.map((photo, idx) => (
-          <View key={idx} style={{ marginBottom: 16 }}>
-            <Text style={{ fontWeight: 'bold' }}>Photo {idx + 1}</Text>
-            <Text>Type: {photo.type === 'voice' ? 'Voice Note' : 'Text'}</Text>
-            <Text>Description: {photo.type === 'text' ? photo.description : (photo.transcription || 'Transcription will appear after processing')}</Text>
-            <Text>File: {photo.path.split(/[\\/]/).pop()}</Text>
-            {photoSections[idx] && (
-              <Text style={{ marginTop: 4, color: '#333' }}>{photoSections[idx].trim()}</Text>
-            )}
-          </View>
-        ))}
+        {report.photos && report.photos.map((photo, idx) => {
+          const finding = findings.find(f => f.photoId === photo.id) || (!findings.some(f => f.photoId) && findings[idx]);
+          return (
+            <View key={idx} style={{ marginBottom: 16 }}>
+              <Text style={{ fontWeight: 'bold' }}>Photo {idx + 1}</Text>
+              <Text>Type: {photo.type === 'voice' ? 'Voice Note' : 'Text'}</Text>
+              <Text>Description: {photo.type === 'text' ? photo.description : (photo.transcription || 'Transcription will appear after processing')}</Text>
+              <Text>File: {photo.path.split(/[\\/]/).pop()}</Text>
+              {photo.imageAnalysis?.status === 'completed' && (
+                <View style={{ marginTop: 6 }}>
+                  {photo.imageAnalysis.labels.length > 0 && (
+                    <View style={styles.chipRow}>
+                      {photo.imageAnalysis.labels.map(label => (
+                        <Chip key={label.description} compact style={styles.chip}>{label.description}</Chip>
+                      ))}
+                    </View>
+                  )}
+                  {photo.imageAnalysis.text ? (
+                    <View style={styles.sourceBox}>
+                      <Text style={styles.sourceLabel}>Text found in photo</Text>
+                      <Text selectable>{photo.imageAnalysis.text}</Text>
+                    </View>
+                  ) : null}
+                </View>
+              )}
+              {photo.imageAnalysis?.status === 'failed' && (
+                <View>
+                  <Text style={styles.error}>Image analysis failed: {photo.imageAnalysis.error}</Text>
+                  <Button mode="outlined" onPress={() => handleRetryImageAnalysis(photo.id)} disabled={loading || locked} compact>
+                    Retry Image Analysis
+                  </Button>
+                </View>
+              )}
+              {photo.transcriptionStatus === 'failed' && (
+                <View>
+                  <Text style={styles.error}>Transcription failed: {photo.transcriptionError}</Text>
+                  <Button mode="outlined" onPress={() => handleRetryTranscription(photo.id)} disabled={loading || locked} compact>
+                    Retry Transcription
+                  </Button>
+                </View>
+              )}
+              {finding && (
+                <View style={{ marginTop: 8 }}>
+                  {/* Keep the inspector's words and the model's own observation apart */}
+                  <View style={styles.sourceBox}>
+                    <Text style={styles.sourceLabel}>Inspector said</Text>
+                    <Text>{finding.inspectorNote || 'No note recorded'}</Text>
+                  </View>
+                  <View style={[styles.sourceBox, styles.observedBox]}>
+                    <Text style={styles.sourceLabel}>AI observed in photo</Text>
+                    <Text>{finding.observed || 'Not available (analyzed without the image)'}</Text>
+                  </View>
+                  <TextInput label="Problem Description" value={finding.problem} onChangeText={problem => updateFinding(finding, { problem })} multiline style={styles.input} />
+                  <TextInput label="Recommended Solution" value={finding.solution} onChangeText={solution => updateFinding(finding, { solution })} multiline style={styles.input} />
+                  <Text style={{ marginBottom: 6 }}>Priority Level</Text>
+                  <SegmentedButtons
+                    value={finding.priority}
+                    onValueChange={priority => updateFinding(finding, { priority })}
+                    buttons={PRIORITIES.map(p => ({ value: p, label: p }))}
+                    style={styles.input}
+                  />
+                  <View style={{ flexDirection: 'row' }}>
+                    <TextInput label="Cost Min ($)" value={finding.costMin === null ? '' : String(finding.costMin)} onChangeText={text => updateFinding(finding, { costMin: text })} keyboardType="numeric" style={[styles.input, { flex: 1, marginRight: 8 }]} />
+                    <TextInput label="Cost Max ($)" value={finding.costMax === null ? '' : String(finding.costMax)} onChangeText={text => updateFinding(finding, { costMax: text })} keyboardType="numeric" style={[styles.input, { flex: 1 }]} />
+                  </View>
+                  <TextInput label="Safety Concerns" value={finding.safety} onChangeText={safety => updateFinding(finding, { safety })} multiline style={styles.input} />
+                </View>
+              )}
+            </View>
+          );
+        })}
       </View>
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Recommended Services</Text>
-        <Text>Service recommendations will be listed here.</Text>
+        {aiReportEdit ? (
+          <TextInput
+            label="One service per line"
+            value={aiReportEdit.recommendedServices.join('\n')}
+            onChangeText={text => updateEdit({ recommendedServices: text.split('\n') })}
+            multiline
+            style={styles.input}
+          />
+        ) : (
+          <Text>No recommended services to be added.</Text>
+        )}
       </View>
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Additional Notes</Text>
-        <Text>No additional project notes at this time.</Text>
+        {aiReportEdit ? (
+          <TextInput
+            value={aiReportEdit.notes}
+            onChangeText={notes => updateEdit({ notes })}
+            multiline
+            style={styles.input}
+          />
+        ) : (
+          <Text>No additional project notes at this time.</Text>
+        )}
+      </View>
+      {aiReportEdit && !locked && (
+        <Button mode="contained" onPress={handleSaveEdit} style={styles.button} disabled={loading || editSaved}>
+          {editSaved ? 'Saved' : 'Save Edits'}
+        </Button>
+      )}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Revision History</Text>
+        <Text>Current revision: {report.revision}</Text>
+        {revisions ? (
+          [...revisions].reverse().map(revision => (
+            <View key={revision.id} style={styles.revisionRow}>
+              <Text style={styles.revisionTitle}>
+                Revision {revision.number}{revision.number === report.revision ? ' (current)' : ''}
+              </Text>
+              <Text style={styles.revisionMeta}>
+                {new Date(revision.createdAt).toLocaleString()} by {revision.authorName || 'System'}
+                {revision.reason === 'restored' ? ` (restored revision ${revision.restoredFrom})` : ''}
+              </Text>
+              <Text style={styles.revisionMeta}>Changed: {revision.changedFields.join(', ')}</Text>
+              <View style={styles.switchRow}>
+                {revision.number > 1 && (
+                  <Button compact onPress={() => handleShowChanges(revision.number)}>Changes</Button>
+                )}
+                {revision.number !== report.revision && (
+                  <Button compact onPress={() => handleRestore(revision.number)} disabled={loading || locked}>Restore</Button>
+                )}
+              </View>
+              {diff?.number === revision.number && diff.changes.map(change => (
+                <Text key={change.path} style={styles.diffLine}>
+                  {describeChange(change.path, report.photos)}: {formatValue(change.before)} → {formatValue(change.after)}
+                </Text>
+              ))}
+            </View>
+          ))
+        ) : (
+          <Button compact onPress={loadRevisions} style={{ alignSelf: 'flex-start' }}>Show History</Button>
+        )}
+      </View>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Email Report</Text>
+        {[
+          ['to', 'To'],
+          ['cc', 'CC'],
+          ['bcc', 'BCC'],
+          ['replyTo', 'Reply-to (optional)'],
+        ].map(([field, label]) => (
+          <TextInput
+            key={field}
+            label={label}
+            value={emailForm[field]}
+            onChangeText={value => setEmailForm(prev => ({ ...prev, [field]: value }))}
+            autoCapitalize="none"
+            keyboardType="email-address"
+            style={styles.emailInput}
+          />
+        ))}
+        <Text style={styles.revisionMeta}>
+          Separate several addresses with commas.
+          {report.siteId || report.clientId ? ' Leave "To" empty to use the site\'s or client\'s default recipients.' : ''}
+        </Text>
+        <TextInput
+          label="Message (optional)"
+          value={emailForm.message}
+          onChangeText={message => setEmailForm(prev => ({ ...prev, message }))}
+          multiline
+          style={styles.emailInput}
+        />
+        <Button mode="contained" onPress={handleEmail} disabled={loading} style={styles.emailButton}>
+          Send Email
+        </Button>
+        {deliveries.length > 0 && <Text style={styles.revisionTitle}>Sent</Text>}
+        {deliveries.map(delivery => (
+          <View key={delivery.id} style={styles.revisionRow}>
+            <Text style={delivery.status === 'failed' ? styles.deliveryError : styles.revisionTitle}>
+              {delivery.status === 'failed' ? 'Failed' : 'Sent'} {new Date(delivery.sentAt).toLocaleString()}
+            </Text>
+            <Text style={styles.revisionMeta}>To: {delivery.to.join(', ')}</Text>
+            {delivery.cc.length > 0 && <Text style={styles.revisionMeta}>CC: {delivery.cc.join(', ')}</Text>}
+            {delivery.bcc.length > 0 && <Text style={styles.revisionMeta}>BCC: {delivery.bcc.join(', ')}</Text>}
+            <Text style={styles.revisionMeta}>
+              Revision {delivery.revision}, by {delivery.senderName || 'Unknown'}
+            </Text>
+            {delivery.rejected.length > 0 && (
+              <Text style={styles.deliveryError}>Rejected: {delivery.rejected.join(', ')}</Text>
+            )}
+            {delivery.error ? <Text style={styles.deliveryError}>{delivery.error}</Text> : null}
+          </View>
+        ))}
       </View>
+      {shareLinks.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Share Links</Text>
+          {shareLinks.map(link => {
+            const active = !link.revokedAt && new Date(link.expiresAt) > new Date();
+            return (
+              <View key={link.id} style={styles.revisionRow}>
+                <Text style={styles.revisionTitle}>
+                  {link.revokedAt ? 'Revoked' : active ? 'Active' : 'Expired'}: created {new Date(link.createdAt).toLocaleDateString()} by {link.createdByName || 'Unknown'}
+                </Text>
+                <Text style={styles.revisionMeta}>
+                  {link.revokedAt ? 'Revoked' : 'Expires'} {new Date(link.revokedAt || link.expiresAt).toLocaleString()}
+                </Text>
+                <Text style={styles.revisionMeta}>
+                  {link.openCount > 0
+                    ? `Opened ${link.openCount} time${link.openCount === 1 ? '' : 's'}, last ${new Date(link.lastOpenedAt).toLocaleString()}`
+                    : 'Not opened yet'}
+                </Text>
+                {active && (
+                  <Button compact onPress={() => handleRevokeLink(link.id)} disabled={loading} style={{ alignSelf: 'flex-start' }}>
+                    Revoke
+                  </Button>
+                )}
+              </View>
+            );
+          })}
+        </View>
+      )}
+      <Button mode="outlined" onPress={() => navigation.navigate('AddItem', { reportId })} style={styles.button} disabled={locked}>
+        Add / Edit Items
+      </Button>
       {error ? <Text style={styles.error}>{error}</Text> : null}
       <Button
         mode="contained"
         onPress={handleGeneratePDF}
         style={styles.button}
-        disabled={loading || !editSaved}
+        disabled={loading || (!editSaved && !locked)}
       >
         {loading ? <ActivityIndicator color="#fff" /> : 'Save & Share PDF'}
       </Button>
+      <Button
+        mode="outlined"
+        onPress={handleShareLink}
+        style={styles.button}
+        disabled={loading || (!editSaved && !locked)}
+      >
+        Share Link
+      </Button>
+      <Button
+        mode="outlined"
+        onPress={handleGenerateDOCX}
+        style={styles.button}
+        disabled={loading || (!editSaved && !locked)}
+      >
+        Share as Word (DOCX)
+      </Button>
     </ScrollView>
   );
 }
@@ -174,6 +685,67 @@ const styles = StyleSheet.create({
     backgroundColor: '#f5f5f5',
     borderRadius: 8,
   },
+  sourceBox: {
+    padding: 10,
+    marginBottom: 8,
+    borderRadius: 6,
+    borderLeftWidth: 4,
+    borderLeftColor: '#0A79DF',
+    backgroundColor: '#fff',
+  },
+  observedBox: {
+    borderLeftColor: '#8E44AD',
+  },
+  sourceLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#666',
+    marginBottom: 2,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  revisionRow: {
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#ddd',
+  },
+  revisionTitle: {
+    fontWeight: 'bold',
+  },
+  revisionMeta: {
+    fontSize: 12,
+    color: '#666',
+  },
+  diffLine: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  emailInput: {
+    marginTop: 8,
+  },
+  deliveryError: {
+    color: 'red',
+  },
+  emailButton: {
+    marginTop: 10,
+  },
+  lockNote: {
+    color: '#666',
+    marginTop: 8,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
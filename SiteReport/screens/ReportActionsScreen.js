@@ -1,44 +1,304 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, FlatList } from 'react-native';
-import { Text, Button, Card, ActivityIndicator } from 'react-native-paper';
-import { getReports } from '../api/client';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet, FlatList, ScrollView, Alert } from 'react-native';
+import { Text, Button, Card, ActivityIndicator, Chip, Snackbar, Searchbar, Menu, IconButton } from 'react-native-paper';
+import { getReports, duplicateReport, deleteReport, transitionReport, resendReportEmail } from '../api/client';
+import { useAuth } from '../auth/AuthContext';
+import { listDrafts, deleteDraft, updateDraft, subscribeToDrafts } from '../drafts/store';
+import { syncDraft, subscribeToUploadProgress } from '../drafts/sync';
+import StatusBadge, { STATUS_STYLES, LOCKED_STATUSES } from '../components/StatusBadge';
 
-export default function ReportActionsScreen({ navigation }) {
+const DRAFT_STATUS = {
+  draft: { label: 'Not submitted', color: '#666' },
+  queued: { label: 'Waiting to upload', color: '#B8860B' },
+  syncing: { label: 'Uploading...', color: '#0A79DF' },
+  failed: { label: 'Upload rejected', color: '#C0392B' },
+};
+
+const PAGE_SIZE = 20;
+const SEARCH_DELAY_MS = 400;
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+};
+
+// Report date filters, as the "from" date they start at
+const DATE_FILTERS = [
+  { key: '7d', label: 'Last 7 days', from: () => daysAgo(7) },
+  { key: '30d', label: 'Last 30 days', from: () => daysAgo(30) },
+  { key: 'year', label: 'This year', from: () => `${new Date().getFullYear()}-01-01` },
+];
+
+export default function ReportActionsScreen({ navigation, route }) {
+  const { user } = useAuth();
   const [reports, setReports] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState(null);
+  const [dateFilter, setDateFilter] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  // Bumped when drafts finish uploading, to reload with the current filters
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Report whose overflow menu is open
+  const [menuReportId, setMenuReportId] = useState(null);
+  // Only the latest request may update the list, so a slow response to an
+  // old search never replaces the results of a newer one
+  const requestId = useRef(0);
+  // Reports saved on this device that haven't reached the server yet
+  const [drafts, setDrafts] = useState([]);
+  const draftIds = useRef([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [snackbar, setSnackbar] = useState('');
+  // Percent uploaded for drafts being sent, by draft id
+  const [uploadPercent, setUploadPercent] = useState({});
 
   useEffect(() => {
-    loadReports();
+    loadDrafts();
+    const unsubscribeDrafts = subscribeToDrafts(loadDrafts);
+    const unsubscribeProgress = subscribeToUploadProgress((id, files) => {
+      const size = files.reduce((sum, f) => sum + f.size, 0);
+      const received = files.reduce((sum, f) => sum + f.received, 0);
+      setUploadPercent(prev => ({ ...prev, [id]: size ? Math.round(100 * received / size) : 0 }));
+    });
+    return () => {
+      unsubscribeDrafts();
+      unsubscribeProgress();
+    };
   }, []);
 
-  const loadReports = async () => {
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    loadReports();
+  }, [query, statusFilter, dateFilter, reloadKey]);
+
+  useEffect(() => {
+    if (route.params?.notice) {
+      setSnackbar(route.params.notice);
+      navigation.setParams({ notice: undefined });
+    }
+  }, [route.params?.notice]);
+
+  const loadDrafts = async () => {
+    try {
+      const data = await listDrafts(user.id);
+      // A draft that disappeared was uploaded, so it's now a server report
+      const uploaded = draftIds.current.some(id => !data.find(d => d.id === id));
+      draftIds.current = data.map(d => d.id);
+      setDrafts(data);
+      if (uploaded) setReloadKey(key => key + 1);
+    } catch (err) {
+      console.error('Failed to load drafts:', err);
+    }
+  };
+
+  const uploadDraft = async (draft) => {
+    try {
+      if (draft.syncStatus === 'draft') {
+        await updateDraft(draft.id, { syncStatus: 'queued' });
+      }
+      await syncDraft(draft.id);
+      setSnackbar('Report uploaded');
+    } catch (err) {
+      setSnackbar(err.response?.data?.error || 'Upload failed. It will be retried when the connection returns.');
+    }
+  };
+
+  const removeDraft = async (draft) => {
+    await deleteDraft(draft.id);
+    setSnackbar('Draft deleted');
+  };
+
+  const listParams = () => {
+    const params = { view: 'summary', limit: PAGE_SIZE };
+    if (query) params.q = query;
+    if (statusFilter) params.status = statusFilter;
+    const date = DATE_FILTERS.find(f => f.key === dateFilter);
+    if (date) params.from = date.from();
+    return params;
+  };
+
+  // Loads the first page; pull-to-refresh keeps the list on screen meanwhile
+  const loadReports = async ({ refresh = false } = {}) => {
+    const id = ++requestId.current;
     try {
-      setLoading(true);
-      const data = await getReports();
-      setReports(data);
+      if (refresh) setRefreshing(true);
+      setError('');
+      const page = await getReports(listParams());
+      if (id !== requestId.current) return;
+      setReports(page.reports);
+      setNextCursor(page.nextCursor);
+      setTotal(page.total);
     } catch (err) {
-      setError('Failed to load reports');
+      if (id === requestId.current) setError('Failed to load reports');
     } finally {
-      setLoading(false);
+      if (id === requestId.current) {
+        setLoading(false);
+        setRefreshing(false);
+      }
     }
   };
 
-  const renderReport = ({ item }) => (
-    <Card style={styles.card}>
-      <Card.Content>
-        <Text style={styles.title}>{item.jobName}</Text>
-        <Text>Client: {item.clientName}</Text>
-        <Text>Date: {item.date}</Text>
-        <Text>Status: {item.status}</Text>
-      </Card.Content>
-      <Card.Actions>
-        <Button onPress={() => navigation.navigate('PreviewReport', { reportId: item.id })}>
-          View
-        </Button>
-      </Card.Actions>
-    </Card>
-  );
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || refreshing) return;
+    const id = requestId.current;
+    try {
+      setLoadingMore(true);
+      const page = await getReports({ ...listParams(), cursor: nextCursor });
+      if (id !== requestId.current) return;
+      setReports(prev => [...prev, ...page.reports.filter(r => !prev.find(p => p.id === r.id))]);
+      setNextCursor(page.nextCursor);
+      setTotal(page.total);
+    } catch (err) {
+      setSnackbar('Failed to load more reports');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // The server's reason when it gave one, e.g. that a report was never emailed
+  const errorMessage = (err, fallback) => err.response?.data?.error || err.message || fallback;
+
+  const runAction = async (action) => {
+    setMenuReportId(null);
+    await action();
+  };
+
+  const duplicate = (report) => runAction(async () => {
+    try {
+      const copy = await duplicateReport(report.id);
+      loadReports();
+      setSnackbar(`Copied to a new draft, ${copy.reportNumber}`);
+      navigation.navigate('PreviewReport', { reportId: copy.id });
+    } catch (err) {
+      setSnackbar(errorMessage(err, 'Failed to duplicate report'));
+    }
+  });
+
+  const archive = (report) => runAction(async () => {
+    try {
+      await transitionReport(report.id, 'archive');
+      loadReports();
+      setSnackbar(`${report.reportNumber} archived`);
+    } catch (err) {
+      setSnackbar(errorMessage(err, 'Failed to archive report'));
+    }
+  });
+
+  const resendEmail = (report) => runAction(async () => {
+    try {
+      const { delivery } = await resendReportEmail(report.id);
+      const count = delivery.to.length + delivery.cc.length + delivery.bcc.length;
+      setSnackbar(`Email sent again to ${count} recipient${count === 1 ? '' : 's'}`);
+      loadReports();
+    } catch (err) {
+      setSnackbar(errorMessage(err, 'Failed to send email'));
+    }
+  });
+
+  const confirmDelete = (report) => runAction(async () => {
+    Alert.alert(
+      'Delete report?',
+      `${report.reportNumber} (${report.jobName}) and its photos will be deleted. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteReport(report.id);
+              setReports(prev => prev.filter(r => r.id !== report.id));
+              setTotal(prev => Math.max(0, prev - 1));
+              setSnackbar(`${report.reportNumber} deleted`);
+            } catch (err) {
+              setSnackbar(errorMessage(err, 'Failed to delete report'));
+            }
+          },
+        },
+      ]
+    );
+  });
+
+  const renderDraft = (draft) => {
+    const status = DRAFT_STATUS[draft.syncStatus] || DRAFT_STATUS.draft;
+    const busy = draft.syncStatus === 'syncing';
+    const label = busy && uploadPercent[draft.id] !== undefined ? `Uploading ${uploadPercent[draft.id]}%` : status.label;
+    return (
+      <Card key={draft.id} style={[styles.card, styles.draftCard]}>
+        <Card.Content>
+          <Text style={styles.title}>{draft.formData.jobName || 'Untitled draft'}</Text>
+          <Text>Client: {draft.formData.clientName || '-'}</Text>
+          <Text>Items: {draft.items.length}</Text>
+          <Text>Saved: {new Date(draft.updatedAt).toLocaleString()}</Text>
+          <Chip compact style={styles.statusChip} textStyle={{ color: status.color }}>{label}</Chip>
+          {draft.syncError ? <Text style={styles.draftError}>{draft.syncError}</Text> : null}
+        </Card.Content>
+        <Card.Actions>
+          <Button onPress={() => navigation.navigate('NewReport', { draftId: draft.id })} disabled={busy}>
+            {draft.syncStatus === 'failed' ? 'Fix & Resubmit' : 'Edit'}
+          </Button>
+          {draft.syncStatus === 'queued' && (
+            <Button onPress={() => uploadDraft(draft)}>Upload Now</Button>
+          )}
+          <Button onPress={() => removeDraft(draft)} disabled={busy}>Delete</Button>
+        </Card.Actions>
+      </Card>
+    );
+  };
+
+  const renderReport = ({ item }) => {
+    const locked = LOCKED_STATUSES.includes(item.status);
+    const canEdit = user.role !== 'reviewer';
+    return (
+      <Card style={styles.card}>
+        <Card.Content>
+          <View style={styles.cardHeader}>
+            <Text style={[styles.title, styles.cardTitle]}>{item.jobName}</Text>
+            <Menu
+              visible={menuReportId === item.id}
+              onDismiss={() => setMenuReportId(null)}
+              anchor={<IconButton icon="dots-vertical" size={20} onPress={() => setMenuReportId(item.id)} />}
+            >
+              {canEdit && <Menu.Item title="Duplicate as new draft" onPress={() => duplicate(item)} />}
+              {item.status !== 'archived' && <Menu.Item title="Archive" onPress={() => archive(item)} />}
+              {(item.sentAt || item.lastEmailedAt) && (
+                <Menu.Item title="Re-send email" onPress={() => resendEmail(item)} />
+              )}
+              {canEdit && (
+                <Menu.Item
+                  title={locked ? 'Delete (reopen first)' : 'Delete'}
+                  disabled={locked}
+                  titleStyle={locked ? undefined : styles.deleteText}
+                  onPress={() => confirmDelete(item)}
+                />
+              )}
+            </Menu>
+          </View>
+          <Text>Report No: {item.reportNumber}</Text>
+          <Text>Client: {item.clientName}</Text>
+          <Text>Date: {item.date}</Text>
+          <StatusBadge status={item.status} style={styles.statusChip} />
+        </Card.Content>
+        <Card.Actions>
+          <Button onPress={() => navigation.navigate('PreviewReport', { reportId: item.id })}>
+            View
+          </Button>
+        </Card.Actions>
+      </Card>
+    );
+  };
+
+  const filtered = Boolean(query || statusFilter || dateFilter);
 
   if (loading) {
     return (
@@ -51,7 +311,43 @@ export default function ReportActionsScreen({ navigation }) {
   return (
     <View style={styles.container}>
       <Text style={styles.heading}>Report Actions</Text>
+      <Text style={styles.userInfo}>Logged in as {user.name || user.email} ({user.role})</Text>
       
+      <Searchbar
+        placeholder="Search job, client, address, notes"
+        value={search}
+        onChangeText={setSearch}
+        style={styles.search}
+      />
+      <View>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filters}>
+          {Object.entries(STATUS_STYLES).map(([status, { label }]) => (
+            <Chip
+              key={status}
+              compact
+              selected={statusFilter === status}
+              onPress={() => setStatusFilter(statusFilter === status ? null : status)}
+              style={styles.filterChip}
+            >
+              {label}
+            </Chip>
+          ))}
+        </ScrollView>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filters}>
+          {DATE_FILTERS.map(filter => (
+            <Chip
+              key={filter.key}
+              compact
+              selected={dateFilter === filter.key}
+              onPress={() => setDateFilter(dateFilter === filter.key ? null : filter.key)}
+              style={styles.filterChip}
+            >
+              {filter.label}
+            </Chip>
+          ))}
+        </ScrollView>
+      </View>
+
       {error ? <Text style={styles.error}>{error}</Text> : null}
 
       <FlatList
@@ -59,15 +355,44 @@ export default function ReportActionsScreen({ navigation }) {
         renderItem={renderReport}
         keyExtractor={item => item.id}
         contentContainerStyle={styles.list}
+        refreshing={refreshing}
+        onRefresh={() => {
+          loadReports({ refresh: true });
+          loadDrafts();
+        }}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListHeaderComponent={
+          <View>
+            {drafts.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>On this device</Text>
+                {drafts.map(renderDraft)}
+                <Text style={styles.sectionTitle}>Submitted</Text>
+              </>
+            )}
+            {filtered && <Text style={styles.resultCount}>{total} matching report{total === 1 ? '' : 's'}</Text>}
+          </View>
+        }
+        ListEmptyComponent={
+          <Text style={styles.empty}>{filtered ? 'No reports match these filters' : 'No reports yet'}</Text>
+        }
+        ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.footer} /> : null}
       />
 
-      <Button
-        mode="contained"
-        onPress={() => navigation.navigate('NewReport')}
-        style={styles.button}
-      >
-        Create New Report
-      </Button>
+      {user.role !== 'reviewer' && (
+        <Button
+          mode="contained"
+          onPress={() => navigation.navigate('NewReport')}
+          style={styles.button}
+        >
+          Create New Report
+        </Button>
+      )}
+
+      <Snackbar visible={Boolean(snackbar)} onDismiss={() => setSnackbar('')} duration={4000}>
+        {snackbar}
+      </Snackbar>
     </View>
   );
 }
@@ -89,12 +414,67 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     textAlign: 'center',
   },
+  userInfo: {
+    textAlign: 'center',
+    color: '#666',
+    marginBottom: 10,
+  },
   list: {
     paddingBottom: 20,
   },
   card: {
     marginBottom: 15,
   },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  cardTitle: {
+    flex: 1,
+  },
+  deleteText: {
+    color: '#C0392B',
+  },
+  search: {
+    marginBottom: 10,
+  },
+  filters: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  filterChip: {
+    marginRight: 6,
+  },
+  resultCount: {
+    color: '#666',
+    marginBottom: 10,
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#666',
+    marginTop: 20,
+  },
+  footer: {
+    marginVertical: 10,
+  },
+  draftCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#FFC312',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#666',
+    marginBottom: 10,
+  },
+  statusChip: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+  },
+  draftError: {
+    color: '#C0392B',
+    marginTop: 5,
+  },
   title: {
     fontSize: 18,
     fontWeight: 'bold',
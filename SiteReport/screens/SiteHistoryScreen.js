@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, RefreshControl } from 'react-native';
+import { Text, Card, ActivityIndicator, Chip, Divider } from 'react-native-paper';
+import { getSiteHistory } from '../api/client';
+import StatusBadge from '../components/StatusBadge';
+
+const PRIORITY_COLORS = { High: '#C0392B', Medium: '#B8860B', Low: '#27AE60' };
+
+// A site's details and inspection history: its contacts, the findings still
+// open on it and every past report, newest first
+export default function SiteHistoryScreen({ navigation, route }) {
+  const { siteId } = route.params;
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadHistory();
+  }, [siteId]);
+
+  const loadHistory = async ({ refresh = false } = {}) => {
+    try {
+      if (refresh) setRefreshing(true);
+      setError('');
+      const data = await getSiteHistory(siteId);
+      setHistory(data);
+      navigation.setOptions({ title: data.site.name });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load site history');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  if (!history) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.error}>{error}</Text>
+      </View>
+    );
+  }
+
+  const { site, client, reports, openFindings } = history;
+  const contacts = [...site.contacts, ...(client ? client.contacts : [])];
+  const recipients = site.emailRecipients.length > 0 ? site.emailRecipients : (client ? client.emailRecipients : []);
+  const notes = [site.notes, client && client.notes].filter(Boolean);
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => loadHistory({ refresh: true })} />}
+    >
+      {error ? <Text style={styles.error}>{error}</Text> : null}
+      <View style={styles.section}>
+        <Text style={styles.heading}>{site.name}</Text>
+        {site.name !== site.address && <Text>{site.address}</Text>}
+        <Text>Client: {site.clientName || '-'}</Text>
+        {contacts.map((contact, idx) => (
+          <Text key={idx} style={styles.meta}>
+            {[contact.name, contact.role, contact.email, contact.phone].filter(Boolean).join(' · ')}
+          </Text>
+        ))}
+        {recipients.length > 0 && <Text style={styles.meta}>Reports are emailed to {recipients.join(', ')}</Text>}
+        {notes.map((note, idx) => <Text key={idx} style={styles.notes}>{note}</Text>)}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Open Findings ({openFindings.length})</Text>
+        {openFindings.length === 0 && <Text style={styles.meta}>No open findings</Text>}
+        {openFindings.map((finding, idx) => (
+          <View key={`${finding.reportId}-${finding.photoNumber}`}>
+            {idx > 0 && <Divider style={styles.divider} />}
+            <View style={styles.findingHeader}>
+              <Chip compact textStyle={{ color: PRIORITY_COLORS[finding.priority] }} style={styles.priorityChip}>
+                {finding.priority}
+              </Chip>
+              <Text style={styles.meta}>{finding.reportNumber} · {finding.date} · Photo {finding.photoNumber}</Text>
+            </View>
+            <Text>{finding.problem}</Text>
+            <Text style={styles.meta}>{finding.solution} ({finding.costRange})</Text>
+          </View>
+        ))}
+      </View>
+
+      <Text style={styles.sectionTitle}>Reports ({reports.length})</Text>
+      {reports.map(report => (
+        <Card key={report.id} style={styles.card} onPress={() => navigation.navigate('PreviewReport', { reportId: report.id })}>
+          <Card.Content>
+            <Text style={styles.title}>{report.title || report.jobName}</Text>
+            <Text>Report No: {report.reportNumber}</Text>
+            <Text>Date: {report.date}</Text>
+            {report.findingCount > 0 && (
+              <Text style={styles.meta}>
+                {Object.entries(report.priorityCounts).filter(([, count]) => count > 0).map(([priority, count]) => `${count} ${priority}`).join(', ')}
+              </Text>
+            )}
+            <StatusBadge status={report.status} style={styles.statusChip} />
+          </Card.Content>
+        </Card>
+      ))}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    backgroundColor: '#fff',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  section: {
+    marginBottom: 20,
+  },
+  heading: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  meta: {
+    color: '#666',
+    marginTop: 2,
+  },
+  notes: {
+    marginTop: 8,
+    fontStyle: 'italic',
+  },
+  findingHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  priorityChip: {
+    marginRight: 8,
+  },
+  divider: {
+    marginVertical: 10,
+  },
+  card: {
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  statusChip: {
+    marginTop: 8,
+  },
+  error: {
+    color: 'red',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+});